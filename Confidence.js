@@ -0,0 +1,120 @@
+import { normalizeValue, inferColumnType } from './TypedValues.js';
+
+/**
+ * Confidence scores for extracted values and table cells.
+ *
+ * The model rates how sure it is of each value (0 to 1); the checks below
+ * lower that rating when a value does not fit the type its field was
+ * declared with, or does not look like what its field or column name
+ * suggests, so reviewers can concentrate on the values most likely to be
+ * wrong. Every score comes with the issues that lowered it.
+ */
+
+// Assumed when the model does not rate a value
+const DEFAULT_MODEL_CONFIDENCE = 0.8;
+
+function clampConfidence(confidence) {
+    return Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : DEFAULT_MODEL_CONFIDENCE;
+}
+
+// Amounts may carry currency symbols or codes, thousands separators, signs,
+// parentheses for negatives and a debit/credit marker
+function looksLikeAmount(text) {
+    const stripped = text
+        .replace(/[\p{Sc}\s]/gu, '')
+        .replace(/^[A-Z]{3}|[A-Z]{3}$/g, '')
+        .replace(/(CR|DR)$/i, '');
+    return /^[-+(]?\d[\d.,']*\)?-?$/.test(stripped);
+}
+
+// Issues of values that do not parse as their declared type (see TypedValues.js)
+const TYPE_ISSUES = {
+    date: 'Not a recognizable date',
+    number: 'Not a number',
+    amount: 'Not a recognizable amount',
+    boolean: 'Not a yes/no value',
+    enum: 'Not one of the options'
+};
+
+// Checks shared by field values and table cells; returns issues with the factor each applies.
+// A value that does not parse as its declared type counts more than one that
+// does not look like what its name suggests. Values are parsed as they are
+// normalized: with the locale of the request, and dates with the date format
+// of their column or document when it is given.
+function checkValue(text, name, { type = 'text', format, options, locale = null, dateFormat = null } = {}) {
+    const issues = [];
+    if (/�|\?{2,}/.test(text)) {
+        issues.push({ issue: 'Contains unreadable characters', factor: 0.5 });
+    }
+
+    const impliedType = inferColumnType(name);
+    if (type !== 'text') {
+        if (normalizeValue(text, type, { locale, format, options, dateFormat }) === null) {
+            issues.push({ issue: `${TYPE_ISSUES[type]}, but the field is declared as ${type}`, factor: 0.4 });
+        }
+    } else if (impliedType === 'date') {
+        if (normalizeValue(text, 'date', { locale, dateFormat }) === null) {
+            issues.push({ issue: 'Not a recognizable date', factor: 0.5 });
+        }
+    } else if (impliedType === 'amount' && !looksLikeAmount(text)) {
+        issues.push({ issue: 'Not a recognizable amount', factor: 0.6 });
+    }
+    return issues;
+}
+
+function combine(modelConfidence, issues) {
+    const confidence = issues.reduce((score, { factor }) => score * factor, clampConfidence(modelConfidence));
+    return {
+        confidence: Math.round(confidence * 100) / 100,
+        issues: issues.map(({ issue }) => issue)
+    };
+}
+
+/**
+ * Score an extracted field value
+ * @param {Object} definition - fieldName, declared type, format and options of the field (see FieldDefinitions.js)
+ * @param {Object} fieldData - value, region and the model's confidence
+ * @param {Object} [options] - locale to parse the value with (see TypedValues.js), and the dateFormat of the document's dates
+ * @returns {Object} confidence (0 to 1, null for values that were not found) and the issues that lowered it
+ */
+export function scoreField(definition, fieldData, { locale = null, dateFormat = null } = {}) {
+    if (fieldData.value === null || fieldData.value === undefined || fieldData.value === '') {
+        return { confidence: null, issues: [] };
+    }
+
+    const issues = checkValue(String(fieldData.value), definition.fieldName, { ...definition, locale, dateFormat });
+    if (!fieldData.region) {
+        issues.push({ issue: 'Location on the page not reported', factor: 0.85 });
+    }
+
+    return combine(fieldData.confidence, issues);
+}
+
+/**
+ * Score the cells of a table
+ * @param {Array<Array<string>>} rows - Rows of cell strings
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<number>|null>} [modelConfidence] - The model's confidence per cell of each row
+ * @param {Object} [options] - locale to parse the cells with (see TypedValues.js), and the dateFormats
+ *   inferred for the date columns (one entry per column, see DateNormalization.js)
+ * @returns {Object} confidence and issues, each with one array per row and one entry per cell
+ */
+export function scoreTableRows(rows, headers, modelConfidence = [], { locale = null, dateFormats = [] } = {}) {
+    const scored = rows.map((row, rowIndex) => {
+        // Cells cannot be trusted to sit in the right column when the counts differ
+        const misaligned = row.length !== headers.length;
+
+        return row.map((cell, cellIndex) => {
+            const issues = cell === '' ? [] : checkValue(cell, headers[cellIndex] || '', { locale, dateFormat: dateFormats[cellIndex] });
+            if (misaligned) {
+                issues.push({ issue: 'Row does not line up with the columns', factor: 0.5 });
+            }
+            return combine(modelConfidence[rowIndex]?.[cellIndex], issues);
+        });
+    });
+
+    return {
+        confidence: scored.map(row => row.map(cell => cell.confidence)),
+        issues: scored.map(row => row.map(cell => cell.issues))
+    };
+}
@@ -0,0 +1,222 @@
+/**
+ * Date normalization: reads printed dates into ISO dates (YYYY-MM-DD).
+ *
+ * Whether 03/04/2024 is 3 April or 4 March cannot be told from the date
+ * alone, so dates are read with a date format: the order of day, month and
+ * year, and the calendar years are counted in. A format hint ("DD/MM/YYYY")
+ * settles the order; without one it is inferred from all the dates of a
+ * field or column together ("13/04/2024" settles the order of "03/04/2024"
+ * next to it), then from the locale. Locales can name their calendar, e.g. "th-TH" counts
+ * Buddhist-era years and "en-US-u-ca-buddhist" does too; Buddhist-era years
+ * such as 2567 are also recognized on their own.
+ */
+
+// Calendars dates can be counted in, with what their years add to Gregorian years
+const CALENDAR_YEAR_OFFSETS = {
+    gregory: 0,
+    buddhist: 543,
+    roc: -1911
+};
+
+// Used when neither the dates, a format hint nor the locale settle the order
+const DEFAULT_ORDER = 'DMY';
+
+// Years from here on are Buddhist-era years (2024 is 2567 BE)
+const BUDDHIST_ERA_THRESHOLD = 2400;
+
+// Two-digit years are read as at most this many years ahead of the reference year
+const TWO_DIGIT_YEAR_LOOKAHEAD = 20;
+
+const MONTHS_EN = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+const NUMERIC_DATE = /^(\d{1,4})\s*[/.-]\s*(\d{1,2})\s*[/.-]\s*(\d{1,4})\.?(?:\s+\d{1,2}:\d{2}.*)?$/;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[t\s].*)?$/;
+
+// Thai digits (๐-๙) as ASCII digits
+function toAsciiDigits(text) {
+    return text.replace(/[๐-๙]/g, digit => String(digit.charCodeAt(0) - 0x0e50));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Order of day, month and year in the locale's short dates, e.g. "MDY" for en-US
+function localeOrder(locale) {
+    return new Intl.DateTimeFormat(locale).formatToParts(new Date(Date.UTC(2000, 11, 31)))
+        .filter(part => ['day', 'month', 'year'].includes(part.type))
+        .map(part => part.type[0].toUpperCase())
+        .join('');
+}
+
+// A format hint such as "DD/MM/YYYY" or "YYYY-MM-DD" names the order
+function formatOrder(format) {
+    const order = (format || '').toUpperCase().match(/([DMY])\1*/g)?.map(part => part[0]).join('');
+    return order && order.length === 3 && new Set(order).size === 3 ? order : null;
+}
+
+// Calendar named by the locale: explicitly ("-u-ca-buddhist"), or as its default
+function localeCalendar(locale, { explicitOnly = false } = {}) {
+    const calendar = explicitOnly
+        ? new Intl.Locale(locale).calendar
+        : new Intl.DateTimeFormat(locale).resolvedOptions().calendar;
+    return calendar in CALENDAR_YEAR_OFFSETS ? calendar : null;
+}
+
+// Month names of English and of the locale, longest first, to month numbers (1-12)
+function monthNames(locale) {
+    const names = new Map();
+    MONTHS_EN.forEach((name, index) => {
+        names.set(name, index + 1);
+        names.set(name.slice(0, 3), index + 1);
+    });
+    names.set('sept', 9);
+    if (locale) {
+        for (const month of ['long', 'short']) {
+            const formatter = new Intl.DateTimeFormat(locale, { month, timeZone: 'UTC' });
+            for (let index = 0; index < 12; index++) {
+                names.set(formatter.format(new Date(Date.UTC(2000, index, 15))).toLowerCase().replace(/\.$/, ''), index + 1);
+            }
+        }
+    }
+    return new Map([...names].sort(([a], [b]) => b.length - a.length));
+}
+
+// The order a numeric date's own values settle, if any
+function orderEvidence([first, second]) {
+    if (first.length > 2) return 'YMD';
+    if (Number(first) > 12) return 'DMY';
+    if (Number(second) > 12) return 'MDY';
+    return null;
+}
+
+function toGregorianYear(digits, calendar, referenceYear) {
+    let year = Number(digits);
+    if (digits.length <= 2) {
+        // Two-digit years fall in the century that puts them closest to the
+        // reference year, counted in the date's calendar
+        const reference = referenceYear + CALENDAR_YEAR_OFFSETS[calendar];
+        year += Math.floor(reference / 100) * 100;
+        if (year > reference + TWO_DIGIT_YEAR_LOOKAHEAD) year -= 100;
+        return year - CALENDAR_YEAR_OFFSETS[calendar];
+    }
+    if (year >= BUDDHIST_ERA_THRESHOLD) return year - CALENDAR_YEAR_OFFSETS.buddhist;
+    // Four-digit years below the Buddhist era are Gregorian; three-digit ones are Minguo (ROC) years
+    return digits.length === 3 ? year - CALENDAR_YEAR_OFFSETS[calendar] : year;
+}
+
+function toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (year < 1 || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Infer the date format of the dates of one field or column
+ * @param {Array<string>} texts - Dates as printed
+ * @param {Object} [hints] - locale ("en-US", "th-TH", "de-DE-u-ca-buddhist") and format hint ("DD/MM/YYYY")
+ * @returns {Object} order ("DMY", "MDY" or "YMD"), calendar ("gregory", "buddhist" or "roc"), locale, and
+ *   orderSource: "format", "dates", "locale", "default" (the order was assumed), or null when no date
+ *   depends on the order (none is numeric)
+ */
+export function inferDateFormat(texts, { locale = null, format = '' } = {}) {
+    const numericDates = texts
+        .map(text => toAsciiDigits(String(text).trim()).match(NUMERIC_DATE)?.slice(1))
+        .filter(Boolean);
+
+    // The order most dates leave no doubt about
+    const votes = {};
+    numericDates.map(orderEvidence).filter(Boolean).forEach(order => { votes[order] = (votes[order] || 0) + 1; });
+    const [votedOrder] = Object.entries(votes).sort(([, a], [, b]) => b - a)[0] || [];
+
+    let order;
+    let orderSource;
+    if (formatOrder(format)) {
+        [order, orderSource] = [formatOrder(format), 'format'];
+    } else if (votedOrder) {
+        [order, orderSource] = [votedOrder, 'dates'];
+    } else if (locale) {
+        [order, orderSource] = [localeOrder(locale), 'locale'];
+    } else {
+        [order, orderSource] = [DEFAULT_ORDER, numericDates.length > 0 ? 'default' : null];
+    }
+
+    // Buddhist-era years among the dates outweigh a locale's default calendar
+    const hasBuddhistYears = texts.some(text =>
+        (toAsciiDigits(String(text)).match(/\d{4}/g) || []).some(year => Number(year) >= BUDDHIST_ERA_THRESHOLD));
+    const calendar = (locale && localeCalendar(locale, { explicitOnly: true }))
+        || (hasBuddhistYears ? 'buddhist' : null)
+        || (locale && localeCalendar(locale))
+        || 'gregory';
+
+    return { order, calendar, locale, orderSource };
+}
+
+/**
+ * Read a date with a date format
+ * @param {string} text - Date as printed, e.g. "03/04/2024", "2024-03-15", "12 Jan 24", "March 15, 2024" or "15 ม.ค. 2567"
+ * @param {Object} dateFormat - order, calendar and locale (see inferDateFormat)
+ * @param {number} [referenceYear] - Year two-digit years are read near; the current year by default
+ * @returns {string|null} Date as YYYY-MM-DD, or null if the text is not a date in the format
+ */
+export function readDate(text, { order = DEFAULT_ORDER, calendar = 'gregory', locale = null } = {},
+    referenceYear = new Date().getUTCFullYear()) {
+    const value = toAsciiDigits(String(text).trim().toLowerCase());
+
+    const iso = value.match(ISO_DATE);
+    if (iso) return toIsoDate(toGregorianYear(iso[1], calendar, referenceYear), Number(iso[2]), Number(iso[3]));
+
+    const numeric = value.match(NUMERIC_DATE);
+    if (numeric) {
+        const values = numeric.slice(1, 4);
+        // A four-digit first value can only be a year
+        const dateOrder = values[0].length > 2 ? 'YMD' : order;
+        const parts = Object.fromEntries([...dateOrder].map((key, index) => [key, values[index]]));
+        return toIsoDate(toGregorianYear(parts.Y, calendar, referenceYear), Number(parts.M), Number(parts.D));
+    }
+
+    // Dates with a month name: "15 March 2024", "12-Jan-24", "March 15, 2024"
+    let month = null;
+    let rest = value;
+    for (const [name, number] of monthNames(locale)) {
+        const pattern = new RegExp(`(?<!\\p{L})${escapeRegExp(name)}(?!\\p{L})`, 'u');
+        if (pattern.test(rest)) {
+            month = number;
+            rest = rest.replace(pattern, ' ');
+            break;
+        }
+    }
+    if (!month) return null;
+
+    const numbers = rest.replace(/,/g, ' ').split(/[\s/.-]+/).filter(Boolean);
+    if (numbers.length !== 2 || !numbers.every(word => /^\d{1,4}$/.test(word))) return null;
+    // The year comes first when it has more than two digits ("2024 Mar 15"), otherwise last
+    const [day, year] = numbers[0].length > 2 ? [numbers[1], numbers[0]] : numbers;
+    return toIsoDate(toGregorianYear(year, calendar, referenceYear), month, Number(day));
+}
+
+/**
+ * Read one date on its own, with the format its own values, the format
+ * hint or the locale suggest
+ * @param {string} text - Date as printed
+ * @param {Object} [hints] - locale and format hint (see inferDateFormat)
+ * @returns {string|null} Date as YYYY-MM-DD, or null if the text is not a date
+ */
+export function parseDate(text, hints = {}) {
+    return readDate(text, inferDateFormat([text], hints));
+}
+
+/**
+ * Read the dates of one field or column with the format inferred from all of them
+ * @param {Array<string>} texts - Dates as printed; empty strings are skipped
+ * @param {Object} [hints] - locale and format hint (see inferDateFormat)
+ * @returns {Object} dates (YYYY-MM-DD, or null for each text that is not a date) and the dateFormat they were read with
+ */
+export function normalizeDates(texts, hints = {}) {
+    const dateFormat = inferDateFormat(texts.filter(Boolean), hints);
+    return {
+        dates: texts.map(text => text ? readDate(text, dateFormat) : null),
+        dateFormat
+    };
+}
@@ -0,0 +1,102 @@
+import { generateStructured, buildClassificationSchema } from './ResponseParser.js';
+import { hashContent } from './ResultCache.js';
+
+// Bump whenever the prompt changes, so cached results from the old prompt are not reused
+const PROMPT_VERSION = 1;
+
+// Number of leading pages the classifier looks at
+const CLASSIFY_PAGES = 2;
+
+/**
+ * Classifies a document by type from its first pages, so the extraction mode
+ * does not have to be known up front. Every registered extraction mode is a
+ * document type.
+ */
+export class DocumentClassifier {
+    constructor({ pdfHandler, modelProvider, resultCache, modeRegistry }) {
+        this.pdfHandler = pdfHandler;
+        this.modelProvider = modelProvider;
+        this.resultCache = resultCache;
+        this.modeRegistry = modeRegistry;
+    }
+
+    /**
+     * Classify a document
+     * @param {string} documentId - Document ID in the document store
+     * @param {Object} [callContext] - runId the model usage is recorded under, abort signal, and force to bypass the result cache
+     * @returns {Promise<Object>} documentType, label, confidence (0-1), reason, extractionMode (the mode ID) and whether it came from the result cache
+     */
+    async classify(documentId, { force = false, ...callContext } = {}) {
+        const pageCount = await this.pdfHandler.getPageCount(documentId);
+        const lastPage = Math.min(CLASSIFY_PAGES, pageCount);
+        const pagesBase64 = await this.pdfHandler.getPages(documentId, 1, lastPage);
+
+        const modes = this.modeRegistry.list();
+        const typeList = modes
+            .map(mode => `- "${mode.id}": ${mode.classifierHint}`)
+            .join('\n');
+
+        const request = {
+            contents: [{
+                role: "user",
+                parts: [
+                    { text: `Classify this PDF document. These are the first ${lastPage} page(s) of a ${pageCount}-page document.
+Return your response in this exact JSON format, with no additional text before or after:
+
+{
+    "documentType": "one of the types below",
+    "confidence": 0.0,
+    "reason": "short explanation"
+}
+
+Document types:
+${typeList}
+
+Rules:
+1. Return ONLY the JSON object, no other text
+2. confidence is a number from 0 to 1: how sure you are of the documentType
+3. Use "other" when the document matches none of the types` },
+                    {
+                        inlineData: {
+                            mimeType: "application/pdf",
+                            data: pagesBase64
+                        }
+                    }
+                ]
+            }]
+        };
+
+        const documentTypes = modes.map(mode => mode.id);
+        const { value: classification, cached } = await this.resultCache.remember({
+            task: 'classify-document',
+            promptVersion: PROMPT_VERSION,
+            contentHash: hashContent(pagesBase64),
+            // The type list is part of the prompt, so registering a mode invalidates old answers
+            documentTypes: typeList,
+            settings: this.modelProvider.getSettings()
+        }, async () => {
+            const { value } = await generateStructured(this.modelProvider, request, {
+                schema: buildClassificationSchema(documentTypes),
+                context: {
+                    task: 'classify-document',
+                    ...callContext,
+                    documentHash: documentId,
+                    pageRange: lastPage > 1 ? `1-${lastPage}` : '1'
+                }
+            });
+            return value;
+        }, { force });
+
+        console.log('Document classification:', classification);
+
+        const mode = this.modeRegistry.get(classification.documentType);
+        return {
+            documentType: mode.id,
+            label: mode.label,
+            confidence: classification.confidence,
+            reason: classification.reason || null,
+            extractionMode: mode.id,
+            cached
+        };
+    }
+}
@@ -0,0 +1,188 @@
+import { generateStructured, SCHEMAS } from './ResponseParser.js';
+import { hashContent } from './ResultCache.js';
+
+// Bump whenever the prompt changes, so cached results from the old prompt are not reused
+const PROMPT_VERSION = 1;
+
+/**
+ * Detects where the documents in a batched PDF (for example a scanned stack
+ * of invoices) begin, and cuts the batch into one stored document per span.
+ *
+ * Boundaries are detected page group by page group. The model marks the
+ * pages that start a new document; any page it does not mark continues the
+ * document before it, and the first page always starts one.
+ */
+export class DocumentSplitter {
+    constructor({ pdfHandler, documentStore, modelProvider, resultCache }) {
+        this.pdfHandler = pdfHandler;
+        this.documentStore = documentStore;
+        this.modelProvider = modelProvider;
+        this.resultCache = resultCache;
+    }
+
+    /**
+     * Check that segments are ordered, non-overlapping page spans within the document
+     * @param {Array<Object>} segments - startPage and endPage (1-based, inclusive) of each segment
+     * @param {number} pageCount - Page count of the document
+     * @returns {string|null} What is wrong with the segments, or null if they are valid
+     */
+    static validateSegments(segments, pageCount) {
+        if (!Array.isArray(segments) || segments.length === 0) {
+            return 'segments must be a non-empty array';
+        }
+
+        let previousEnd = 0;
+        for (const [index, segment] of segments.entries()) {
+            const { startPage, endPage } = segment || {};
+            if (!Number.isInteger(startPage) || !Number.isInteger(endPage)) {
+                return `segments[${index}]: startPage and endPage must be integers`;
+            }
+            if (startPage <= previousEnd || endPage < startPage || endPage > pageCount) {
+                return `segments[${index}]: pages ${startPage}-${endPage} overlap another segment or fall outside pages 1-${pageCount}`;
+            }
+            previousEnd = endPage;
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect the documents in a batched PDF
+     * @param {string} documentId - Document ID in the document store
+     * @param {Object} [callContext] - runId the model usage is recorded under, abort signal, and force to bypass the result cache
+     * @returns {Promise<Object>} pageCount, segments (startPage, endPage, label) and whether every group came from the result cache
+     */
+    async detectBoundaries(documentId, { force = false, ...callContext } = {}) {
+        const pageCount = await this.pdfHandler.getPageCount(documentId);
+        const totalGroups = Math.ceil(pageCount / this.pdfHandler.PAGES_PER_GROUP);
+
+        // Groups run concurrently; the model scheduler limits how many calls are in flight
+        const groupResults = await Promise.all(Array.from({ length: totalGroups }, (_, groupIndex) =>
+            this.detectGroupBoundaries(documentId, groupIndex, { force, ...callContext })));
+
+        const starts = new Map([[1, null]]);
+        for (const { pages } of groupResults) {
+            pages
+                .filter(page => page.startsNewDocument && page.pageNumber <= pageCount)
+                .forEach(page => starts.set(page.pageNumber, page.label || null));
+        }
+
+        const startPages = [...starts.keys()].sort((a, b) => a - b);
+        const segments = startPages.map((startPage, index) => ({
+            startPage,
+            endPage: index + 1 < startPages.length ? startPages[index + 1] - 1 : pageCount,
+            label: starts.get(startPage)
+        }));
+
+        console.log(`Detected ${segments.length} document(s) in ${pageCount} pages`);
+
+        return {
+            pageCount,
+            segments,
+            cached: groupResults.every(result => result.cached)
+        };
+    }
+
+    /**
+     * Ask the model which pages of one page group start a new document
+     * @param {string} documentId - Document ID in the document store
+     * @param {number} groupIndex - Index of the page group
+     * @param {Object} callContext - Call context, with force to bypass the result cache
+     * @returns {Promise<Object>} pages (pageNumber, startsNewDocument, label) and whether they came from the result cache
+     */
+    async detectGroupBoundaries(documentId, groupIndex, { force = false, ...callContext }) {
+        const group = await this.pdfHandler.getPageGroup(documentId, groupIndex);
+        const { startPage, endPage } = group;
+
+        const request = {
+            contents: [{
+                role: "user",
+                parts: [
+                    { text: `This PDF holds pages ${startPage} to ${endPage} of a scan that may contain several separate documents (for example a stack of invoices).
+For each page, decide whether it is the first page of a new document.
+Return your response in this exact JSON format, with no additional text before or after:
+
+{
+    "pages": [
+        {
+            "pageNumber": ${startPage},
+            "startsNewDocument": true,
+            "label": "short identifier of the document, such as its invoice number"
+        }
+    ]
+}
+
+Rules:
+1. Return ONLY the JSON object, no other text
+2. Page numbers must be actual numbers from ${startPage} to ${endPage}
+3. A page starts a new document when it has its own header, letterhead, document number or "page 1 of n"
+4. Continuation pages (totals carried over, "page 2 of n", attachments) do not start a new document
+5. ${startPage === 1 ? 'Page 1 always starts a new document' : `Only mark page ${startPage} as a new document if it clearly does not continue the previous page`}
+6. label is only needed for pages that start a new document; otherwise use null` },
+                    {
+                        inlineData: {
+                            mimeType: "application/pdf",
+                            data: group.base64
+                        }
+                    }
+                ]
+            }]
+        };
+
+        const { value, cached } = await this.resultCache.remember({
+            task: 'detect-boundaries',
+            promptVersion: PROMPT_VERSION,
+            contentHash: hashContent(group.base64),
+            // The page numbers are part of the prompt and of the answer
+            pageRange: `${startPage}-${endPage}`,
+            settings: this.modelProvider.getSettings()
+        }, async () => {
+            const { value } = await generateStructured(this.modelProvider, request, {
+                schema: SCHEMAS.documentBoundaries,
+                context: {
+                    task: 'detect-boundaries',
+                    key: `${startPage}-${endPage}`,
+                    vars: { startPage, endPage },
+                    ...callContext,
+                    documentHash: documentId,
+                    pageRange: `${startPage}-${endPage}`
+                }
+            });
+            return value;
+        }, { force });
+
+        return { pages: value.pages, cached };
+    }
+
+    /**
+     * Cut a batched PDF into one stored document per segment
+     * @param {string} documentId - Document ID of the batch
+     * @param {Array<Object>} segments - startPage, endPage and optional label of each document (see validateSegments)
+     * @param {Object} info - Optional filename of the batch, used to name the parts
+     * @returns {Promise<Array<Object>>} documentId, filename, pageCount, startPage, endPage and label of each part
+     */
+    async split(documentId, segments, { filename = null } = {}) {
+        const baseName = (filename || 'document.pdf').replace(/\.pdf$/i, '');
+        const documents = [];
+
+        for (const { startPage, endPage, label = null } of segments) {
+            const pagesBase64 = await this.pdfHandler.getPages(documentId, startPage, endPage);
+            const pageSpan = startPage === endPage ? `page ${startPage}` : `pages ${startPage}-${endPage}`;
+            const stored = await this.documentStore.save(Buffer.from(pagesBase64, 'base64'), {
+                filename: `${baseName} (${pageSpan}).pdf`
+            });
+
+            documents.push({
+                documentId: stored.documentId,
+                filename: stored.filename,
+                pageCount: endPage - startPage + 1,
+                startPage,
+                endPage,
+                label
+            });
+        }
+
+        console.log(`Split document ${documentId} into ${documents.length} document(s)`);
+        return documents;
+    }
+}
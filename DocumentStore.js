@@ -0,0 +1,206 @@
+import { createHash, randomUUID } from 'crypto';
+import { createWriteStream } from 'fs';
+import { readFile, writeFile, mkdir, access, rm, rename } from 'fs/promises';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+
+const DOCUMENT_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Stores uploaded PDFs on disk, addressed by the SHA-256 of their content.
+ *
+ * A document is uploaded once and afterwards referenced by its ID, so
+ * requests no longer carry the whole PDF. Uploading the same bytes twice
+ * returns the same ID.
+ *
+ * Document IDs are content hashes that also show up in usage reports and
+ * cache listings, so knowing one does not give access to the document: each
+ * document records the sessions allowed to use it, those that stored it.
+ */
+export class DocumentStore {
+    constructor(options = {}) {
+        this.directory = options.directory;
+    }
+
+    /**
+     * Check that a string has the shape of a document ID
+     * @param {string} documentId - Candidate ID
+     * @returns {boolean} True for a SHA-256 hex digest
+     */
+    static isValidId(documentId) {
+        return typeof documentId === 'string' && DOCUMENT_ID_PATTERN.test(documentId);
+    }
+
+    documentPath(documentId) {
+        return path.join(this.directory, `${documentId}.pdf`);
+    }
+
+    metadataPath(documentId) {
+        return path.join(this.directory, `${documentId}.json`);
+    }
+
+    // One empty marker file per session allowed to use the document, named after the session's hash
+    accessPath(documentId, sessionId = '') {
+        const sessionHash = sessionId && createHash('sha256').update(sessionId).digest('hex');
+        return path.join(this.directory, 'access', documentId, sessionHash);
+    }
+
+    /**
+     * Allow a session to use a document
+     * @param {string} documentId - Document ID
+     * @param {string} sessionId - Session that stored or derived the document
+     */
+    async grantAccess(documentId, sessionId) {
+        const accessPath = this.accessPath(documentId, sessionId);
+        await mkdir(path.dirname(accessPath), { recursive: true });
+        await writeFile(accessPath, '');
+    }
+
+    /**
+     * Check whether a document exists and a session may use it
+     * @param {string} documentId - Document ID
+     * @param {string} sessionId - Session of the request
+     * @returns {Promise<boolean>} True if stored and granted to the session
+     */
+    async hasAccess(documentId, sessionId) {
+        if (!sessionId || !(await this.has(documentId))) return false;
+        return access(this.accessPath(documentId, sessionId)).then(() => true, () => false);
+    }
+
+    /**
+     * Store a PDF
+     * @param {Buffer} pdfBytes - PDF content
+     * @param {Object} info - Optional filename of the upload, and for merged documents the manifest mapping pages to their source files
+     * @returns {Promise<Object>} Document metadata and whether it was new
+     */
+    async save(pdfBytes, { filename = null, manifest = null } = {}) {
+        const documentId = createHash('sha256').update(pdfBytes).digest('hex');
+
+        if (await this.has(documentId)) {
+            const info = await this.getInfo(documentId);
+            // A document merged before manifests were recorded gets one now
+            if (manifest && !info.manifest) {
+                await writeFile(this.metadataPath(documentId), JSON.stringify({ ...info, manifest }));
+                return { ...info, manifest, isNew: false };
+            }
+            return { ...info, isNew: false };
+        }
+
+        const metadata = {
+            documentId,
+            filename,
+            size: pdfBytes.length,
+            createdAt: new Date().toISOString(),
+            ...(manifest && { manifest })
+        };
+
+        await mkdir(this.directory, { recursive: true });
+        await writeFile(this.documentPath(documentId), pdfBytes);
+        await writeFile(this.metadataPath(documentId), JSON.stringify(metadata));
+        console.log(`Stored document ${documentId} (${pdfBytes.length} bytes)`);
+
+        return { ...metadata, isNew: true };
+    }
+
+    /**
+     * Store a PDF from a stream without holding it in memory. The content is
+     * hashed while it is written to a temporary file, which is then moved to
+     * its content-addressed name.
+     * @param {Readable} stream - PDF content stream
+     * @param {Object} info - Optional filename of the upload
+     * @returns {Promise<Object>} Document metadata and whether it was new
+     */
+    async saveStream(stream, { filename = null } = {}) {
+        await mkdir(this.directory, { recursive: true });
+
+        const tempPath = path.join(this.directory, `upload-${randomUUID()}.tmp`);
+        const hash = createHash('sha256');
+        let size = 0;
+
+        try {
+            await pipeline(
+                stream,
+                new Transform({
+                    transform(chunk, encoding, callback) {
+                        hash.update(chunk);
+                        size += chunk.length;
+                        callback(null, chunk);
+                    }
+                }),
+                createWriteStream(tempPath)
+            );
+        } catch (error) {
+            await rm(tempPath, { force: true });
+            throw error;
+        }
+
+        const documentId = hash.digest('hex');
+
+        if (await this.has(documentId)) {
+            await rm(tempPath, { force: true });
+            return { ...(await this.getInfo(documentId)), isNew: false };
+        }
+
+        const metadata = {
+            documentId,
+            filename,
+            size,
+            createdAt: new Date().toISOString()
+        };
+
+        await rename(tempPath, this.documentPath(documentId));
+        await writeFile(this.metadataPath(documentId), JSON.stringify(metadata));
+        console.log(`Stored document ${documentId} (${size} bytes)`);
+
+        return { ...metadata, isNew: true };
+    }
+
+    /**
+     * Check whether a document exists
+     * @param {string} documentId - Document ID
+     * @returns {Promise<boolean>} True if stored
+     */
+    async has(documentId) {
+        if (!DocumentStore.isValidId(documentId)) return false;
+        return access(this.documentPath(documentId)).then(() => true, () => false);
+    }
+
+    /**
+     * Read a document's bytes
+     * @param {string} documentId - Document ID
+     * @returns {Promise<Buffer>} PDF content
+     */
+    async read(documentId) {
+        if (!DocumentStore.isValidId(documentId)) {
+            throw new Error(`Invalid document ID: ${documentId}`);
+        }
+        return readFile(this.documentPath(documentId));
+    }
+
+    /**
+     * Get a document's metadata
+     * @param {string} documentId - Document ID
+     * @returns {Promise<Object>} Document ID, filename, size, creation time and, for merged documents, the page manifest
+     */
+    async getInfo(documentId) {
+        try {
+            return JSON.parse(await readFile(this.metadataPath(documentId), 'utf8'));
+        } catch (error) {
+            // Metadata is informational; fall back to what the file itself tells us
+            const pdfBytes = await this.read(documentId);
+            return { documentId, filename: null, size: pdfBytes.length, createdAt: null };
+        }
+    }
+
+    /**
+     * Delete a document
+     * @param {string} documentId - Document ID
+     */
+    async remove(documentId) {
+        if (!DocumentStore.isValidId(documentId)) return;
+        await rm(this.documentPath(documentId), { force: true });
+        await rm(this.metadataPath(documentId), { force: true });
+        await rm(this.accessPath(documentId), { recursive: true, force: true });
+    }
+}
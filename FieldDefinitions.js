@@ -0,0 +1,132 @@
+// Types a field value can be declared as; enum fields list the values they can take
+export const FIELD_TYPES = ['text', 'number', 'amount', 'date', 'boolean', 'enum'];
+
+// Types the model may suggest; an enum needs options only the user can give
+export const SUGGESTED_FIELD_TYPES = FIELD_TYPES.filter(type => type !== 'enum');
+
+// Other names accepted for the types above
+const TYPE_ALIASES = {
+    currency: 'amount'
+};
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_FORMAT_LENGTH = 200;
+const MAX_EXAMPLES = 5;
+const MAX_EXAMPLE_LENGTH = 100;
+const MAX_COLUMNS = 50;
+const MAX_OPTIONS = 50;
+
+/**
+ * Error raised when requested fields cannot be used, answered with HTTP 400
+ */
+export class FieldDefinitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FieldDefinitionError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Parse the fields of an extraction request into field definitions.
+ *
+ * A field is either a name or a definition: fieldName, description, type,
+ * a format hint ("DD/MM/YYYY", "digits only") and example values. Enum
+ * fields also list their options, the values the field can take. Fields
+ * given by name, and definitions without a type, are left untyped: the
+ * model types their values. A "currency" type is read as "amount".
+ * @param {Array<string|Object>} fields - Requested fields
+ * @returns {Array<Object>} fieldName, description, type (unless untyped), format and examples of each field (and options of enum fields), in request order
+ */
+export function parseFieldDefinitions(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new FieldDefinitionError('selectedFields must be a non-empty array of field names or definitions');
+    }
+
+    const definitions = fields.map((field, index) => {
+        const definition = typeof field === 'string' ? { fieldName: field } : field;
+        if (!definition || typeof definition !== 'object') {
+            throw new FieldDefinitionError(`Field ${index + 1} must be a field name or a definition object`);
+        }
+
+        const fieldName = typeof definition.fieldName === 'string' ? definition.fieldName.trim() : '';
+        if (!fieldName || fieldName.length > MAX_NAME_LENGTH) {
+            throw new FieldDefinitionError(`Field ${index + 1} needs a name of 1-${MAX_NAME_LENGTH} characters`);
+        }
+
+        const description = definition.description ?? '';
+        if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new FieldDefinitionError(`The description of ${fieldName} must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        const type = TYPE_ALIASES[definition.type] ?? definition.type ?? null;
+        if (type !== null && !FIELD_TYPES.includes(type)) {
+            throw new FieldDefinitionError(`The type of ${fieldName} must be one of: ${FIELD_TYPES.join(', ')}`);
+        }
+
+        const format = definition.format ?? '';
+        if (typeof format !== 'string' || format.length > MAX_FORMAT_LENGTH) {
+            throw new FieldDefinitionError(`The format of ${fieldName} must be text of at most ${MAX_FORMAT_LENGTH} characters`);
+        }
+
+        const examples = definition.examples ?? [];
+        const isValidExample = example => typeof example === 'string' && example.trim() && example.length <= MAX_EXAMPLE_LENGTH;
+        if (!Array.isArray(examples) || examples.length > MAX_EXAMPLES || !examples.every(isValidExample)) {
+            throw new FieldDefinitionError(`The examples of ${fieldName} must be at most ${MAX_EXAMPLES} values of 1-${MAX_EXAMPLE_LENGTH} characters`);
+        }
+
+        const options = definition.options ?? [];
+        const isValidOption = option => typeof option === 'string' && option.trim() && option.length <= MAX_NAME_LENGTH;
+        if (type === 'enum') {
+            if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS || !options.every(isValidOption)) {
+                throw new FieldDefinitionError(`Enum field ${fieldName} needs 1-${MAX_OPTIONS} options of 1-${MAX_NAME_LENGTH} characters`);
+            }
+            if (new Set(options.map(option => option.trim())).size !== options.length) {
+                throw new FieldDefinitionError(`The options of ${fieldName} must be unique`);
+            }
+        } else if (!Array.isArray(options) || options.length > 0) {
+            throw new FieldDefinitionError(`Only enum fields can have options; ${fieldName} is ${type ? `declared as ${type}` : 'not typed'}`);
+        }
+
+        return {
+            fieldName,
+            description: description.trim(),
+            ...(type && { type }),
+            format: format.trim(),
+            examples: examples.map(example => example.trim()),
+            ...(type === 'enum' && { options: options.map(option => option.trim()) })
+        };
+    });
+
+    const seen = new Set();
+    for (const { fieldName } of definitions) {
+        if (seen.has(fieldName)) {
+            throw new FieldDefinitionError(`Field ${fieldName} is requested more than once`);
+        }
+        seen.add(fieldName);
+    }
+
+    return definitions;
+}
+
+/**
+ * Parse a table column layout: the headers rows are extracted into, in order
+ * @param {Array<string>} columns - Column headers
+ * @returns {Array<string>} Trimmed column headers
+ */
+export function parseColumns(columns) {
+    if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_COLUMNS) {
+        throw new FieldDefinitionError(`columns must be an array of 1-${MAX_COLUMNS} column headers`);
+    }
+
+    const headers = columns.map(column => typeof column === 'string' ? column.trim() : '');
+    if (headers.some(header => !header || header.length > MAX_NAME_LENGTH)) {
+        throw new FieldDefinitionError(`Every column needs a header of 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (new Set(headers).size !== headers.length) {
+        throw new FieldDefinitionError('Column headers must be unique');
+    }
+
+    return headers;
+}
@@ -0,0 +1,259 @@
+import { generateStructured, buildExtractedPagesSchema, buildExtractedDocumentSchema, normalizeRegion, SCHEMAS } from './ResponseParser.js';
+import { hashContent } from './ResultCache.js';
+import { formatPageSelection } from './PageSelection.js';
+import { scoreField } from './Confidence.js';
+import { normalizeValue } from './TypedValues.js';
+import { inferDateFormat } from './DateNormalization.js';
+import { SUGGESTED_FIELD_TYPES } from './FieldDefinitions.js';
+
+// The mode's default fields come first and are marked as such; suggestions add the fields it does not cover
+function withDefaultFields(defaultFields = [], suggestedFields) {
+    const defaultNames = new Set(defaultFields.map(field => field.fieldName));
+    return [
+        ...defaultFields.map(field => ({ ...field, isDefault: true })),
+        ...suggestedFields.filter(field => !defaultNames.has(field.fieldName))
+    ];
+}
+
+// Give every extracted value the page it was read from and a usable region,
+// so the client can show where in the document the value came from, its
+// type (as declared, or as the model typed the value of an untyped field,
+// text when it gave none it could), and a confidence score with the issues that lowered it
+// (values that do not fit their declared type score low). Values of typed
+// fields also get their normalized form, null when the text does not parse.
+// The date fields of a document are read with one date format, inferred from
+// all of their values (a field's format hint still settles its own order),
+// and name it so the client can tell when the order was assumed.
+function annotateFields(fields, definitions, pageOf, locale) {
+    const definitionOf = fieldName => definitions.find(field => field.fieldName === fieldName) || { fieldName };
+    const typeOf = (definition, fieldData) => definition.type
+        || (SUGGESTED_FIELD_TYPES.includes(fieldData.type) ? fieldData.type : 'text');
+    const hasValue = fieldData => fieldData?.value !== null && fieldData?.value !== undefined && fieldData?.value !== '';
+    const dateTexts = Object.entries(fields)
+        .filter(([fieldName, fieldData]) => hasValue(fieldData) && typeOf(definitionOf(fieldName), fieldData) === 'date')
+        .map(([, fieldData]) => String(fieldData.value));
+
+    return Object.fromEntries(Object.entries(fields).map(([fieldName, fieldData]) => {
+        if (!fieldData || typeof fieldData !== 'object') return [fieldName, fieldData];
+
+        const declared = definitionOf(fieldName);
+        const definition = { ...declared, type: typeOf(declared, fieldData) };
+        const { page, region, confidence, ...rest } = fieldData;
+        const located = {
+            ...rest,
+            type: definition.type,
+            page: pageOf(fieldData),
+            region: rest.value === null ? null : normalizeRegion(region)
+        };
+        const dateFormat = located.type === 'date' ? inferDateFormat(dateTexts, { locale, format: definition.format }) : undefined;
+        const score = scoreField(definition, { ...located, confidence }, { locale, dateFormat });
+        // undefined (left out of the response) for text fields and values that were not found
+        const normalized = hasValue(located)
+            ? normalizeValue(located.value, located.type, { locale, format: definition.format, options: definition.options, dateFormat })
+            : undefined;
+        return [fieldName, { ...located, normalized, dateFormat, confidence: score.confidence, confidenceIssues: score.issues }];
+    }));
+}
+
+/**
+ * Suggests extractable fields and extracts field values from page groups or
+ * whole (split) documents, using the prompts of a "fields" extraction mode
+ */
+export class FieldExtractor {
+    constructor({ pdfHandler, modelProvider, resultCache }) {
+        this.pdfHandler = pdfHandler;
+        this.modelProvider = modelProvider;
+        this.resultCache = resultCache;
+    }
+
+    /**
+     * Suggest extractable fields from the first page of a document, or from the pages given
+     * @param {string} documentId - Document ID in the document store
+     * @param {Object} mode - Extraction mode (see ModeRegistry)
+     * @param {Object} [callContext] - pages to look at (default [1]), runId the model usage is recorded under, abort signal, and force to bypass the result cache
+     * @returns {Promise<Object>} Suggested fields (fieldName, description, isDefault) and whether they came from the result cache
+     */
+    async suggestFields(documentId, mode, { pages = [1], force = false, ...callContext } = {}) {
+        const pagesBase64 = await this.pdfHandler.getSelectedPages(documentId, pages);
+        
+        const request = {
+            contents: [{
+                role: "user",
+                parts: [
+                    { text: mode.prompts.suggestFields() },
+                    {
+                        inlineData: {
+                            mimeType: "application/pdf",
+                            data: pagesBase64
+                        }
+                    }
+                ]
+            }]
+        };
+
+        const { value: fields, cached } = await this.resultCache.remember({
+            task: 'suggest-fields',
+            mode: mode.id,
+            promptVersion: mode.promptVersion,
+            contentHash: hashContent(pagesBase64),
+            settings: this.modelProvider.getSettings()
+        }, async () => {
+            const { value } = await generateStructured(this.modelProvider, request, {
+                schema: SCHEMAS.fieldSuggestions,
+                context: {
+                    task: 'suggest-fields',
+                    ...callContext,
+                    documentHash: documentId,
+                    pageRange: formatPageSelection(pages)
+                }
+            });
+            return value;
+        }, { force });
+        
+        // Counts only: values read from documents stay out of the server logs
+        console.log(`Suggested ${fields.length} field(s)`);
+
+        return { fields: withDefaultFields(mode.defaultFields, fields), cached };
+    }
+
+    /**
+     * Extract the selected fields from one group of pages
+     * @param {string} documentId - Document ID in the document store
+     * @param {Object} mode - Extraction mode (see ModeRegistry)
+     * @param {Array<Object>} fields - Definitions of the fields to extract (see FieldDefinitions.js)
+     * @param {Object} groupInfo - Group index and page range; isSelection marks a run of selected pages rather than a fixed page group
+     * @param {Object} [callContext] - runId the model usage is recorded under, abort signal, force to bypass the result cache, and locale to normalize values with
+     * @returns {Promise<Object>} Extracted data with pages array, and whether it came from the result cache
+     */
+    async extractGroup(documentId, mode, fields, groupInfo, { force = false, locale = null, ...callContext } = {}) {
+        // Get the specific group of pages
+        const groupPages = groupInfo.isSelection
+            ? { base64: await this.pdfHandler.getPages(documentId, groupInfo.startPage, groupInfo.endPage) }
+            : await this.pdfHandler.getPageGroup(documentId, groupInfo.groupIndex);
+
+        const requestText = mode.prompts.extractGroup({
+            startPage: groupInfo.startPage,
+            endPage: groupInfo.endPage,
+            fields
+        });
+
+        const request = {
+            contents: [{
+                role: "user",
+                parts: [
+                    { text: requestText },
+                    {
+                        inlineData: {
+                            mimeType: "application/pdf",
+                            data: groupPages.base64
+                        }
+                    }
+                ]
+            }]
+        };
+
+        const { value: extractedData, cached } = await this.resultCache.remember({
+            task: 'extract-data-group',
+            mode: mode.id,
+            promptVersion: mode.promptVersion,
+            contentHash: hashContent(groupPages.base64),
+            fields,
+            // The page numbers are part of the prompt and of the answer
+            pageRange: `${groupInfo.startPage}-${groupInfo.endPage}`,
+            settings: this.modelProvider.getSettings()
+        }, async () => {
+            const { value } = await generateStructured(this.modelProvider, request, {
+                schema: buildExtractedPagesSchema(fields.map(field => field.fieldName)),
+                context: {
+                    task: 'extract-data-group',
+                    key: `${groupInfo.startPage}-${groupInfo.endPage}`,
+                    vars: { startPage: groupInfo.startPage, endPage: groupInfo.endPage, fieldNames: fields.map(field => field.fieldName) },
+                    ...callContext,
+                    documentHash: documentId,
+                    pageRange: `${groupInfo.startPage}-${groupInfo.endPage}`
+                }
+            });
+            return value;
+        }, { force });
+        
+        console.log(`Extracted ${extractedData.pages.length} page(s) from pages ${groupInfo.startPage}-${groupInfo.endPage}`);
+
+        return {
+            data: {
+                ...extractedData,
+                pages: extractedData.pages.map(page => ({
+                    ...page,
+                    fields: annotateFields(page.fields, fields, () => page.pageNumber, locale)
+                }))
+            },
+            cached
+        };
+    }
+
+    /**
+     * Extract the selected fields from a whole document as one record, such as
+     * one invoice split out of a batch
+     * @param {string} documentId - Document ID of the split-out document
+     * @param {Object} mode - Extraction mode (see ModeRegistry)
+     * @param {Array<Object>} fields - Definitions of the fields to extract (see FieldDefinitions.js)
+     * @param {Object} span - startPage and endPage of the document in its batch, and its label
+     * @param {Object} [callContext] - runId the model usage is recorded under, abort signal, force to bypass the result cache, and locale to normalize values with
+     * @returns {Promise<Object>} Data with a single row spanning the document's pages, and whether it came from the result cache
+     */
+    async extractDocument(documentId, mode, fields, span, { force = false, locale = null, ...callContext } = {}) {
+        const pageCount = await this.pdfHandler.getPageCount(documentId);
+        const pagesBase64 = await this.pdfHandler.getPages(documentId, 1, pageCount);
+
+        const request = {
+            contents: [{
+                role: "user",
+                parts: [
+                    { text: mode.prompts.extractDocument({ pageCount, fields }) },
+                    {
+                        inlineData: {
+                            mimeType: "application/pdf",
+                            data: pagesBase64
+                        }
+                    }
+                ]
+            }]
+        };
+
+        // The answer does not depend on where the document sat in its batch, so the span is not part of the key
+        const { value: extracted, cached } = await this.resultCache.remember({
+            task: 'extract-document',
+            mode: mode.id,
+            promptVersion: mode.promptVersion,
+            contentHash: hashContent(pagesBase64),
+            fields,
+            settings: this.modelProvider.getSettings()
+        }, async () => {
+            const { value } = await generateStructured(this.modelProvider, request, {
+                schema: buildExtractedDocumentSchema(fields.map(field => field.fieldName)),
+                context: {
+                    task: 'extract-document',
+                    key: `${span.startPage}-${span.endPage}`,
+                    vars: { startPage: span.startPage, endPage: span.endPage, pageCount, fieldNames: fields.map(field => field.fieldName) },
+                    ...callContext,
+                    documentHash: documentId,
+                    pageRange: pageCount > 1 ? `1-${pageCount}` : '1'
+                }
+            });
+            return value;
+        }, { force });
+
+        return {
+            data: {
+                pages: [{
+                    pageNumber: span.startPage,
+                    endPage: span.endPage,
+                    label: span.label || null,
+                    // The model names pages of the split-out document; results refer to pages of the batch
+                    fields: annotateFields(extracted.fields, fields, ({ page }) =>
+                        span.startPage + (Number.isInteger(page) && page <= pageCount ? page : 1) - 1, locale)
+                }]
+            },
+            cached
+        };
+    }
+}
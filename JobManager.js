@@ -0,0 +1,258 @@
+import { randomUUID } from 'crypto';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * In-memory registry of long-running extraction jobs.
+ *
+ * A job is split into units (page groups for field extraction, pages for
+ * table extraction). Each unit records its own status and partial result so
+ * clients can poll progress and pick up results after a reload. A unit moves
+ * from "pending" through "running" to an outcome: "succeeded", "empty"
+ * (processed, nothing found), "failed" (with the error) or "cancelled".
+ *
+ * Runs of a job never overlap: a retry waits for the run it follows to
+ * settle, and a run that was aborted no longer writes its outcome.
+ */
+export class JobManager {
+    constructor(options = {}) {
+        this.jobs = new Map();
+        this.JOB_TTL = options.jobTtl || 60 * 60 * 1000; // Keep finished jobs for 1 hour
+
+        // Periodically drop finished jobs that nobody collected
+        this.cleanupTimer = setInterval(() => this.removeExpiredJobs(), 5 * 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Create and start a job
+     * @param {string} type - Job type ("fields" or "table")
+     * @param {Object} input - Job input kept on the server (never serialized)
+     * @param {Function} run - async (job, signal) => void, processes the job's pending units (also used for retries)
+     * @param {string} sessionId - Session that submitted the job, the only one allowed to see and control it
+     * @returns {Object} The created job
+     */
+    createJob(type, input, run, sessionId) {
+        const now = new Date().toISOString();
+        const job = {
+            id: randomUUID(),
+            type,
+            sessionId,
+            status: 'queued',
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            totalPages: 0,
+            meta: {},
+            units: [],
+            error: null,
+            input,
+            run,
+            abortController: new AbortController(),
+            // Settles when the latest run has; retries chain onto it
+            running: null
+        };
+
+        this.jobs.set(job.id, job);
+        console.log(`Job ${job.id} (${type}) created`);
+
+        // Run in the background; the request that submitted the job returns immediately
+        job.running = new Promise(resolve => setImmediate(resolve)).then(() => this.runJob(job));
+
+        return job;
+    }
+
+    async runJob(job) {
+        // Cancelled before the run started
+        if (job.status === 'cancelled') {
+            job.finishedAt = new Date().toISOString();
+            return;
+        }
+
+        // Cancelling aborts this signal and a retry replaces it, so an aborted
+        // run leaves the job's status to whoever stopped it
+        const { signal } = job.abortController;
+        this.touch(job, { status: 'running' });
+
+        try {
+            await job.run(job, signal);
+
+            if (!signal.aborted) {
+                const failedUnits = job.units.filter(unit => unit.status === 'failed');
+                this.touch(job, {
+                    status: failedUnits.length === job.units.length && job.units.length > 0 ? 'failed' : 'completed',
+                    error: failedUnits.length > 0 ? `${failedUnits.length} of ${job.units.length} units failed` : null
+                });
+            }
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error);
+            if (!signal.aborted) {
+                this.touch(job, { status: 'failed', error: error.message });
+            }
+        } finally {
+            // Units the aborted run planned after the cancel did not run either
+            if (signal.aborted) this.cancelOpenUnits(job);
+            if (job.abortController.signal === signal) {
+                job.finishedAt = new Date().toISOString();
+                console.log(`Job ${job.id} finished with status ${job.status}`);
+            }
+        }
+    }
+
+    cancelOpenUnits(job) {
+        job.units
+            .filter(unit => unit.status === 'pending' || unit.status === 'running')
+            .forEach(unit => { unit.status = 'cancelled'; });
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} jobId - Job ID
+     * @returns {Object|undefined} Job
+     */
+    getJob(jobId) {
+        return this.jobs.get(jobId);
+    }
+
+    /**
+     * Cancel a running job. Units already completed keep their results; the
+     * job is finished once its run has noticed and stopped.
+     * @param {string} jobId - Job ID
+     * @returns {Object|undefined} Cancelled job
+     */
+    cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return undefined;
+
+        if (!TERMINAL_STATUSES.includes(job.status)) {
+            job.abortController.abort();
+            this.cancelOpenUnits(job);
+            this.touch(job, { status: 'cancelled' });
+            console.log(`Job ${jobId} cancelled`);
+        }
+
+        return job;
+    }
+
+    /**
+     * Re-run the failed and cancelled units of a finished job. Units that
+     * already succeeded keep their results; the retried units' results
+     * replace the failed ones when they complete. A job cancelled while its
+     * run was still in flight is queued until that run has settled, so the
+     * late results of the cancelled run cannot land in the retried units.
+     * @param {string} jobId - Job ID
+     * @returns {Object|undefined} Restarted job
+     */
+    retryJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return undefined;
+
+        if (!TERMINAL_STATUSES.includes(job.status)) {
+            throw new Error('Job is still running');
+        }
+
+        // A cancelled job is re-run even without units: it may have been
+        // cancelled before its units were planned
+        const isRetried = unit => unit.status === 'failed' || unit.status === 'cancelled';
+        if (!job.units.some(isRetried) && job.status !== 'cancelled') {
+            return job;
+        }
+
+        const abortController = new AbortController();
+        job.abortController = abortController;
+        job.finishedAt = null;
+        this.touch(job, { status: 'queued', error: null });
+
+        job.running = job.running.then(() => {
+            // Cancelled again while waiting for the previous run
+            if (abortController.signal.aborted) {
+                job.finishedAt = new Date().toISOString();
+                return;
+            }
+
+            const retriedUnits = job.units.filter(isRetried);
+            retriedUnits.forEach(unit => {
+                unit.status = 'pending';
+                unit.error = null;
+            });
+            console.log(`Job ${jobId}: retrying ${retriedUnits.length} failed or cancelled units`);
+            return this.runJob(job);
+        });
+
+        return job;
+    }
+
+    /**
+     * Add a unit of work to a job
+     * @param {Object} job - Job
+     * @param {Object} unit - Unit with at least an id
+     * @returns {Object} The stored unit
+     */
+    addUnit(job, unit) {
+        const stored = { id: unit.id, status: 'pending', error: null, result: null, ...unit };
+        job.units.push(stored);
+        this.touch(job);
+        return stored;
+    }
+
+    /**
+     * Update a unit's status and result
+     * @param {Object} job - Job
+     * @param {string} unitId - Unit ID
+     * @param {Object} changes - Fields to update
+     */
+    updateUnit(job, unitId, changes) {
+        const unit = job.units.find(u => u.id === unitId);
+        if (!unit || unit.status === 'cancelled') return;
+
+        Object.assign(unit, changes);
+        this.touch(job);
+    }
+
+    touch(job, changes = {}) {
+        Object.assign(job, changes);
+        job.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Serialize a job for API responses
+     * @param {Object} job - Job
+     * @returns {Object} Public job representation with merged partial results
+     */
+    toJSON(job) {
+        const pages = job.units
+            .filter(unit => unit.result?.pages)
+            .flatMap(unit => unit.result.pages)
+            // Rows of separately processed files stay grouped by file
+            .sort((a, b) => (a.fileIndex ?? 0) - (b.fileIndex ?? 0) || a.pageNumber - b.pageNumber);
+
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            finishedAt: job.finishedAt,
+            totalPages: job.totalPages,
+            meta: job.meta,
+            error: job.error,
+            progress: {
+                total: job.units.length,
+                completed: job.units.filter(unit => unit.status === 'succeeded' || unit.status === 'empty').length,
+                failed: job.units.filter(unit => unit.status === 'failed').length,
+                cached: job.units.filter(unit => unit.cached).length
+            },
+            units: job.units.map(({ result, ...unit }) => unit),
+            result: { pages }
+        };
+    }
+
+    removeExpiredJobs() {
+        const cutoff = Date.now() - this.JOB_TTL;
+        for (const [jobId, job] of this.jobs) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Least-recently-used cache bounded by entry count and total size in bytes.
+ *
+ * Each entry is stored with its size (as reported by the caller) and expires
+ * ttlMs after it was last written. When a write pushes the cache over either
+ * budget, the least recently used entries are evicted until it fits again.
+ */
+export class LRUCache {
+    constructor(options = {}) {
+        this.name = options.name || 'cache';
+        this.maxEntries = options.maxEntries || 100;
+        this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+        this.ttlMs = options.ttlMs ?? 30 * 60 * 1000; // 0 disables expiry
+
+        // Map iteration order is insertion order, so the first key is the least recently used
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+        // Release expired entries even if they are never looked up again
+        if (this.ttlMs > 0) {
+            setInterval(() => this.prune(), Math.min(this.ttlMs, 60 * 1000)).unref();
+        }
+    }
+
+    /**
+     * Get a value and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value, or undefined on a miss
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        if (this.isExpired(entry)) {
+            this.removeEntry(key, entry);
+            this.stats.expirations++;
+            this.stats.misses++;
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        entry.lastAccessedAt = Date.now();
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting least recently used entries to stay within budget
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     * @param {number} size - Size of the value in bytes
+     * @returns {boolean} False if the value is larger than the whole budget and was not cached
+     */
+    set(key, value, size = 0) {
+        const existing = this.entries.get(key);
+        if (existing) {
+            this.removeEntry(key, existing);
+        }
+
+        if (size > this.maxBytes) {
+            console.warn(`${this.name}: not caching ${key}, ${size} bytes exceeds the ${this.maxBytes} byte budget`);
+            return false;
+        }
+
+        const now = Date.now();
+        this.entries.set(key, { value, size, createdAt: now, lastAccessedAt: now });
+        this.totalBytes += size;
+
+        while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+            const [oldestKey, oldestEntry] = this.entries.entries().next().value;
+            this.removeEntry(oldestKey, oldestEntry);
+            this.stats.evictions++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     * @returns {boolean} True if the key was cached
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.removeEntry(key, entry);
+        return true;
+    }
+
+    /**
+     * Remove every value whose key starts with a prefix
+     * @param {string} prefix - Key prefix
+     * @returns {number} Number of entries removed
+     */
+    deleteByPrefix(prefix) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (key.startsWith(prefix)) {
+                this.removeEntry(key, entry);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Remove all values. Hit and miss counters are kept.
+     * @returns {number} Number of entries removed
+     */
+    clear() {
+        const removed = this.entries.size;
+        this.entries.clear();
+        this.totalBytes = 0;
+        return removed;
+    }
+
+    /**
+     * Drop expired entries
+     * @returns {number} Number of entries removed
+     */
+    prune() {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (this.isExpired(entry)) {
+                this.removeEntry(key, entry);
+                this.stats.expirations++;
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    isExpired(entry) {
+        return this.ttlMs > 0 && Date.now() - entry.createdAt > this.ttlMs;
+    }
+
+    removeEntry(key, entry) {
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+    }
+
+    /**
+     * Budget, usage and hit/miss counters
+     * @param {Object} options - Pass includeEntries to list cached keys, most recently used first
+     * @returns {Object} Cache statistics
+     */
+    getStats({ includeEntries = false } = {}) {
+        const lookups = this.stats.hits + this.stats.misses;
+        const stats = {
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            ttlMs: this.ttlMs,
+            ...this.stats,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : null
+        };
+
+        if (includeEntries) {
+            stats.keys = [...this.entries].reverse().map(([key, entry]) => ({
+                key,
+                size: entry.size,
+                createdAt: new Date(entry.createdAt).toISOString(),
+                lastAccessedAt: new Date(entry.lastAccessedAt).toISOString()
+            }));
+        }
+
+        return stats;
+    }
+}
@@ -0,0 +1,88 @@
+// Prompts each extraction strategy needs a mode to declare
+const REQUIRED_PROMPTS = {
+    fields: ['suggestFields', 'extractGroup', 'extractDocument'],
+    table: ['tableHeaders', 'tableRows']
+};
+
+/**
+ * Registry of extraction modes (invoice, bank statement, payslip, ...).
+ *
+ * A mode bundles everything that is specific to a kind of document: how the
+ * classifier recognizes it, the extraction strategy ("fields" for values per
+ * page group, "table" for rows per page), its prompts, default fields or
+ * columns, and the renderer and exporters the client shows results with.
+ * Adding a document type means registering a mode; the extractors, routes
+ * and client flow stay the same.
+ */
+export class ModeRegistry {
+    constructor() {
+        this.modes = new Map();
+    }
+
+    /**
+     * Add a mode
+     * @param {Object} mode - Mode definition (see modes/*.js)
+     * @returns {ModeRegistry} The registry, for chaining
+     */
+    register(mode) {
+        if (!mode?.id || !/^[a-z][a-z0-9_]*$/.test(mode.id)) {
+            throw new Error(`Invalid mode ID: ${mode?.id}`);
+        }
+        if (this.modes.has(mode.id)) {
+            throw new Error(`Mode ${mode.id} is already registered`);
+        }
+
+        const requiredPrompts = REQUIRED_PROMPTS[mode.strategy];
+        if (!requiredPrompts) {
+            throw new Error(`Mode ${mode.id} has unknown strategy "${mode.strategy}"`);
+        }
+
+        const missingPrompts = requiredPrompts.filter(name => typeof mode.prompts?.[name] !== 'function');
+        if (missingPrompts.length > 0) {
+            throw new Error(`Mode ${mode.id} is missing prompts: ${missingPrompts.join(', ')}`);
+        }
+
+        this.modes.set(mode.id, mode);
+        return this;
+    }
+
+    /**
+     * Get a mode by ID
+     * @param {string} modeId - Mode ID
+     * @returns {Object|null} Mode, or null if none is registered under the ID
+     */
+    get(modeId) {
+        return this.modes.get(modeId) || null;
+    }
+
+    /**
+     * Get every mode in registration order
+     * @returns {Array<Object>} Modes
+     */
+    list() {
+        return Array.from(this.modes.values());
+    }
+
+    /**
+     * Get the part of a mode the client needs, without its prompts
+     * @param {Object} mode - Mode
+     * @returns {Object} Public mode description
+     */
+    describe(mode) {
+        return {
+            id: mode.id,
+            label: mode.label,
+            description: mode.description,
+            bestFor: mode.bestFor,
+            note: mode.note,
+            strategy: mode.strategy,
+            defaultFields: mode.defaultFields || [],
+            defaultColumns: mode.defaultColumns || [],
+            columnOrder: mode.columnOrder,
+            rowLabel: mode.rowLabel,
+            renderer: mode.renderer,
+            exporters: mode.exporters,
+            exportFilename: mode.exportFilename
+        };
+    }
+}
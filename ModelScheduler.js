@@ -0,0 +1,160 @@
+/**
+ * Check whether an error means the model quota or rate limit was hit
+ * @param {Error} error - Error thrown by a model call
+ * @returns {boolean} True for 429 / quota errors
+ */
+export function isRateLimitError(error) {
+    return error?.status === 429 ||
+        /\b429\b|RESOURCE_EXHAUSTED|quota|rate limit|too many requests/i.test(error?.message || '');
+}
+
+// Wait for ms milliseconds, rejecting early if the signal is aborted
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Schedules model calls for all routes.
+ *
+ * At most `concurrency` calls run at once and calls start no faster than a
+ * token bucket allows. Calls that fail with a 429 / quota error are retried
+ * with exponential backoff and jitter, and the request rate is halved until
+ * calls succeed again. Other errors (including unparseable output) are
+ * returned to the caller straight away.
+ */
+export class ModelScheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.maxRate = options.requestsPerMinute || 60;
+        this.minRate = Math.min(options.minRequestsPerMinute || 6, this.maxRate);
+        this.burst = options.burst || this.concurrency;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.backoffBase = options.backoffBaseMs ?? 2000;
+        this.backoffMax = options.backoffMaxMs ?? 60000;
+
+        this.rate = this.maxRate; // Current requests per minute, lowered after 429s
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Run a model call under the concurrency and rate limits
+     * @param {Function} task - async () => result, one model call
+     * @param {Object} options - Call options
+     * @param {AbortSignal} [options.signal] - Gives up waiting when aborted
+     * @param {string} [options.label] - Name used in log messages
+     * @returns {Promise<*>} Result of the task
+     */
+    async run(task, { signal = null, label = 'model call' } = {}) {
+        for (let retry = 0; ; retry++) {
+            await this.acquireSlot(signal);
+
+            let backoff;
+            try {
+                await this.takeToken(signal);
+                const result = await task();
+                this.onSuccess();
+                return result;
+            } catch (error) {
+                if (!isRateLimitError(error) || retry >= this.maxRetries || signal?.aborted) {
+                    throw error;
+                }
+
+                this.onRateLimited();
+                const exponential = Math.min(this.backoffMax, this.backoffBase * 2 ** retry);
+                backoff = exponential / 2 + Math.random() * exponential / 2;
+                console.warn(`Rate limited on ${label}, retrying in ${Math.round(backoff / 1000)}s ` +
+                    `(retry ${retry + 1}/${this.maxRetries}, rate now ${Math.round(this.rate)}/min)`);
+            } finally {
+                this.releaseSlot();
+            }
+
+            await sleep(backoff, signal);
+        }
+    }
+
+    async acquireSlot(signal) {
+        if (signal?.aborted) throw signal.reason;
+
+        if (this.active < this.concurrency) {
+            this.active++;
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            const entry = { resolve, reject, signal, onAbort: null };
+            if (signal) {
+                entry.onAbort = () => {
+                    this.waiting = this.waiting.filter(waiting => waiting !== entry);
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            this.waiting.push(entry);
+        });
+    }
+
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            // Hand the slot straight to the next caller
+            next.signal?.removeEventListener('abort', next.onAbort);
+            next.resolve();
+        } else {
+            this.active--;
+        }
+    }
+
+    async takeToken(signal) {
+        for (;;) {
+            const now = Date.now();
+            const tokensPerMs = this.rate / 60000;
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * tokensPerMs);
+            this.lastRefill = now;
+
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+
+            await sleep(Math.ceil((1 - this.tokens) / tokensPerMs), signal);
+        }
+    }
+
+    onRateLimited() {
+        this.rate = Math.max(this.minRate, this.rate / 2);
+    }
+
+    onSuccess() {
+        // Recover gradually towards the configured rate
+        this.rate = Math.min(this.maxRate, this.rate + this.maxRate / 10);
+    }
+
+    /**
+     * Current scheduler state, for logging and diagnostics
+     * @returns {Object} Active and queued calls and the current rate
+     */
+    getStats() {
+        return {
+            active: this.active,
+            queued: this.waiting.length,
+            concurrency: this.concurrency,
+            requestsPerMinute: Math.round(this.rate),
+            maxRequestsPerMinute: this.maxRate
+        };
+    }
+}
@@ -0,0 +1,122 @@
+import busboy from 'busboy';
+
+// Format a byte count for error messages
+function formatSize(bytes) {
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.min(sizes.length - 1, Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(k)));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+/**
+ * Error raised when an upload is rejected, with the HTTP status to answer with
+ */
+export class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+/**
+ * Remove the documents an upload stored for the first time, once the upload
+ * is rejected. Documents that were already stored before stay.
+ * @param {Array<Object>} documents - Stored documents of the upload
+ * @param {DocumentStore} documentStore - Store the files were written to
+ */
+export async function discardUploads(documents, documentStore) {
+    await Promise.all(documents
+        .filter(document => document?.isNew)
+        .map(document => documentStore.remove(document.documentId)));
+}
+
+/**
+ * Receive PDFs from a multipart/form-data request, streaming each file into
+ * the document store. Limits are enforced while streaming: the upload fails
+ * as soon as a file grows past maxFileSize or too many files are sent, and
+ * the files it stored before are removed again.
+ * @param {IncomingMessage} req - Request with a multipart body
+ * @param {DocumentStore} documentStore - Store the files are written to
+ * @param {Object} limits - maxFileSize (bytes) and maxFiles
+ * @returns {Promise<Array<Object>>} Stored documents in upload order
+ */
+export function receivePdfUploads(req, documentStore, limits = {}) {
+    const maxFileSize = limits.maxFileSize || 100 * 1024 * 1024;
+    const maxFiles = limits.maxFiles || 10;
+
+    return new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { fileSize: maxFileSize, files: maxFiles, fields: 20 }
+            });
+        } catch (error) {
+            return reject(new UploadError(`Invalid multipart upload: ${error.message}`));
+        }
+
+        const saves = [];
+        const files = [];
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            req.unpipe(parser);
+
+            // Stop files still streaming (with the error, so their saves end), then remove what the upload stored
+            files.forEach(file => file.destroy(error));
+            Promise.all(saves)
+                .then(documents => discardUploads(documents, documentStore))
+                .catch(cleanupError => console.error('Failed to discard rejected upload:', cleanupError.message))
+                .finally(() => reject(error));
+        };
+
+        parser.on('file', (fieldName, file, { filename, mimeType }) => {
+            if (failed) {
+                file.resume();
+                return;
+            }
+
+            const isPDF = mimeType === 'application/pdf' || filename?.toLowerCase().endsWith('.pdf');
+            if (!isPDF) {
+                file.resume();
+                fail(new UploadError(`${filename} is not a PDF file`, 415));
+                return;
+            }
+
+            file.on('limit', () => {
+                const error = new UploadError(`${filename} exceeds ${formatSize(maxFileSize)} size limit`, 413);
+                file.destroy(error);
+                fail(error);
+            });
+
+            files.push(file);
+            saves.push(documentStore.saveStream(file, { filename }).catch(error => {
+                fail(error);
+                return null;
+            }));
+        });
+
+        parser.on('filesLimit', () => {
+            fail(new UploadError(`At most ${maxFiles} files can be uploaded at once`, 413));
+        });
+
+        parser.on('error', error => fail(new UploadError(`Upload failed: ${error.message}`)));
+
+        parser.on('close', async () => {
+            const documents = await Promise.all(saves);
+            if (failed) return;
+
+            if (documents.length === 0) {
+                fail(new UploadError('No PDF file found in upload'));
+                return;
+            }
+            resolve(documents);
+        });
+
+        req.on('aborted', () => fail(new UploadError('Upload aborted by client')));
+        req.pipe(parser);
+    });
+}
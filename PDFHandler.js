@@ -1,56 +1,58 @@
-import { PDFDocument } from 'pdf-lib';
+import { PDFDocument, degrees } from 'pdf-lib';
+import { LRUCache } from './LRUCache.js';
+
+// Leave out creation and modification dates so the same pages always produce
+// the same bytes, which keeps content hashes of extracted pages stable
+const CREATE_OPTIONS = { updateMetadata: false };
 
 export class PDFHandler {
     constructor(options = {}) {
         this.PAGES_PER_GROUP = options.pagesPerGroup || 10;
+        this.documentStore = options.documentStore;
+        // Keys start with the document ID (a SHA-256 of the content), so
+        // entries for different documents cannot collide
+        const { documentCache = {}, pageGroupCache = {} } = options;
         this.cache = {
-            documents: new Map(),
-            pageGroups: new Map()
+            documents: new LRUCache({
+                ...documentCache,
+                name: 'PDF document cache',
+                maxEntries: documentCache.maxEntries || 20
+            }),
+            pageGroups: new LRUCache({
+                ...pageGroupCache,
+                name: 'PDF page group cache',
+                maxEntries: pageGroupCache.maxEntries || 200
+            })
         };
     }
 
     /**
-     * Create a simple hash for caching
-     * @param {string} str - String to hash
-     * @returns {string} Hash string
-     */
-    hashString(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-        }
-        return hash.toString();
-    }
-
-    /**
-     * Load document with caching
-     * @param {string} base64PDF - PDF content in base64
+     * Load a stored document with caching
+     * @param {string} documentId - Document ID in the document store
      * @returns {Promise<PDFDocument>} PDF document
      */
-    async getDocument(base64PDF) {
-        const cacheKey = this.hashString(base64PDF);
-        
-        if (!this.cache.documents.has(cacheKey)) {
-            console.log('Loading new PDF document');
-            const pdfBytes = Buffer.from(base64PDF, 'base64');
-            const pdfDoc = await PDFDocument.load(pdfBytes);
-            this.cache.documents.set(cacheKey, pdfDoc);
-            return pdfDoc;
+    async getDocument(documentId) {
+        const cached = this.cache.documents.get(documentId);
+        if (cached) {
+            console.log('Using cached PDF document');
+            return cached;
         }
-        
-        console.log('Using cached PDF document');
-        return this.cache.documents.get(cacheKey);
+
+        console.log(`Loading PDF document ${documentId}`);
+        const pdfBytes = await this.documentStore.read(documentId);
+        const pdfDoc = await PDFDocument.load(pdfBytes);
+        // The parsed document is budgeted at the size of its source bytes
+        this.cache.documents.set(documentId, pdfDoc, pdfBytes.length);
+        return pdfDoc;
     }
 
     /**
      * Get page count for a PDF
-     * @param {string} base64PDF - PDF content in base64
+     * @param {string} documentId - Document ID in the document store
      * @returns {Promise<number>} Page count
      */
-    async getPageCount(base64PDF) {
-        const pdfDoc = await this.getDocument(base64PDF);
+    async getPageCount(documentId) {
+        const pdfDoc = await this.getDocument(documentId);
         const pageCount = pdfDoc.getPageCount();
         console.log(`Page count: ${pageCount}`);
         return pageCount;
@@ -58,12 +60,12 @@ export class PDFHandler {
 
     /**
      * Get first page of a PDF
-     * @param {string} base64PDF - PDF content in base64
+     * @param {string} documentId - Document ID in the document store
      * @returns {Promise<string>} First page as base64 string
      */
-    async getFirstPageBase64(base64PDF) {
-        const pdfDoc = await this.getDocument(base64PDF);
-        const newPdfDoc = await PDFDocument.create();
+    async getFirstPageBase64(documentId) {
+        const pdfDoc = await this.getDocument(documentId);
+        const newPdfDoc = await PDFDocument.create(CREATE_OPTIONS);
         
         const [firstPage] = await newPdfDoc.copyPages(pdfDoc, [0]);
         newPdfDoc.addPage(firstPage);
@@ -74,25 +76,25 @@ export class PDFHandler {
 
     /**
      * Get a group of pages from a PDF
-     * @param {string} base64PDF - PDF content in base64
+     * @param {string} documentId - Document ID in the document store
      * @param {number} groupIndex - Index of the page group
      * @returns {Promise<Object>} Group information and content
      */
-    async getPageGroup(base64PDF, groupIndex) {
-        // Create cache key
-        const pdfHash = this.hashString(base64PDF);
-        const cacheKey = `${pdfHash}_group_${groupIndex}`;
+    async getPageGroup(documentId, groupIndex) {
+        // Create cache key; the group size is part of it because it decides which pages a group holds
+        const cacheKey = `${documentId}:group:${this.PAGES_PER_GROUP}:${groupIndex}`;
         
         // Return cached result if available
-        if (this.cache.pageGroups.has(cacheKey)) {
+        const cached = this.cache.pageGroups.get(cacheKey);
+        if (cached) {
             console.log(`Using cached page group ${groupIndex}`);
-            return this.cache.pageGroups.get(cacheKey);
+            return cached;
         }
         
         // Process the page group
         try {
             console.log(`Getting page group ${groupIndex}...`);
-            const pdfDoc = await this.getDocument(base64PDF);
+            const pdfDoc = await this.getDocument(documentId);
             const totalPages = pdfDoc.getPageCount();
             
             const startPage = groupIndex * this.PAGES_PER_GROUP;
@@ -103,7 +105,7 @@ export class PDFHandler {
             }
 
             // Create a new document with just the pages for this group
-            const newPdfDoc = await PDFDocument.create();
+            const newPdfDoc = await PDFDocument.create(CREATE_OPTIONS);
             const pageIndices = Array.from(
                 { length: endPage - startPage }, 
                 (_, i) => startPage + i
@@ -123,7 +125,7 @@ export class PDFHandler {
             };
             
             // Cache the result
-            this.cache.pageGroups.set(cacheKey, result);
+            this.cache.pageGroups.set(cacheKey, result, result.base64.length);
             
             return result;
         } catch (error) {
@@ -132,30 +134,93 @@ export class PDFHandler {
         }
     }
     
+    /**
+     * Check a page layout chosen for one PDF of a merge
+     * @param {Object} layout - pages: page (1-based) and optional rotation (clockwise degrees, a multiple of 90) of each page to keep, in order
+     * @param {number} pageCount - Page count of the PDF
+     * @returns {string|null} What is wrong with the layout, or null if it is valid
+     */
+    static validateLayout(layout, pageCount) {
+        if (!Array.isArray(layout?.pages) || layout.pages.length === 0) {
+            return 'pages must be a non-empty array';
+        }
+
+        for (const [index, entry] of layout.pages.entries()) {
+            const { page, rotation = 0 } = entry || {};
+            if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+                return `pages[${index}]: page ${page} is outside pages 1-${pageCount}`;
+            }
+            if (!Number.isInteger(rotation) || rotation % 90 !== 0) {
+                return `pages[${index}]: rotation must be a multiple of 90 degrees`;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Merge multiple PDFs into one
      * @param {Array<string>} base64PDFs - Array of PDF contents in base64
-     * @returns {Promise<string>} Merged PDF as base64 string
+     * @param {Array<string>} [filenames] - File name of each PDF, for the manifest
+     * @param {Array<Object|null>} [layouts] - Page layout of each PDF (see validateLayout)
+     * @returns {Promise<Object>} Merged PDF as base64 string, page manifest and skipped PDFs (see mergePDFBuffers)
+     */
+    async mergeBase64PDFs(base64PDFs, filenames = [], layouts = []) {
+        const pdfBuffers = base64PDFs.map(base64Pdf => base64Pdf ? Buffer.from(base64Pdf, 'base64') : null);
+        const { pdfBytes, manifest, skipped } = await this.mergePDFBuffers(pdfBuffers, filenames, layouts);
+        return { base64: Buffer.from(pdfBytes).toString('base64'), manifest, skipped };
+    }
+
+    /**
+     * Merge stored documents into one PDF
+     * @param {Array<string>} documentIds - Document IDs in merge order
+     * @param {Array<Object|null>} [layouts] - Page layout of each document (see validateLayout); null keeps every page as it is
+     * @returns {Promise<Object>} Merged PDF bytes, page manifest and skipped documents (see mergePDFBuffers)
+     */
+    async mergeDocuments(documentIds, layouts = []) {
+        const pdfBuffers = await Promise.all(documentIds.map(documentId => this.documentStore.read(documentId)));
+        const infos = await Promise.all(documentIds.map(documentId => this.documentStore.getInfo(documentId)));
+        const merged = await this.mergePDFBuffers(pdfBuffers, infos.map(info => info.filename), layouts);
+
+        // Stored documents are also identified by their ID
+        const withDocumentId = entry => ({ ...entry, documentId: documentIds[entry.sourceIndex] });
+        return {
+            pdfBytes: merged.pdfBytes,
+            manifest: merged.manifest.map(withDocumentId),
+            skipped: merged.skipped.map(withDocumentId)
+        };
+    }
+
+    /**
+     * Merge PDF buffers, skipping ones that cannot be read. The manifest maps
+     * every merged page back to the file and page it came from.
+     * @param {Array<Buffer>} pdfBuffers - PDF contents
+     * @param {Array<string>} [filenames] - File name of each PDF
+     * @param {Array<Object|null>} [layouts] - Pages to keep of each PDF, in order and with their rotation (see validateLayout); null keeps every page as it is
+     * @returns {Promise<Object>} pdfBytes, manifest ({ page, sourceIndex, filename, sourcePage, rotation } per merged page)
+     *     and skipped ({ sourceIndex, filename, reason } per PDF left out)
      */
-    async mergeBase64PDFs(base64PDFs) {
+    async mergePDFBuffers(pdfBuffers, filenames = [], layouts = []) {
         try {
-            console.log(`Merging ${base64PDFs.length} PDFs...`);
+            console.log(`Merging ${pdfBuffers.length} PDFs...`);
             
             // Create a new PDF document
-            const mergedPdf = await PDFDocument.create();
+            const mergedPdf = await PDFDocument.create(CREATE_OPTIONS);
+            const manifest = [];
+            const skipped = [];
             
             // Process each PDF
-            for (const base64Pdf of base64PDFs) {
+            for (const [sourceIndex, pdfBuffer] of pdfBuffers.entries()) {
+                const filename = filenames[sourceIndex] || `File ${sourceIndex + 1}`;
+                
                 // Skip empty PDFs
-                if (!base64Pdf) {
+                if (!pdfBuffer) {
                     console.warn('Skipping empty PDF in merge');
+                    skipped.push({ sourceIndex, filename, reason: 'The file is empty' });
                     continue;
                 }
                 
                 try {
-                    // Convert base64 to buffer
-                    const pdfBuffer = Buffer.from(base64Pdf, 'base64');
-                    
                     // Load the PDF document
                     const pdfDoc = await PDFDocument.load(pdfBuffer);
                     
@@ -163,22 +228,44 @@ export class PDFHandler {
                     const pageCount = pdfDoc.getPageCount();
                     console.log(`PDF has ${pageCount} pages`);
                     
-                    // Copy all pages to the merged PDF
-                    const pages = await mergedPdf.copyPages(pdfDoc, Array.from(Array(pageCount).keys()));
+                    // Keep the pages the layout lists, or all of them
+                    const layoutPages = layouts[sourceIndex]?.pages
+                        || Array.from({ length: pageCount }, (_, pageIndex) => ({ page: pageIndex + 1 }));
+                    const layoutError = PDFHandler.validateLayout({ pages: layoutPages }, pageCount);
+                    if (layoutError) {
+                        skipped.push({ sourceIndex, filename, reason: `Invalid page layout: ${layoutError}` });
+                        continue;
+                    }
+                    
+                    // Copy the pages to the merged PDF
+                    const pages = await mergedPdf.copyPages(pdfDoc, layoutPages.map(({ page }) => page - 1));
                     
-                    // Add all pages to the merged PDF
-                    pages.forEach(page => mergedPdf.addPage(page));
+                    // Add the pages to the merged PDF, turned on top of their own rotation
+                    pages.forEach((page, index) => {
+                        const { page: sourcePage, rotation = 0 } = layoutPages[index];
+                        if (rotation) {
+                            page.setRotation(degrees((page.getRotation().angle + rotation) % 360));
+                        }
+                        mergedPdf.addPage(page);
+                        manifest.push({
+                            page: mergedPdf.getPageCount(),
+                            sourceIndex,
+                            filename,
+                            sourcePage,
+                            rotation
+                        });
+                    });
                 } catch (error) {
-                    console.error('Error processing PDF during merge:', error);
-                    // Continue with next PDF
+                    console.error(`Skipping ${filename} in merge:`, error);
+                    skipped.push({ sourceIndex, filename, reason: `Could not read the PDF: ${error.message}` });
                 }
             }
             
             // Save the merged PDF
             const mergedPdfBytes = await mergedPdf.save();
             
-            console.log('PDFs merged successfully');
-            return Buffer.from(mergedPdfBytes).toString('base64');
+            console.log(`PDFs merged successfully (${skipped.length} skipped)`);
+            return { pdfBytes: mergedPdfBytes, manifest, skipped };
         } catch (error) {
             console.error('Error merging PDFs:', error);
             throw new Error('Failed to merge PDF files: ' + error.message);
@@ -186,25 +273,49 @@ export class PDFHandler {
     }
 
     /**
-     * Clear the cache
-     * @returns {boolean} Success
+     * Clear the cache, or only the entries of one document
+     * @param {string} [documentId] - Document ID to flush; omit to flush everything
+     * @returns {Object} Number of document and page group entries removed
      */
-    clearCache() {
-        this.cache.documents.clear();
-        this.cache.pageGroups.clear();
+    clearCache(documentId = null) {
+        if (documentId) {
+            const removed = {
+                documents: this.cache.documents.delete(documentId) ? 1 : 0,
+                pageGroups: this.cache.pageGroups.deleteByPrefix(`${documentId}:`)
+            };
+            console.log(`PDF caches cleared for document ${documentId}`);
+            return removed;
+        }
+
+        const removed = {
+            documents: this.cache.documents.clear(),
+            pageGroups: this.cache.pageGroups.clear()
+        };
         console.log('PDF document and page group caches cleared');
-        return true;
+        return removed;
+    }
+
+    /**
+     * Get cache statistics
+     * @param {Object} options - Pass includeEntries to list cached keys
+     * @returns {Object} Statistics for the document and page group caches
+     */
+    getCacheStats(options = {}) {
+        return {
+            documents: this.cache.documents.getStats(options),
+            pageGroups: this.cache.pageGroups.getStats(options)
+        };
     }
     
     /**
      * Get specific page range from a PDF
-     * @param {string} base64PDF - PDF content in base64
+     * @param {string} documentId - Document ID in the document store
      * @param {number} startPage - Start page (1-based)
      * @param {number} endPage - End page (1-based)
      * @returns {Promise<string>} PDF with selected pages as base64 string
      */
-    async getPages(base64PDF, startPage, endPage) {
-        const pdfDoc = await this.getDocument(base64PDF);
+    async getPages(documentId, startPage, endPage) {
+        const pdfDoc = await this.getDocument(documentId);
         const totalPages = pdfDoc.getPageCount();
         
         // Validate page range
@@ -212,15 +323,31 @@ export class PDFHandler {
             throw new Error(`Invalid page range: ${startPage}-${endPage} (document has ${totalPages} pages)`);
         }
         
-        // Convert to zero-based indices
-        const pageIndices = Array.from(
+        const pageNumbers = Array.from(
             { length: endPage - startPage + 1 },
-            (_, i) => startPage - 1 + i
+            (_, i) => startPage + i
         );
+        return this.getSelectedPages(documentId, pageNumbers);
+    }
+
+    /**
+     * Get arbitrary pages from a PDF, in the order given
+     * @param {string} documentId - Document ID in the document store
+     * @param {Array<number>} pageNumbers - Page numbers (1-based)
+     * @returns {Promise<string>} PDF with the selected pages as base64 string
+     */
+    async getSelectedPages(documentId, pageNumbers) {
+        const pdfDoc = await this.getDocument(documentId);
+        const totalPages = pdfDoc.getPageCount();
+        
+        const invalidPage = pageNumbers.find(pageNumber => !Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > totalPages);
+        if (invalidPage !== undefined || pageNumbers.length === 0) {
+            throw new Error(`Invalid page selection: ${pageNumbers.join(', ')} (document has ${totalPages} pages)`);
+        }
         
-        // Create new document with selected pages
-        const newPdfDoc = await PDFDocument.create();
-        const pages = await newPdfDoc.copyPages(pdfDoc, pageIndices);
+        // Create new document with selected pages, converted to zero-based indices
+        const newPdfDoc = await PDFDocument.create(CREATE_OPTIONS);
+        const pages = await newPdfDoc.copyPages(pdfDoc, pageNumbers.map(pageNumber => pageNumber - 1));
         pages.forEach(page => newPdfDoc.addPage(page));
         
         const pdfBytes = await newPdfDoc.save();
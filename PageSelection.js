@@ -0,0 +1,88 @@
+/**
+ * Error raised when a page selection cannot be used, answered with HTTP 400
+ */
+export class PageSelectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PageSelectionError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Parse a page selection into page numbers.
+ *
+ * A selection is either a string of pages and ranges ("1-3, 5, 8-10") or an
+ * array of page numbers. Pages are returned sorted and without duplicates.
+ * @param {string|Array<number>} selection - Page selection
+ * @param {number} pageCount - Page count of the document
+ * @returns {Array<number>} Selected page numbers (1-based)
+ */
+export function parsePageSelection(selection, pageCount) {
+    const pages = new Set();
+
+    const addPage = (pageNumber) => {
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pageCount) {
+            throw new PageSelectionError(`Page ${pageNumber} is outside the document (pages 1-${pageCount})`);
+        }
+        pages.add(pageNumber);
+    };
+
+    if (Array.isArray(selection)) {
+        selection.forEach(addPage);
+    } else if (typeof selection === 'string') {
+        for (const part of selection.split(',').map(part => part.trim()).filter(Boolean)) {
+            const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) {
+                throw new PageSelectionError(`Invalid page selection "${part}": use page numbers and ranges such as "1-3, 5"`);
+            }
+
+            const startPage = Number(match[1]);
+            const endPage = match[2] !== undefined ? Number(match[2]) : startPage;
+            if (endPage < startPage) {
+                throw new PageSelectionError(`Invalid page range "${part}": the end page comes before the start page`);
+            }
+            for (let pageNumber = startPage; pageNumber <= endPage; pageNumber++) {
+                addPage(pageNumber);
+            }
+        }
+    } else {
+        throw new PageSelectionError('pages must be a string such as "1-3, 5" or an array of page numbers');
+    }
+
+    if (pages.size === 0) {
+        throw new PageSelectionError('The page selection is empty');
+    }
+
+    return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Split page numbers into runs of consecutive pages, each at most maxLength long
+ * @param {Array<number>} pageNumbers - Sorted page numbers
+ * @param {number} [maxLength] - Longest run to return
+ * @returns {Array<Object>} startPage and endPage of each run
+ */
+export function toPageRuns(pageNumbers, maxLength = Infinity) {
+    const runs = [];
+    for (const pageNumber of pageNumbers) {
+        const run = runs[runs.length - 1];
+        if (run && pageNumber === run.endPage + 1 && run.endPage - run.startPage + 1 < maxLength) {
+            run.endPage = pageNumber;
+        } else {
+            runs.push({ startPage: pageNumber, endPage: pageNumber });
+        }
+    }
+    return runs;
+}
+
+/**
+ * Format page numbers as a compact selection string ("1-3, 5")
+ * @param {Array<number>} pageNumbers - Sorted page numbers
+ * @returns {string} Page selection
+ */
+export function formatPageSelection(pageNumbers) {
+    return toPageRuns(pageNumbers)
+        .map(({ startPage, endPage }) => startPage === endPage ? `${startPage}` : `${startPage}-${endPage}`)
+        .join(', ');
+}
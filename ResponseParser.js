@@ -0,0 +1,406 @@
+import { SUGGESTED_FIELD_TYPES } from './FieldDefinitions.js';
+
+/**
+ * Parsing and validation of structured model output.
+ *
+ * Every endpoint declares the JSON schema its model response must satisfy.
+ * Responses are requested in the provider's structured-output mode where it
+ * is supported, validated against the schema, and on failure the model gets
+ * one targeted repair prompt listing the validation errors.
+ */
+
+export const ERROR_CODES = {
+    EMPTY_RESPONSE: 'MODEL_OUTPUT_EMPTY',
+    INVALID_JSON: 'MODEL_OUTPUT_INVALID_JSON',
+    SCHEMA_MISMATCH: 'MODEL_OUTPUT_SCHEMA_MISMATCH'
+};
+
+/**
+ * Error raised when model output cannot be turned into valid data
+ */
+export class ModelOutputError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ModelOutputError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Approximate box around a value or row on its page: [left, top, right, bottom]
+// as fractions of the page width and height, measured from the top-left corner
+const REGION_SCHEMA = {
+    type: ['array', 'null'],
+    items: { type: 'number' }
+};
+
+// How sure the model is of a value, from 0 to 1 (see Confidence.js)
+const CONFIDENCE_SCHEMA = { type: 'number' };
+
+export const SCHEMAS = {
+    fieldSuggestions: {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['fieldName', 'description'],
+            properties: {
+                fieldName: { type: 'string', minLength: 1 },
+                description: { type: 'string' },
+                type: { type: 'string', enum: SUGGESTED_FIELD_TYPES }
+            }
+        }
+    },
+    tableHeaders: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string' }
+    },
+    tableRows: {
+        type: 'object',
+        required: ['rows'],
+        properties: {
+            rows: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['cells'],
+                    properties: {
+                        cells: {
+                            type: 'array',
+                            items: { type: ['string', 'number', 'null'] }
+                        },
+                        region: REGION_SCHEMA,
+                        confidence: {
+                            type: 'array',
+                            items: CONFIDENCE_SCHEMA
+                        }
+                    }
+                }
+            }
+        }
+    },
+    documentBoundaries: {
+        type: 'object',
+        required: ['pages'],
+        properties: {
+            pages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['pageNumber', 'startsNewDocument'],
+                    properties: {
+                        pageNumber: { type: 'integer', minimum: 1 },
+                        startsNewDocument: { type: 'boolean' },
+                        label: { type: ['string', 'null'] }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Schema of the fields object in extraction responses: every requested field,
+// with a null value when it is not found, and no others
+function buildFieldsSchema(fieldNames) {
+    const fieldValueSchema = {
+        type: 'object',
+        required: ['value'],
+        properties: {
+            value: { type: ['string', 'number', 'boolean', 'null'] },
+            type: { type: 'string' },
+            page: { type: 'integer', minimum: 1 },
+            region: REGION_SCHEMA,
+            confidence: CONFIDENCE_SCHEMA
+        }
+    };
+
+    return {
+        type: 'object',
+        required: fieldNames,
+        properties: Object.fromEntries(fieldNames.map(name => [name, fieldValueSchema])),
+        additionalProperties: false
+    };
+}
+
+/**
+ * Build the schema for a pages/fields extraction response
+ * @param {Array<string>} fieldNames - Requested field names
+ * @returns {Object} JSON schema
+ */
+export function buildExtractedPagesSchema(fieldNames) {
+    return {
+        type: 'object',
+        required: ['pages'],
+        properties: {
+            pages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['pageNumber', 'fields'],
+                    properties: {
+                        pageNumber: { type: 'integer', minimum: 1 },
+                        fields: buildFieldsSchema(fieldNames)
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Build the schema for a whole-document extraction response (one record per document)
+ * @param {Array<string>} fieldNames - Requested field names
+ * @returns {Object} JSON schema
+ */
+export function buildExtractedDocumentSchema(fieldNames) {
+    return {
+        type: 'object',
+        required: ['fields'],
+        properties: {
+            fields: buildFieldsSchema(fieldNames)
+        }
+    };
+}
+
+/**
+ * Build the schema for a document classification response
+ * @param {Array<string>} documentTypes - Allowed document type IDs
+ * @returns {Object} JSON schema
+ */
+export function buildClassificationSchema(documentTypes) {
+    return {
+        type: 'object',
+        required: ['documentType', 'confidence'],
+        properties: {
+            documentType: { type: 'string', enum: documentTypes },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            reason: { type: 'string' }
+        }
+    };
+}
+
+/**
+ * Turn a region from model output into a usable box. Regions are approximate,
+ * so coordinates are clamped to the page rather than rejected.
+ * @param {*} region - [left, top, right, bottom] as fractions of the page size
+ * @returns {Array<number>|null} Clamped region, or null if it does not describe a box
+ */
+export function normalizeRegion(region) {
+    if (!Array.isArray(region) || region.length !== 4 || !region.every(Number.isFinite)) {
+        return null;
+    }
+
+    const clamp = coordinate => Math.min(Math.max(coordinate, 0), 1);
+    const [left, top, right, bottom] = region.map(clamp);
+    if (right <= left || bottom <= top) {
+        return null;
+    }
+
+    return [left, top, right, bottom];
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a JSON schema subset
+ * (type, properties, required, items, additionalProperties, enum, minItems, minLength, minimum, maximum)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = typeOf(value);
+
+    if (schema.type) {
+        const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowedTypes.some(type =>
+            type === actualType || (type === 'number' && actualType === 'integer'));
+        if (!matches) {
+            errors.push(`${path}: expected ${allowedTypes.join(' or ')}, got ${actualType}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (actualType === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+    }
+
+    if ((actualType === 'number' || actualType === 'integer') && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+
+    if ((actualType === 'number' || actualType === 'integer') && schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}: missing required property "${key}"`);
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                errors.push(...validateSchema(propertyValue, propertySchema, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Parse the JSON value in a model response, tolerating code fences and
+ * text around the JSON
+ * @param {string} text - Raw model response
+ * @returns {*} Parsed value
+ */
+export function parseModelJson(text) {
+    if (!text || !text.trim()) {
+        throw new ModelOutputError(ERROR_CODES.EMPTY_RESPONSE, 'Model returned an empty response');
+    }
+
+    let cleaned = text.trim();
+    const fenceMatch = cleaned.match(/^```(?:\w+)?\s*([\s\S]*?)\s*```$/);
+    if (fenceMatch) {
+        cleaned = fenceMatch[1];
+    }
+
+    try {
+        return JSON.parse(cleaned);
+    } catch (error) {
+        // Fall back to the outermost JSON array or object in the text
+        const start = cleaned.search(/[[{]/);
+        const end = Math.max(cleaned.lastIndexOf(']'), cleaned.lastIndexOf('}'));
+        if (start >= 0 && end > start) {
+            try {
+                return JSON.parse(cleaned.slice(start, end + 1));
+            } catch (innerError) {
+                // Reported below
+            }
+        }
+        throw new ModelOutputError(ERROR_CODES.INVALID_JSON, `Model response is not valid JSON: ${error.message}`, {
+            rawResponse: text
+        });
+    }
+}
+
+/**
+ * Parse and validate a model response
+ * @param {string} text - Raw model response
+ * @param {Object} schema - JSON schema the value must satisfy
+ * @returns {*} Validated value
+ */
+export function parseStructuredResponse(text, schema) {
+    const value = parseModelJson(text);
+    const errors = validateSchema(value, schema);
+
+    if (errors.length > 0) {
+        throw new ModelOutputError(ERROR_CODES.SCHEMA_MISMATCH, `Model response does not match the expected format: ${errors.slice(0, 5).join('; ')}`, {
+            validationErrors: errors,
+            rawResponse: text
+        });
+    }
+
+    return value;
+}
+
+/**
+ * Build the follow-up prompt that asks the model to fix its own output
+ * @param {ModelOutputError} error - Parse or validation error
+ * @param {Object} schema - Expected JSON schema
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(error, schema) {
+    const problems = error.details.validationErrors?.length
+        ? error.details.validationErrors.slice(0, 20).map(problem => `- ${problem}`).join('\n')
+        : `- ${error.message}`;
+
+    return `Your previous response could not be used because of these problems:
+${problems}
+
+Return the corrected response as JSON that matches this JSON schema exactly:
+${JSON.stringify(schema)}
+
+Return ONLY the JSON, no other text or code blocks.`;
+}
+
+/**
+ * Ask the model for JSON matching a schema, repairing invalid output
+ * @param {Object} modelProvider - Model provider
+ * @param {Object} request - Request with a contents array
+ * @param {Object} options - Call options
+ * @param {Object} options.schema - JSON schema the response must satisfy
+ * @param {Object} options.context - Provider call context (task, key, vars)
+ * @param {number} [options.maxRepairs=1] - Repair prompts to try before failing
+ * @returns {Promise<Object>} Parsed value and raw response text
+ */
+export async function generateStructured(modelProvider, request, { schema, context = {}, maxRepairs = 1 }) {
+    const { text } = await modelProvider.generateContent(request, { ...context, responseSchema: schema });
+
+    let lastText = text;
+    let lastError;
+    try {
+        return { value: parseStructuredResponse(text, schema), text };
+    } catch (error) {
+        if (!(error instanceof ModelOutputError)) throw error;
+        lastError = error;
+    }
+
+    const contents = [...request.contents];
+    for (let repair = 1; repair <= maxRepairs; repair++) {
+        console.warn(`Invalid ${context.task || 'model'} output (${lastError.code}), requesting repair ${repair}/${maxRepairs}`);
+
+        contents.push(
+            { role: 'model', parts: [{ text: lastText }] },
+            { role: 'user', parts: [{ text: buildRepairPrompt(lastError, schema) }] }
+        );
+
+        const { text: repairedText } = await modelProvider.generateContent({ ...request, contents }, {
+            ...context,
+            responseSchema: schema,
+            repair
+        });
+
+        lastText = repairedText;
+        try {
+            return { value: parseStructuredResponse(repairedText, schema), text: repairedText };
+        } catch (error) {
+            if (!(error instanceof ModelOutputError)) throw error;
+            lastError = error;
+        }
+    }
+
+    // The length only: the response holds values read from the document
+    console.error(`Invalid ${context.task || 'model'} output after ${maxRepairs} repair(s) (${lastText.length} characters): ${lastError.message}`);
+    throw lastError;
+}
@@ -0,0 +1,193 @@
+import { createHash, randomUUID } from 'crypto';
+import { readFile, writeFile, mkdir, rename, readdir, stat, rm, utimes } from 'fs/promises';
+import path from 'path';
+
+// How often the cache directory is brought back within its budget
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Hash PDF content sent to the model
+ * @param {string} base64 - Content in base64
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashContent(base64) {
+    return createHash('sha256').update(base64).digest('hex');
+}
+
+// JSON with object keys sorted, so equal key parts always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Persistent cache of parsed model results.
+ *
+ * Results are keyed by everything that decides the model's answer: the task,
+ * the prompt version, a hash of the page content, the requested fields or
+ * columns, and the model settings. Bump a task's prompt version when its
+ * prompt changes so stale answers are not served. Each result is a JSON file
+ * named after its key, so the cache survives restarts.
+ *
+ * Like LRUCache, the directory is bounded by entry count and total size:
+ * a file's modification time records when it was last used, entries unused
+ * for ttlMs expire, and the least recently used entries are removed when
+ * the cache grows past either budget.
+ */
+export class ResultCache {
+    constructor(options = {}) {
+        this.directory = options.directory;
+        this.enabled = options.enabled ?? true;
+        this.maxEntries = options.maxEntries || 10000;
+        this.maxBytes = options.maxBytes || 512 * 1024 * 1024;
+        this.ttlMs = options.ttlMs ?? 30 * 24 * 60 * 60 * 1000; // 0 disables expiry
+
+        if (this.enabled) {
+            setInterval(() => this.prune().catch(error => console.warn('Failed to prune result cache:', error.message)),
+                PRUNE_INTERVAL_MS).unref();
+        }
+    }
+
+    /**
+     * Build a cache key
+     * @param {Object} keyParts - task, promptVersion, contentHash, settings and task-specific inputs
+     * @returns {string} SHA-256 hex digest of the key parts
+     */
+    static buildKey(keyParts) {
+        return createHash('sha256').update(stableStringify(keyParts)).digest('hex');
+    }
+
+    entryPath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    /**
+     * Get a cached result
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Cached value, or undefined on a miss
+     */
+    async get(key) {
+        const entryPath = this.entryPath(key);
+        try {
+            const { mtimeMs } = await stat(entryPath);
+            if (this.isExpired(mtimeMs)) {
+                await rm(entryPath, { force: true });
+                return undefined;
+            }
+
+            const entry = JSON.parse(await readFile(entryPath, 'utf8'));
+            // Mark the entry as recently used
+            const now = new Date();
+            await utimes(entryPath, now, now).catch(() => {});
+            return entry.value;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Ignoring unreadable result cache entry ${key}:`, error.message);
+            }
+            return undefined;
+        }
+    }
+
+    /**
+     * Store a result
+     * @param {string} key - Cache key
+     * @param {*} value - Parsed model result
+     * @param {string} task - Task name, kept for inspection
+     */
+    async set(key, value, task) {
+        await mkdir(this.directory, { recursive: true });
+
+        // Write to a temporary file first so a crash never leaves a truncated entry
+        const tempPath = path.join(this.directory, `${key}-${randomUUID()}.tmp`);
+        await writeFile(tempPath, JSON.stringify({ key, task, createdAt: new Date().toISOString(), value }));
+        await rename(tempPath, this.entryPath(key));
+    }
+
+    /**
+     * Remove expired entries, then the least recently used ones until the
+     * cache fits its entry and size budgets
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+        let filenames;
+        try {
+            filenames = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        const entries = (await Promise.all(filenames
+            .filter(filename => filename.endsWith('.json'))
+            .map(async filename => {
+                const entryPath = path.join(this.directory, filename);
+                // Entries removed since the directory was read are skipped
+                const stats = await stat(entryPath).catch(() => null);
+                return stats && { entryPath, size: stats.size, lastUsedAt: stats.mtimeMs };
+            })))
+            .filter(Boolean)
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+        // Keep the most recently used entries that fit; everything older goes
+        let keptEntries = 0;
+        let keptBytes = 0;
+        let full = false;
+        const removed = entries.filter(entry => {
+            full = full || keptEntries + 1 > this.maxEntries || keptBytes + entry.size > this.maxBytes;
+            if (full || this.isExpired(entry.lastUsedAt)) return true;
+            keptEntries++;
+            keptBytes += entry.size;
+            return false;
+        });
+
+        await Promise.all(removed.map(entry => rm(entry.entryPath, { force: true })));
+        if (removed.length > 0) {
+            console.log(`Result cache: removed ${removed.length} expired or least recently used entries`);
+        }
+        return removed.length;
+    }
+
+    isExpired(lastUsedAt) {
+        return this.ttlMs > 0 && Date.now() - lastUsedAt > this.ttlMs;
+    }
+
+    /**
+     * Return the cached result for the key parts, or compute and cache it
+     * @param {Object} keyParts - Key parts (see buildKey)
+     * @param {Function} compute - async () => value, called on a miss
+     * @param {Object} options - Pass force to skip the lookup and overwrite the cached result
+     * @returns {Promise<Object>} value and whether it was served from the cache
+     */
+    async remember(keyParts, compute, { force = false } = {}) {
+        if (!this.enabled) {
+            return { value: await compute(), cached: false };
+        }
+
+        const key = ResultCache.buildKey(keyParts);
+
+        if (!force) {
+            const cachedValue = await this.get(key);
+            if (cachedValue !== undefined) {
+                console.log(`Using cached ${keyParts.task} result`);
+                return { value: cachedValue, cached: true };
+            }
+        }
+
+        const value = await compute();
+        try {
+            await this.set(key, value, keyParts.task);
+        } catch (error) {
+            // A result that cannot be cached is still a valid result
+            console.warn(`Failed to cache ${keyParts.task} result:`, error.message);
+        }
+        return { value, cached: false };
+    }
+}
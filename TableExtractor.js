@@ -0,0 +1,323 @@
+import { generateStructured, normalizeRegion, SCHEMAS } from './ResponseParser.js';
+import { isRateLimitError } from './ModelScheduler.js';
+import { hashContent } from './ResultCache.js';
+import { scoreTableRows } from './Confidence.js';
+import { inferColumnType, normalizeValue } from './TypedValues.js';
+import { normalizeDates } from './DateNormalization.js';
+
+// Typed values of the cells of date, amount and number columns; null for
+// text cells and cells that do not parse. The dates of each date column are
+// read with the date format inferred from all of them (see DateNormalization.js),
+// returned per column (null for the other columns) to score the cells with.
+function normalizeRows(rows, columnTypes, locale) {
+    const normalized = rows.map(row => row.map((cell, cellIndex) => {
+        const type = columnTypes[cellIndex];
+        if (cell === '' || !type || type === 'date') return null;
+        return normalizeValue(cell, type, { locale }) ?? null;
+    }));
+
+    const dateFormats = columnTypes.map((type, columnIndex) => {
+        if (type !== 'date') return null;
+        const { dates, dateFormat } = normalizeDates(rows.map(row => row[columnIndex] ?? ''), { locale });
+        dates.forEach((date, rowIndex) => {
+            if (date) normalized[rowIndex][columnIndex] = { value: date };
+        });
+        return dateFormat;
+    });
+    return { normalized, dateFormats };
+}
+
+/**
+ * Normalize and score the cells of every page again, reading each date column
+ * with the date format inferred from its dates on all pages. A page whose own
+ * dates leave the day and month order open (every day up to 12) then follows
+ * the rest of the statement.
+ * @param {Array<Object>} pages - Extracted pages of one document
+ * @param {string} [locale] - Locale to normalize cell values with (see TypedValues.js)
+ * @returns {Array<Object>} Pages with their tableData.normalized, dateFormats, confidence and confidenceIssues replaced
+ */
+export function normalizeDocumentPages(pages, locale = null) {
+    const tablePages = pages.filter(page => page.tableData?.rows?.length && page.tableData.columnTypes);
+    if (tablePages.length === 0) return pages;
+
+    // Pages of a document share their headers, so their rows can be read as one table
+    const { columnTypes } = tablePages[0].tableData;
+    const allRows = tablePages.flatMap(page => page.tableData.rows);
+    const { normalized, dateFormats } = normalizeRows(allRows, columnTypes, locale);
+
+    let offset = 0;
+    const tableDataByPage = new Map(tablePages.map(page => {
+        const { rows, headers, modelConfidence } = page.tableData;
+        const pageRows = normalized.slice(offset, offset + rows.length);
+        offset += rows.length;
+        const { confidence, issues } = scoreTableRows(rows, headers, modelConfidence, { locale, dateFormats });
+        return [page, { ...page.tableData, normalized: pageRows, dateFormats, confidence, confidenceIssues: issues }];
+    }));
+    return pages.map(page => tableDataByPage.has(page) ? { ...page, tableData: tableDataByPage.get(page) } : page);
+}
+
+/**
+ * Extracts tables page by page, using the prompts of a "table" extraction mode
+ */
+export class TableExtractor {
+    constructor({ pdfHandler, modelProvider, resultCache, options = {} }) {
+        this.pdfHandler = pdfHandler;
+        this.modelProvider = modelProvider;
+        this.resultCache = resultCache;
+        this.HEADER_ATTEMPTS = options.headerAttempts || 3;
+        this.PAGE_ATTEMPTS = options.pageAttempts || 5;
+    }
+
+    /**
+     * Detect the table column headers from the first page, or from the page given
+     * @param {string} documentId - Document ID in the document store
+     * @param {Object} mode - Extraction mode (see ModeRegistry)
+     * @param {Object} [callContext] - page to read the headers from (default 1), runId the model usage is recorded under, abort signal, and force to bypass the result cache
+     * @returns {Promise<Array<string>>} Column headers
+     */
+    async detectHeaders(documentId, mode, { page = 1, force = false, ...callContext } = {}) {
+        console.log(`Analyzing page ${page} to determine table structure...`);
+        const firstPageBase64 = await this.pdfHandler.getPages(documentId, page, page);
+
+        // First page analysis request
+        const headerRequest = {
+            contents: [{
+                role: "user",
+                parts: [
+                    { text: mode.prompts.tableHeaders() },
+                    {
+                        inlineData: {
+                            mimeType: "application/pdf",
+                            data: firstPageBase64
+                        }
+                    }
+                ]
+            }]
+        };
+
+        let { value: headers } = await this.resultCache.remember({
+            task: 'table-headers',
+            mode: mode.id,
+            promptVersion: mode.promptVersion,
+            contentHash: hashContent(firstPageBase64),
+            settings: this.modelProvider.getSettings()
+        }, async () => {
+            // Retry failed or unusable answers; rate limits are already retried by the model scheduler
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const { value } = await generateStructured(this.modelProvider, headerRequest, {
+                        schema: SCHEMAS.tableHeaders,
+                        context: { task: 'table-headers', ...callContext, documentHash: documentId, pageRange: String(page), attempt }
+                    });
+                    console.log("Successfully extracted headers:", value);
+                    return value;
+                } catch (error) {
+                    console.error(`Header extraction error (attempt ${attempt}/${this.HEADER_ATTEMPTS}):`, error.message);
+                    if (attempt === this.HEADER_ATTEMPTS || isRateLimitError(error) || callContext.signal?.aborted) throw error;
+                }
+            }
+        }, { force });
+
+        // If we still don't have headers, use the mode's default columns
+        if (!headers || !Array.isArray(headers) || headers.length === 0) {
+            headers = mode.defaultColumns;
+            console.log("Using default headers:", headers);
+        }
+
+        return headers;
+    }
+
+    /**
+     * Extract the table rows of a single page, retrying on failure
+     * @param {Object} pageGroup - Page group containing the page (from PDFHandler.getPageGroup)
+     * @param {number} pageNum - Page number (1-based)
+     * @param {number} pageCount - Total page count
+     * @param {Array<string>} headers - Column headers
+     * @param {Object} mode - Extraction mode (see ModeRegistry)
+     * @param {Object} [callContext] - runId and documentHash the model usage is recorded under, and abort signal
+     * @returns {Promise<Object>} rows (arrays of cell strings), the region of each row on the page and the model's confidence per cell
+     */
+    async extractPageRows(pageGroup, pageNum, pageCount, headers, mode, callContext = {}) {
+        let lastError;
+
+        for (let attempt = 1; attempt <= this.PAGE_ATTEMPTS; attempt++) {
+            try {
+                console.log(`Processing page ${pageNum} of ${pageCount} (attempt ${attempt}/${this.PAGE_ATTEMPTS})...`);
+
+                // Create page request
+                const pageRequest = {
+                    contents: [{
+                        role: "user",
+                        parts: [
+                            { text: mode.prompts.tableRows({ pageNumber: pageNum, headers }) },
+                            {
+                                inlineData: {
+                                    mimeType: "application/pdf",
+                                    data: pageGroup.base64
+                                }
+                            }
+                        ]
+                    }]
+                };
+
+                const { value } = await generateStructured(this.modelProvider, pageRequest, {
+                    schema: SCHEMAS.tableRows,
+                    context: {
+                        task: 'table-rows',
+                        key: pageNum,
+                        vars: { pageNumber: pageNum },
+                        ...callContext,
+                        pageRange: String(pageNum),
+                        attempt
+                    }
+                });
+                console.log(`Successfully parsed ${value.rows.length} rows for page ${pageNum}`);
+
+                // Sanitize the data - ensure all cells are strings with no newlines
+                return {
+                    rows: value.rows.map(row => {
+                        return row.cells.map(cell => String(cell || '').replace(/[\r\n]+/g, ' '));
+                    }),
+                    regions: value.rows.map(row => normalizeRegion(row.region)),
+                    confidence: value.rows.map(row => row.confidence || null)
+                };
+            } catch (error) {
+                lastError = error;
+                console.error(`Error processing page ${pageNum} (attempt ${attempt}/${this.PAGE_ATTEMPTS}):`, error.message);
+
+                // Rate limits were already retried with backoff by the model scheduler
+                if (isRateLimitError(error) || callContext.signal?.aborted) break;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Extract table data from every page of a document, or from the selected pages
+     * @param {string} documentId - Document ID in the document store
+     * @param {Object} mode - Extraction mode (see ModeRegistry)
+     * @param {Object} [callContext] - pages to process (sorted, 1-based; every page when omitted), progress
+     *   callbacks, runId the model usage is recorded under, abort signal (stops pages that have not been
+     *   processed yet), force to bypass the result cache, and locale to normalize cell values with (see TypedValues.js)
+     * @param {Function} [callContext.callbacks.onPageStart] - Called with the page number before a page is processed
+     * @param {Function} [callContext.callbacks.onPage] - Called with each succeeded or empty page
+     * @param {Function} [callContext.callbacks.onPageFailed] - Called with ({ pageNumber, error, page }) when a page fails all attempts
+     * @returns {Promise<Object>} Extracted data with pages array
+     */
+    async extract(documentId, mode, { pages = null, callbacks = {}, locale = null, ...callContext } = {}) {
+        // Step 1: Get page count only once
+        console.log("Getting document page count...");
+        const pageCount = await this.pdfHandler.getPageCount(documentId);
+        console.log(`PDF has ${pageCount} pages total`);
+        const pageNumbers = pages || Array.from({ length: pageCount }, (_, i) => i + 1);
+
+        // Step 2: Extract the first selected page for header analysis
+        const headers = await this.detectHeaders(documentId, mode, { page: pageNumbers[0], ...callContext });
+
+        // Step 3: Process each page to extract table data
+        return this.extractPages(documentId, mode, pageNumbers, headers, { callbacks, locale, ...callContext });
+    }
+
+    /**
+     * Extract table data from selected pages using known headers.
+     * Every page comes back with a status: "succeeded" (rows found),
+     * "empty" (no table rows on the page) or "failed" (with the error),
+     * and whether its rows were served from the result cache. Cells are
+     * scored after the cache, so changed checks apply to cached rows too.
+     * Cells of date, amount and number columns (told by their headers) are
+     * normalized after the cache as well, first page by page and then with
+     * the date format of the whole document (see normalizeDocumentPages).
+     * @param {string} documentId - Document ID in the document store
+     * @param {Object} mode - Extraction mode (see ModeRegistry)
+     * @param {Array<number>} pageNumbers - Pages to process (1-based)
+     * @param {Array<string>} headers - Column headers
+     * @param {Object} [callContext] - progress callbacks (see extract), runId the model usage is recorded under,
+     *   abort signal, force to bypass the result cache, and locale to normalize cell values with (see TypedValues.js)
+     * @returns {Promise<Object>} Extracted data with pages array
+     */
+    async extractPages(documentId, mode, pageNumbers, headers, { callbacks = {}, force = false, locale = null, ...callContext } = {}) {
+        const pageCount = await this.pdfHandler.getPageCount(documentId);
+        const columnTypes = headers.map(inferColumnType);
+        const { signal } = callContext;
+        const rowsContext = { ...callContext, documentHash: documentId };
+        const extractedData = {
+            pages: []
+        };
+
+        // Load each page group once and share it between the pages it contains
+        const pageGroupCache = {};
+        const getPageGroup = (groupIndex) => {
+            if (!pageGroupCache[groupIndex]) {
+                console.log(`Fetching page group ${groupIndex}...`);
+                pageGroupCache[groupIndex] = this.pdfHandler.getPageGroup(documentId, groupIndex);
+            }
+            return pageGroupCache[groupIndex];
+        };
+
+        // Start every page at once; the model scheduler decides how many calls run concurrently
+        await Promise.all(pageNumbers.map(async (pageNum) => {
+            if (signal?.aborted) return;
+
+            // Calculate page group
+            const groupIndex = Math.floor((pageNum - 1) / this.pdfHandler.PAGES_PER_GROUP);
+
+            callbacks.onPageStart?.(pageNum);
+
+            let page;
+            try {
+                const pageGroup = await getPageGroup(groupIndex);
+                const { value: { rows, regions, confidence: modelConfidence }, cached } = await this.resultCache.remember({
+                    task: 'table-rows',
+                    mode: mode.id,
+                    promptVersion: mode.promptVersion,
+                    contentHash: hashContent(pageGroup.base64),
+                    pageNumber: pageNum,
+                    headers,
+                    settings: this.modelProvider.getSettings()
+                }, () => this.extractPageRows(pageGroup, pageNum, pageCount, headers, mode, rowsContext), { force });
+                const { normalized, dateFormats } = normalizeRows(rows, columnTypes, locale);
+                const { confidence, issues } = scoreTableRows(rows, headers, modelConfidence, { locale, dateFormats });
+                page = {
+                    pageNumber: pageNum,
+                    status: rows.length > 0 ? 'succeeded' : 'empty',
+                    error: null,
+                    cached,
+                    // regions[i] is the approximate box around rows[i] on the page;
+                    // confidence[i][j] and confidenceIssues[i][j] score the cell rows[i][j]
+                    // (modelConfidence[i][j] is the model's own rating, kept to score it again);
+                    // normalized[i][j] is its typed value, null for text cells and cells that do not parse;
+                    // dateFormats[j] is the date format column j was read with, null for other columns
+                    tableData: { headers, columnTypes, rows, regions, confidence, confidenceIssues: issues, modelConfidence, normalized, dateFormats }
+                };
+                extractedData.pages.push(page);
+                callbacks.onPage?.(page);
+            } catch (error) {
+                if (signal?.aborted) {
+                    console.log(`Table extraction aborted, page ${pageNum} not processed`);
+                    return;
+                }
+
+                // Keep the page so it can be told apart from a page without table rows
+                page = {
+                    pageNumber: pageNum,
+                    status: 'failed',
+                    error: error.message,
+                    cached: false,
+                    tableData: { headers, columnTypes, rows: [], regions: [], confidence: [], confidenceIssues: [], modelConfidence: [], normalized: [], dateFormats: [] }
+                };
+                extractedData.pages.push(page);
+                callbacks.onPageFailed?.({ pageNumber: pageNum, error: error.message, page });
+            }
+        }));
+
+        // Sort pages by page number to ensure correct order
+        extractedData.pages.sort((a, b) => a.pageNumber - b.pageNumber);
+        extractedData.pages = normalizeDocumentPages(extractedData.pages, locale);
+
+        const failedCount = extractedData.pages.filter(page => page.status === 'failed').length;
+        console.log(`Processed ${extractedData.pages.length} pages (${failedCount} failed)`);
+
+        return extractedData;
+    }
+}
@@ -0,0 +1,215 @@
+import { randomUUID } from 'crypto';
+import { readFile, writeFile, readdir, mkdir, rm } from 'fs/promises';
+import path from 'path';
+import { parseFieldDefinitions, parseColumns } from './FieldDefinitions.js';
+
+const TEMPLATE_ID_PATTERN = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Marks exported template files, so imports can tell them from other JSON
+export const TEMPLATE_EXPORT_FORMAT = 'pdf-extraction-template';
+const TEMPLATE_EXPORT_VERSION = 1;
+
+/**
+ * Error raised when a template cannot be saved or imported, answered with HTTP 400
+ */
+export class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Stores extraction templates on disk, one JSON file per template.
+ *
+ * A template is a named set of field definitions for a "fields" mode, or a
+ * column layout for a "table" mode, such as the fields read from one
+ * supplier's invoices. Picking a template skips field suggestion or header
+ * detection. Templates can be exported as JSON and imported elsewhere.
+ */
+export class TemplateStore {
+    constructor({ directory, modeRegistry }) {
+        this.directory = directory;
+        this.modeRegistry = modeRegistry;
+    }
+
+    /**
+     * Check that a string has the shape of a template ID
+     * @param {string} templateId - Candidate ID
+     * @returns {boolean} True for a UUID
+     */
+    static isValidId(templateId) {
+        return typeof templateId === 'string' && TEMPLATE_ID_PATTERN.test(templateId);
+    }
+
+    templatePath(templateId) {
+        return path.join(this.directory, `${templateId}.json`);
+    }
+
+    /**
+     * Check a template and bring it into its stored shape
+     * @param {Object} input - name, description, mode, and fields (fields modes) or columns (table modes)
+     * @returns {Object} Template content without ID and timestamps
+     */
+    parse(input) {
+        if (!input || typeof input !== 'object') {
+            throw new TemplateError('A template must be an object');
+        }
+
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            throw new TemplateError(`A template needs a name of 1-${MAX_NAME_LENGTH} characters`);
+        }
+
+        const description = input.description ?? '';
+        if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new TemplateError(`The description of template ${name} must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        const mode = this.modeRegistry.get(input.mode);
+        if (!mode) {
+            throw new TemplateError(`Template ${name} has unknown mode: ${input.mode}`);
+        }
+
+        return {
+            name,
+            description: description.trim(),
+            mode: mode.id,
+            ...(mode.strategy === 'fields'
+                ? { fields: parseFieldDefinitions(input.fields) }
+                : { columns: parseColumns(input.columns) })
+        };
+    }
+
+    /**
+     * List templates by name
+     * @param {Object} [filter] - mode to list the templates of
+     * @returns {Promise<Array<Object>>} Templates
+     */
+    async list({ mode = null } = {}) {
+        let filenames;
+        try {
+            filenames = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const templates = await Promise.all(filenames
+            .filter(filename => TemplateStore.isValidId(path.basename(filename, '.json')))
+            .map(filename => this.get(path.basename(filename, '.json'))));
+
+        return templates
+            .filter(template => template && (!mode || template.mode === mode))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<Object|null>} Template, or null if there is none with the ID
+     */
+    async get(templateId) {
+        if (!TemplateStore.isValidId(templateId)) return null;
+
+        try {
+            return JSON.parse(await readFile(this.templatePath(templateId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Save a new template
+     * @param {Object} input - Template content (see parse)
+     * @returns {Promise<Object>} Saved template with its ID and timestamps
+     */
+    async create(input) {
+        const now = new Date().toISOString();
+        const template = { id: randomUUID(), ...this.parse(input), createdAt: now, updatedAt: now };
+
+        await mkdir(this.directory, { recursive: true });
+        await writeFile(this.templatePath(template.id), JSON.stringify(template, null, 2));
+        console.log(`Saved template ${template.id} (${template.name})`);
+
+        return template;
+    }
+
+    /**
+     * Replace the content of a template
+     * @param {string} templateId - Template ID
+     * @param {Object} input - Template content (see parse)
+     * @returns {Promise<Object|null>} Updated template, or null if there is none with the ID
+     */
+    async update(templateId, input) {
+        const existing = await this.get(templateId);
+        if (!existing) return null;
+
+        const template = {
+            id: existing.id,
+            ...this.parse(input),
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        await writeFile(this.templatePath(templateId), JSON.stringify(template, null, 2));
+
+        return template;
+    }
+
+    /**
+     * Delete a template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<boolean>} True if the template existed
+     */
+    async remove(templateId) {
+        if (!(await this.get(templateId))) return false;
+        await rm(this.templatePath(templateId), { force: true });
+        return true;
+    }
+
+    /**
+     * Get the shareable form of a template, without its ID and timestamps
+     * @param {Object} template - Stored template
+     * @returns {Object} Export document
+     */
+    toExport({ id, createdAt, updatedAt, ...content }) {
+        return {
+            format: TEMPLATE_EXPORT_FORMAT,
+            version: TEMPLATE_EXPORT_VERSION,
+            template: content
+        };
+    }
+
+    /**
+     * Import exported templates as new templates. Every template is checked
+     * before any is saved, so a file with one bad template imports nothing.
+     * @param {Object|Array<Object>} data - Export document, or an array of them
+     * @returns {Promise<Array<Object>>} Saved templates
+     */
+    async import(data) {
+        const documents = Array.isArray(data) ? data : [data];
+        if (documents.length === 0) {
+            throw new TemplateError('The import contains no templates');
+        }
+
+        const contents = documents.map((document, index) => {
+            if (document?.format !== TEMPLATE_EXPORT_FORMAT || !document.template) {
+                throw new TemplateError(`Import item ${index + 1} is not an exported template`);
+            }
+            if (document.version > TEMPLATE_EXPORT_VERSION) {
+                throw new TemplateError(`Import item ${index + 1} was exported by a newer version (${document.version})`);
+            }
+            return this.parse(document.template);
+        });
+
+        const templates = [];
+        for (const content of contents) {
+            templates.push(await this.create(content));
+        }
+        return templates;
+    }
+}
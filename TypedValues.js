@@ -0,0 +1,229 @@
+import { parseDate, readDate } from './DateNormalization.js';
+
+/**
+ * Typed values: machine-readable forms of the text read from documents.
+ *
+ * Values are extracted as printed ("1.234,56 €", "฿12,500.00", "15 Mar 2024").
+ * The parsers below turn them into values spreadsheets can calculate with:
+ * decimal numbers, amounts with their ISO currency code, ISO dates (see
+ * DateNormalization.js), booleans and the canonical option of an enum. A
+ * locale (BCP 47, e.g. "de-DE") only settles what the text itself leaves
+ * open, such as whether "1.234" is one thousand and whether 03/04/2024 is in
+ * March or April.
+ */
+
+// Words of column headers and field names that suggest their type
+const DATE_WORDS = new Set(['date', 'dated', 'dob']);
+const AMOUNT_WORDS = new Set(['amount', 'amt', 'total', 'subtotal', 'price', 'cost', 'costs', 'fee', 'fees', 'balance',
+    'debit', 'debits', 'credit', 'credits', 'withdrawal', 'withdrawals', 'deposit', 'deposits', 'paid', 'salary', 'gross']);
+const NUMBER_WORDS = new Set(['quantity', 'qty', 'units', 'hours']);
+
+// Currency symbols and abbreviations, longest first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['NZ$', 'NZD'], ['HK$', 'HKD'], ['R$', 'BRL'], ['A$', 'AUD'], ['C$', 'CAD'], ['S$', 'SGD'],
+    ['zł', 'PLN'], ['Kč', 'CZK'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'],
+    ['₽', 'RUB'], ['₺', 'TRY'], ['₫', 'VND'], ['₱', 'PHP'], ['฿', 'THB'], ['₪', 'ILS'], ['₦', 'NGN'],
+    ['₴', 'UAH'], ['$', 'USD']
+];
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+const BOOLEAN_WORDS = new Map([
+    ...['true', 'yes', 'y', '✓', '✔', 'ja', 'oui', 'sí', 'si', 'sim'].map(word => [word, true]),
+    ...['false', 'no', 'n', '✗', '✘', 'nein', 'non', 'não', 'nao'].map(word => [word, false])
+]);
+
+// Used when no locale is given and the text is ambiguous
+const FALLBACK_DECIMAL_SEPARATOR = '.';
+
+/**
+ * Error raised when a requested locale is not a valid language tag, answered with HTTP 400
+ */
+export class LocaleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LocaleError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Check the locale of an extraction request
+ * @param {string|null} [locale] - BCP 47 language tag such as "de-DE"
+ * @returns {string|null} Canonical language tag, or null when none was given
+ */
+export function parseLocale(locale) {
+    if (locale === undefined || locale === null || locale === '') return null;
+
+    try {
+        if (typeof locale !== 'string') throw new RangeError();
+        return Intl.getCanonicalLocales(locale)[0];
+    } catch {
+        throw new LocaleError(`locale must be a language tag such as "de-DE", got ${JSON.stringify(locale)}`);
+    }
+}
+
+/**
+ * Guess the type of a table column from the words of its header, like
+ * "Posting Date" or "Amount"; field names such as "invoiceDate" are split
+ * into their words too, so "Candidate" or "Update time" are not dates
+ * @param {string} header - Column header or field name
+ * @returns {string} "date", "amount", "number" or "text"
+ */
+export function inferColumnType(header) {
+    const words = String(header)
+        .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u);
+    if (words.some(word => DATE_WORDS.has(word))) return 'date';
+    if (words.some(word => AMOUNT_WORDS.has(word))) return 'amount';
+    if (words.some(word => NUMBER_WORDS.has(word))) return 'number';
+    return 'text';
+}
+
+function localeDecimalSeparator(locale) {
+    if (!locale) return FALLBACK_DECIMAL_SEPARATOR;
+    return new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal')?.value
+        || FALLBACK_DECIMAL_SEPARATOR;
+}
+
+// Which of "." and "," separates the decimals of a digit string
+function detectDecimalSeparator(digits, locale) {
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? '.' : ',';
+
+    const separator = lastDot >= 0 ? '.' : lastComma >= 0 ? ',' : null;
+    if (!separator) return FALLBACK_DECIMAL_SEPARATOR;
+
+    // A separator that repeats groups thousands ("1.234.567")
+    if (digits.indexOf(separator) !== digits.lastIndexOf(separator)) return separator === '.' ? ',' : '.';
+
+    // "1,234" and "1.234" read either way; the locale decides
+    const isAmbiguous = /^\d{1,3}[.,]\d{3}$/.test(digits);
+    if (isAmbiguous) return localeDecimalSeparator(locale);
+
+    return separator;
+}
+
+/**
+ * Parse a number as printed, with thousands separators, signs or parentheses for negatives
+ * @param {string|number} text - Number as printed, e.g. "1.234,56", "(1,200.00)" or "12%"
+ * @param {Object} [options] - locale to read ambiguous separators with
+ * @returns {number|null} The number, or null if the text is not a number
+ */
+export function parseNumber(text, { locale = null } = {}) {
+    if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+
+    let value = String(text).replace(/[\s'’]/g, '').replace(/[−–]/g, '-').replace(/%$/, '');
+    let negative = false;
+
+    // Bank statements mark debits with DR, or with parentheses or a trailing minus
+    const marker = value.match(/(CR|DR)$/i);
+    if (marker) {
+        negative = marker[1].toUpperCase() === 'DR';
+        value = value.slice(0, -2);
+    }
+    if (/^\(.*\)$/.test(value)) {
+        negative = true;
+        value = value.slice(1, -1);
+    }
+    if (/^[-+]/.test(value)) {
+        negative = negative || value[0] === '-';
+        value = value.slice(1);
+    } else if (value.endsWith('-')) {
+        negative = true;
+        value = value.slice(0, -1);
+    }
+
+    if (!/^\d[\d.,]*$/.test(value) || /[.,]$/.test(value)) return null;
+
+    const decimalSeparator = detectDecimalSeparator(value, locale);
+    const [integer, fraction = '', ...rest] = value.split(decimalSeparator);
+    if (rest.length > 0 || !/^\d+$/.test(fraction || '0')) return null;
+
+    const number = Number(`${integer.replace(/[.,]/g, '')}.${fraction || '0'}`);
+    return negative ? -number : number;
+}
+
+/**
+ * Parse an amount with its currency
+ * @param {string|number} text - Amount as printed, e.g. "1.234,56 €", "฿12,500.00" or "USD 99.00"
+ * @param {Object} [options] - locale to read ambiguous separators with
+ * @returns {Object|null} value and currency (ISO 4217 code, null if none is printed), or null if the text is not an amount
+ */
+export function parseAmount(text, { locale = null } = {}) {
+    if (typeof text === 'number') return Number.isFinite(text) ? { value: text, currency: null } : null;
+
+    let value = String(text).trim();
+    let currency = null;
+
+    const code = value.match(/^([A-Z]{3})(?![A-Z])|(?<![A-Z])([A-Z]{3})$/);
+    if (code && CURRENCY_CODES.has(code[1] || code[2])) {
+        currency = code[1] || code[2];
+        value = value.replace(currency, '');
+    } else {
+        const symbol = CURRENCY_SYMBOLS.find(([candidate]) => value.startsWith(candidate) || value.endsWith(candidate)
+            || value.startsWith(`-${candidate}`));
+        if (symbol) {
+            currency = symbol[1];
+            value = value.replace(symbol[0], '');
+        }
+    }
+
+    const amount = parseNumber(value, { locale });
+    return amount === null ? null : { value: amount, currency };
+}
+
+/**
+ * Parse a yes/no value
+ * @param {string|boolean} text - Value as printed, e.g. "Yes", "false" or "✓"
+ * @returns {boolean|null} The boolean, or null if the text is not a yes/no value
+ */
+export function parseBoolean(text) {
+    if (typeof text === 'boolean') return text;
+    return BOOLEAN_WORDS.get(String(text).trim().toLowerCase()) ?? null;
+}
+
+/**
+ * Match a value to the options of an enum field, ignoring case and accents
+ * @param {string} text - Value as printed
+ * @param {Array<string>} options - Options of the field
+ * @returns {string|null} The option as declared, or null if the value matches none
+ */
+export function parseEnum(text, options = []) {
+    const value = String(text).trim();
+    return options.find(option => option.localeCompare(value, undefined, { sensitivity: 'base' }) === 0) ?? null;
+}
+
+/**
+ * Turn an extracted value into its typed form
+ * @param {string|number|boolean} text - Value as extracted
+ * @param {string} type - Declared or inferred type (see FieldDefinitions.js)
+ * @param {Object} [options] - locale, format hint of dates, options of enum fields, and the dateFormat
+ *   inferred for the dates of the column or document (see DateNormalization.js), which takes precedence over the hint
+ * @returns {Object|null|undefined} value (and currency of amounts); null if the text does not parse as the type, undefined for text
+ */
+export function normalizeValue(text, type, { locale = null, format = '', options = [], dateFormat = null } = {}) {
+    switch (type) {
+        case 'number': {
+            const value = parseNumber(text, { locale });
+            return value === null ? null : { value };
+        }
+        case 'amount':
+            return parseAmount(text, { locale });
+        case 'date': {
+            const value = dateFormat ? readDate(text, dateFormat) : parseDate(text, { locale, format });
+            return value === null ? null : { value };
+        }
+        case 'boolean': {
+            const value = parseBoolean(text);
+            return value === null ? null : { value };
+        }
+        case 'enum': {
+            const value = parseEnum(text, options);
+            return value === null ? null : { value };
+        }
+        default:
+            return undefined;
+    }
+}
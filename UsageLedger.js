@@ -0,0 +1,210 @@
+import { createReadStream } from 'fs';
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { createInterface } from 'readline';
+import { LRUCache } from './LRUCache.js';
+
+// USD per million tokens. Override with a JSON file of the same shape (MODEL_PRICES_PATH).
+const DEFAULT_PRICES = {
+    'gemini-1.5-flash-002': { input: 0.075, output: 0.30 },
+    'gemini-1.5-flash-001': { input: 0.075, output: 0.30 },
+    'gemini-1.5-pro-002': { input: 1.25, output: 5.00 },
+    'gemini-1.5-pro-001': { input: 1.25, output: 5.00 },
+    'gemini-2.0-flash-001': { input: 0.10, output: 0.40 },
+    'mock': { input: 0, output: 0 }
+};
+
+// Runs whose totals are kept for job and response usage; runs finish long before they expire
+const MAX_TRACKED_RUNS = 10000;
+const RUN_TOTALS_TTL_MS = 24 * 60 * 60 * 1000;
+
+function emptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addToTotals(totals, entry) {
+    totals.calls += 1;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.totalTokens += entry.inputTokens + entry.outputTokens;
+    totals.cost += entry.cost ?? 0;
+    return totals;
+}
+
+function matchesFilter(entry, filter) {
+    const day = entry.timestamp.slice(0, 10);
+    return (!filter.runId || entry.runId === filter.runId) &&
+        (!filter.documentHash || entry.documentHash === filter.documentHash) &&
+        (!filter.from || day >= filter.from) &&
+        (!filter.to || day <= filter.to);
+}
+
+/**
+ * Records the token usage and cost of every model call.
+ *
+ * Entries are appended to a JSON-lines file so the ledger survives restarts,
+ * and read back line by line when usage is summarized; only the running
+ * totals of recent runs are kept in memory.
+ */
+export class UsageLedger {
+    constructor(options = {}) {
+        this.filePath = options.filePath;
+        this.prices = { ...DEFAULT_PRICES, ...options.prices };
+        this.runTotals = new LRUCache({ name: 'run usage', maxEntries: MAX_TRACKED_RUNS, ttlMs: RUN_TOTALS_TTL_MS });
+        this.unpricedModels = new Set();
+        // Appends run one after another, so summaries never read half-written lines
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Create the directory of the ledger file
+     * @returns {Promise<UsageLedger>} The initialized ledger
+     */
+    async initialize() {
+        if (this.filePath) {
+            await mkdir(dirname(this.filePath), { recursive: true });
+        }
+        return this;
+    }
+
+    /**
+     * Price a call with the configured price table
+     * @param {string} model - Model name
+     * @param {number} inputTokens - Prompt tokens
+     * @param {number} outputTokens - Response tokens
+     * @returns {number|null} Cost in USD, or null when the model has no price
+     */
+    calculateCost(model, inputTokens, outputTokens) {
+        const price = this.prices[model];
+        if (!price) {
+            if (!this.unpricedModels.has(model)) {
+                this.unpricedModels.add(model);
+                console.warn(`No price configured for model "${model}", cost will not be recorded`);
+            }
+            return null;
+        }
+        return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+    }
+
+    /**
+     * Record one model call
+     * @param {Object} call - Call details
+     * @param {string} call.endpoint - Task that made the call
+     * @param {string} call.model - Model name
+     * @param {number} call.inputTokens - Prompt tokens reported by the model
+     * @param {number} call.outputTokens - Response tokens reported by the model
+     * @param {string} [call.runId] - Extraction run (job or request) the call belongs to
+     * @param {string} [call.documentHash] - SHA-256 of the document
+     * @param {string} [call.pageRange] - Pages sent with the call, e.g. "1-10"
+     * @param {number} [call.attempt] - Attempt number within the task's retries
+     * @param {number} [call.repair] - Repair prompt number, 0 for the initial request
+     * @returns {Object} The recorded entry
+     */
+    record(call) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            endpoint: call.endpoint,
+            runId: call.runId ?? null,
+            documentHash: call.documentHash ?? null,
+            pageRange: call.pageRange ?? null,
+            attempt: call.attempt ?? 1,
+            repair: call.repair ?? 0,
+            model: call.model,
+            inputTokens: call.inputTokens,
+            outputTokens: call.outputTokens,
+            cost: this.calculateCost(call.model, call.inputTokens, call.outputTokens)
+        };
+
+        if (entry.runId) {
+            this.runTotals.set(entry.runId, addToTotals(this.runTotals.get(entry.runId) || emptyTotals(), entry));
+        }
+
+        console.log('\n' + '='.repeat(40));
+        console.log(`Token Usage for ${entry.endpoint}${entry.pageRange ? ` (pages ${entry.pageRange})` : ''}`);
+        console.log('-'.repeat(40));
+        console.log(`Input Tokens: ${entry.inputTokens}`);
+        console.log(`Output Tokens: ${entry.outputTokens}`);
+        console.log(`Cost: ${entry.cost === null ? 'unknown' : `$${entry.cost.toFixed(6)}`}`);
+        console.log('='.repeat(40) + '\n');
+
+        if (this.filePath) {
+            this.pendingWrite = this.pendingWrite
+                .then(() => appendFile(this.filePath, JSON.stringify(entry) + '\n'))
+                .catch(error => console.error('Failed to write usage ledger entry:', error.message));
+        }
+
+        return entry;
+    }
+
+    /**
+     * Read the recorded entries matching a filter, one at a time
+     * @param {Object} filter - Optional runId, documentHash, from and to (YYYY-MM-DD, inclusive)
+     * @yields {Object} Matching entries, oldest first
+     */
+    async* query(filter = {}) {
+        if (!this.filePath) return;
+        await this.pendingWrite;
+
+        const lines = createInterface({ input: createReadStream(this.filePath), crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                const entry = JSON.parse(line);
+                if (matchesFilter(entry, filter)) yield entry;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Total usage of one extraction run
+     * @param {string} runId - Run ID
+     * @returns {Object} Calls, tokens and cost
+     */
+    getRunUsage(runId) {
+        return { ...(this.runTotals.get(runId) || emptyTotals()) };
+    }
+
+    /**
+     * Aggregate usage per day and per document
+     * @param {Object} filter - See query
+     * @returns {Promise<Object>} Totals, byDay and byDocument
+     */
+    async summarize(filter = {}) {
+        const totals = emptyTotals();
+        const byDay = new Map();
+        const byDocument = new Map();
+
+        for await (const entry of this.query(filter)) {
+            addToTotals(totals, entry);
+
+            const day = entry.timestamp.slice(0, 10);
+            if (!byDay.has(day)) byDay.set(day, { date: day, ...emptyTotals() });
+            addToTotals(byDay.get(day), entry);
+
+            const documentHash = entry.documentHash || 'unknown';
+            if (!byDocument.has(documentHash)) {
+                byDocument.set(documentHash, { documentHash, firstUsed: entry.timestamp, lastUsed: entry.timestamp, ...emptyTotals() });
+            }
+            const document = byDocument.get(documentHash);
+            document.lastUsed = entry.timestamp;
+            addToTotals(document, entry);
+        }
+
+        return {
+            totals,
+            byDay: [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date)),
+            byDocument: [...byDocument.values()].sort((a, b) => b.lastUsed.localeCompare(a.lastUsed))
+        };
+    }
+}
+
+/**
+ * Load a price table from a JSON file
+ * @param {string} filePath - Path to { "<model>": { "input": usdPerMillion, "output": usdPerMillion } }
+ * @returns {Promise<Object>} Price table
+ */
+export async function loadPriceTable(filePath) {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+}
@@ -0,0 +1,42 @@
+export default {
+    id: 'bank_statement',
+    label: 'Bank Statement',
+    description: 'Extract complete transaction tables automatically',
+    bestFor: 'Bank Statements, Transaction Lists, Reports',
+    note: 'All transaction data will be extracted automatically.',
+    classifierHint: 'a bank or card account statement listing transactions',
+    strategy: 'table',
+    promptVersion: 3,
+    prompts: {
+        tableHeaders: () => `Extract ONLY the column headers from the main transaction table in this bank statement.
+Format your response as a simple array of strings like this: ["Column1", "Column2", "Column3"]
+If there are multiple tables, focus on the main transaction table that shows statement entries.
+DO NOT include any additional text, explanation, or code blocks.`,
+
+        tableRows: ({ pageNumber, headers }) => `Extract the transaction table data from page ${pageNumber} of this bank statement.
+Format your response as a valid JSON object like this:
+{
+  "rows": [
+    { "cells": ["Value1", "Value2", "Value3"], "region": [0.05, 0.30, 0.95, 0.33], "confidence": [0.95, 0.9, 0.98] },
+    { "cells": ["Value1", "Value2", "Value3"], "region": [0.05, 0.33, 0.95, 0.36], "confidence": [0.95, 0.6, 0.98] }
+  ]
+}
+Rules:
+- Include ALL transaction rows on the page
+- Make sure the cells of each row align with these columns: ${JSON.stringify(headers)}
+- region is the approximate box around the row on page ${pageNumber}: [left, top, right, bottom] as fractions (0 to 1) of the page width and height, measured from the top-left corner
+- confidence has one number per cell: how sure you are that the cell is read correctly and sits in the right column, from 0 (guess) to 1 (certain)
+- Return ONLY the JSON object with no explanations
+- If there's no table data on this page, return: { "rows": [] }
+- DO NOT include column headers, only data rows
+- Replace any newlines in cell values with spaces`
+    },
+    // Used when no headers can be detected
+    defaultColumns: ['Date', 'Description', 'Amount', 'Balance'],
+    // Columns listed first in the consolidated table, when present
+    columnOrder: ['Date', 'Transaction Date', 'Description', 'Debit', 'Credit', 'Amount', 'Balance'],
+    rowLabel: 'Transactions',
+    renderer: 'table',
+    exporters: ['xlsx', 'csv'],
+    exportFilename: 'bank_statement_data'
+};
@@ -0,0 +1,117 @@
+import { SUGGESTED_FIELD_TYPES } from '../FieldDefinitions.js';
+
+// One line per requested field: name, declared type (if any), what the field holds,
+// the values an enum field can take, the format its value should be returned
+// in and example values
+function formatFields(fields) {
+    return fields.map(({ fieldName, type, description, format, examples = [], options = [] }) => {
+        const details = [
+            description,
+            options.length > 0 && `Options: ${options.map(option => JSON.stringify(option)).join(', ')}`,
+            format && `Format: ${format}`,
+            examples.length > 0 && `Examples: ${examples.map(example => JSON.stringify(example)).join(', ')}`
+        ].filter(Boolean);
+        return `- ${fieldName}${type ? ` (${type})` : ''}${details.length > 0 ? `: ${details.join('. ')}` : ''}`;
+    }).join('\n');
+}
+
+// How values of each declared type are returned
+const TYPE_RULE = `Set "type" to the type given for the field in the list above; for fields listed without a type, to the one of ${SUGGESTED_FIELD_TYPES.join(', ')} that fits the value. Return boolean values as true or false and enum values as exactly one of the options listed for the field; keep number and amount values as printed, amounts with their currency`;
+const FORMAT_RULE = 'When a field gives a format, return its value in that format; examples show what values of the field look like, not values to copy';
+
+/**
+ * Build the prompts of a "fields" mode
+ * @param {Object} options - Prompt options
+ * @param {string} [options.documentName] - What the document is called in the prompt
+ * @param {string} [options.instructions] - Extra guidance appended to the prompts
+ * @returns {Object} suggestFields(), extractGroup({ startPage, endPage, fields }) and extractDocument({ pageCount, fields }) prompt builders; fields are field definitions (see FieldDefinitions.js)
+ */
+export function buildFieldPrompts({ documentName = 'PDF document', instructions = '' } = {}) {
+    const extra = instructions ? `\n\n${instructions}` : '';
+
+    return {
+        suggestFields: () => `Analyze this ${documentName} and identify extractable fields. Return your response in this exact JSON format, with no additional text before or after:
+
+[
+    {
+        "fieldName": "field1",
+        "description": "description1",
+        "type": "text"
+    },
+    {
+        "fieldName": "field2",
+        "description": "description2",
+        "type": "date"
+    }
+]
+
+Important rules:
+1. Return ONLY the JSON array, no other text
+2. Use camelCase for fieldNames (no spaces)
+3. Both fieldName and description must be in the same language as the document
+4. Each field must have exactly these three properties: fieldName, description and type
+5. type is one of: ${SUGGESTED_FIELD_TYPES.join(', ')}
+6. Ensure the response is valid JSON with proper quotes and commas${extra}`,
+
+        extractGroup: ({ startPage, endPage, fields }) => `Extract the following fields from pages ${startPage} to ${endPage}:
+${formatFields(fields)}
+
+Return your response in this exact JSON format, with no additional text before or after:
+
+{
+    "pages": [
+        {
+            "pageNumber": number,
+            "fields": {
+                "fieldName1": {
+                    "value": "extracted value",
+                    "type": "text",
+                    "region": [0.1, 0.2, 0.4, 0.25],
+                    "confidence": 0.95
+                }
+            }
+        }
+    ]
+}
+
+Rules:
+1. Return ONLY the JSON object, no other text
+2. Use proper JSON format with double quotes
+3. Return every field listed above and no others; for empty or not found values, use null as the value
+4. Page numbers must be actual numbers, not strings
+5. Keep original field names exactly as provided
+6. ${TYPE_RULE}
+7. ${FORMAT_RULE}
+8. region is the approximate box around the value on its page: [left, top, right, bottom] as fractions (0 to 1) of the page width and height, measured from the top-left corner. Use null when the value is not found
+9. confidence is how sure you are that the value is read correctly and belongs to the field, from 0 (guess) to 1 (certain). Use a low confidence for blurry, handwritten, cut-off or ambiguous values${extra}`,
+
+        extractDocument: ({ pageCount, fields }) => `This ${pageCount}-page PDF is a single ${documentName}. Extract the following fields from it:
+${formatFields(fields)}
+
+Return your response in this exact JSON format, with no additional text before or after:
+
+{
+    "fields": {
+        "fieldName1": {
+            "value": "extracted value",
+            "type": "text",
+            "page": 1,
+            "region": [0.1, 0.2, 0.4, 0.25],
+            "confidence": 0.95
+        }
+    }
+}
+
+Rules:
+1. Return ONLY the JSON object, no other text
+2. Use proper JSON format with double quotes
+3. Return one value per field for the whole document, wherever on its pages the value appears
+4. Return every field listed above and no others; for empty or not found values, use null as the value
+5. Keep original field names exactly as provided
+6. ${TYPE_RULE}
+7. ${FORMAT_RULE}
+8. page is the page of this PDF (1 to ${pageCount}) the value was read from
+9. region is the approximate box around the value on that page: [left, top, right, bottom] as fractions (0 to 1) of the page width and height, measured from the top-left corner. Use null when the value is not found
+10. confidence is how sure you are that the value is read correctly and belongs to the field, from 0 (guess) to 1 (certain). Use a low confidence for blurry, handwritten, cut-off or ambiguous values${extra}`
+    };
+}
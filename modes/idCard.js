@@ -0,0 +1,28 @@
+import { buildFieldPrompts } from './fieldPrompts.js';
+
+export default {
+    id: 'id_card',
+    label: 'ID Card',
+    description: 'Extract holder name, document number, dates and issuing authority',
+    bestFor: 'ID Cards, Passports, Driving Licences',
+    note: 'Common identity document fields are pre-selected.',
+    classifierHint: 'an identity document such as an ID card, passport or driving licence',
+    strategy: 'fields',
+    promptVersion: 8,
+    prompts: buildFieldPrompts({
+        documentName: 'identity document',
+        instructions: 'Read values from the printed fields; ignore the machine-readable zone unless a field is only printed there.'
+    }),
+    defaultFields: [
+        { fieldName: 'fullName', description: 'Full name of the holder' },
+        { fieldName: 'documentNumber', description: 'Number of the identity document' },
+        { fieldName: 'dateOfBirth', description: 'Date of birth of the holder', type: 'date' },
+        { fieldName: 'nationality', description: 'Nationality of the holder' },
+        { fieldName: 'issueDate', description: 'Date the document was issued', type: 'date' },
+        { fieldName: 'expiryDate', description: 'Date the document expires', type: 'date' },
+        { fieldName: 'issuingAuthority', description: 'Authority or country that issued the document' }
+    ],
+    renderer: 'fields',
+    exporters: ['xlsx', 'csv'],
+    exportFilename: 'id_card_data'
+};
@@ -0,0 +1,24 @@
+import { ModeRegistry } from '../ModeRegistry.js';
+import invoice from './invoice.js';
+import bankStatement from './bankStatement.js';
+import payslip from './payslip.js';
+import purchaseOrder from './purchaseOrder.js';
+import utilityBill from './utilityBill.js';
+import idCard from './idCard.js';
+import other from './other.js';
+
+/**
+ * Create the registry of built-in extraction modes. The classifier falls
+ * back to "other", so keep it registered.
+ * @returns {ModeRegistry} Registry with every built-in mode
+ */
+export function createModeRegistry() {
+    return new ModeRegistry()
+        .register(invoice)
+        .register(bankStatement)
+        .register(payslip)
+        .register(purchaseOrder)
+        .register(utilityBill)
+        .register(idCard)
+        .register(other);
+}
@@ -0,0 +1,22 @@
+import { buildFieldPrompts } from './fieldPrompts.js';
+
+export default {
+    id: 'invoice',
+    label: 'Invoice or Receipt',
+    description: 'Extract specific fields like invoice numbers, dates, amounts, etc.',
+    bestFor: 'Invoices, Receipts, Forms',
+    note: "You'll need to select which fields to extract.",
+    classifierHint: 'an invoice, bill or receipt for goods or services',
+    strategy: 'fields',
+    promptVersion: 8,
+    prompts: buildFieldPrompts(),
+    defaultFields: [
+        { fieldName: 'invoiceNumber', description: 'Invoice or receipt number' },
+        { fieldName: 'invoiceDate', description: 'Date the invoice was issued', type: 'date' },
+        { fieldName: 'vendorName', description: 'Name of the supplier' },
+        { fieldName: 'totalAmount', description: 'Total amount due including tax', type: 'amount' }
+    ],
+    renderer: 'fields',
+    exporters: ['xlsx', 'csv'],
+    exportFilename: 'extracted_data'
+};
@@ -0,0 +1,16 @@
+import { buildFieldPrompts } from './fieldPrompts.js';
+
+export default {
+    id: 'other',
+    label: 'Other Document',
+    description: 'Let the model suggest the fields this document contains',
+    bestFor: 'Forms, Letters, Certificates and other documents',
+    note: "You'll need to select which fields to extract.",
+    classifierHint: 'any document that matches none of the other types',
+    strategy: 'fields',
+    promptVersion: 8,
+    prompts: buildFieldPrompts(),
+    renderer: 'fields',
+    exporters: ['xlsx', 'csv'],
+    exportFilename: 'extracted_data'
+};
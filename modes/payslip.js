@@ -0,0 +1,28 @@
+import { buildFieldPrompts } from './fieldPrompts.js';
+
+export default {
+    id: 'payslip',
+    label: 'Payslip',
+    description: 'Extract pay period, gross and net pay, deductions and employer details',
+    bestFor: 'Payslips, Salary Statements, Pay Stubs',
+    note: 'Common payslip fields are pre-selected.',
+    classifierHint: 'a payslip or salary statement for an employee',
+    strategy: 'fields',
+    promptVersion: 8,
+    prompts: buildFieldPrompts({
+        documentName: 'payslip',
+        instructions: 'Amounts are per pay period unless the payslip labels them as year-to-date.'
+    }),
+    defaultFields: [
+        { fieldName: 'employeeName', description: 'Name of the employee' },
+        { fieldName: 'employerName', description: 'Name of the employer' },
+        { fieldName: 'payPeriod', description: 'Period the payment covers' },
+        { fieldName: 'payDate', description: 'Date the salary was paid', type: 'date' },
+        { fieldName: 'grossPay', description: 'Total pay before deductions', type: 'amount' },
+        { fieldName: 'totalDeductions', description: 'Sum of tax, social security and other deductions', type: 'amount' },
+        { fieldName: 'netPay', description: 'Amount paid out after deductions', type: 'amount' }
+    ],
+    renderer: 'fields',
+    exporters: ['xlsx', 'csv'],
+    exportFilename: 'payslip_data'
+};
@@ -0,0 +1,24 @@
+import { buildFieldPrompts } from './fieldPrompts.js';
+
+export default {
+    id: 'purchase_order',
+    label: 'Purchase Order',
+    description: 'Extract order numbers, buyer and supplier, delivery details and totals',
+    bestFor: 'Purchase Orders, Order Confirmations',
+    note: 'Common purchase order fields are pre-selected.',
+    classifierHint: 'a purchase order or order confirmation sent from a buyer to a supplier',
+    strategy: 'fields',
+    promptVersion: 8,
+    prompts: buildFieldPrompts({ documentName: 'purchase order' }),
+    defaultFields: [
+        { fieldName: 'orderNumber', description: 'Purchase order number' },
+        { fieldName: 'orderDate', description: 'Date the order was placed', type: 'date' },
+        { fieldName: 'buyerName', description: 'Organization placing the order' },
+        { fieldName: 'supplierName', description: 'Supplier the order is sent to' },
+        { fieldName: 'deliveryDate', description: 'Requested delivery date', type: 'date' },
+        { fieldName: 'totalAmount', description: 'Total order value', type: 'amount' }
+    ],
+    renderer: 'fields',
+    exporters: ['xlsx', 'csv'],
+    exportFilename: 'purchase_order_data'
+};
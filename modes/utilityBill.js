@@ -0,0 +1,27 @@
+import { buildFieldPrompts } from './fieldPrompts.js';
+
+export default {
+    id: 'utility_bill',
+    label: 'Utility Bill',
+    description: 'Extract account, billing period, consumption and amount due',
+    bestFor: 'Electricity, Gas, Water, Phone and Internet Bills',
+    note: 'Common utility bill fields are pre-selected.',
+    classifierHint: 'a bill for electricity, gas, water, phone, internet or another utility service',
+    strategy: 'fields',
+    promptVersion: 8,
+    prompts: buildFieldPrompts({
+        documentName: 'utility bill',
+        instructions: 'Include the unit with consumption values (for example kWh or m3).'
+    }),
+    defaultFields: [
+        { fieldName: 'providerName', description: 'Name of the utility provider' },
+        { fieldName: 'accountNumber', description: 'Customer account number' },
+        { fieldName: 'billingPeriod', description: 'Period the bill covers' },
+        { fieldName: 'consumption', description: 'Amount of the service used in the period' },
+        { fieldName: 'amountDue', description: 'Total amount to pay', type: 'amount' },
+        { fieldName: 'dueDate', description: 'Date payment is due', type: 'date' }
+    ],
+    renderer: 'fields',
+    exporters: ['xlsx', 'csv'],
+    exportFilename: 'utility_bill_data'
+};
@@ -0,0 +1,40 @@
+/**
+ * Wraps a model provider and records the token usage of every successful
+ * call in a usage ledger. Callers describe the call in the context:
+ * task, runId, documentHash, pageRange, attempt and repair.
+ */
+export class MeteredProvider {
+    constructor(provider, usageLedger) {
+        this.provider = provider;
+        this.usageLedger = usageLedger;
+        this.name = provider.name;
+    }
+
+    getSettings() {
+        return this.provider.getSettings();
+    }
+
+    /**
+     * Send a request to the wrapped provider and record its usage
+     * @param {Object} request - Request with a contents array
+     * @param {Object} context - Call context
+     * @returns {Promise<Object>} Provider response
+     */
+    async generateContent(request, context = {}) {
+        const result = await this.provider.generateContent(request, context);
+
+        this.usageLedger.record({
+            endpoint: context.task,
+            model: result.model,
+            inputTokens: result.usage?.inputTokens || 0,
+            outputTokens: result.usage?.outputTokens || 0,
+            runId: context.runId,
+            documentHash: context.documentHash,
+            pageRange: context.pageRange,
+            attempt: context.attempt,
+            repair: context.repair
+        });
+
+        return result;
+    }
+}
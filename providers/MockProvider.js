@@ -0,0 +1,154 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+// Fit every "fields" object in a response to the requested field names
+function fitFields(value, fieldNames) {
+    if (Array.isArray(value)) return value.map(item => fitFields(item, fieldNames));
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+        key,
+        key === 'fields' && child && typeof child === 'object' && !Array.isArray(child)
+            ? Object.fromEntries(fieldNames.map(name => [name, child[name] ?? { value: null, region: null }]))
+            : fitFields(child, fieldNames)
+    ]));
+}
+
+/**
+ * Deterministic model provider that replays canned responses from fixture files.
+ *
+ * Each task reads `<fixturesDir>/<task>.json`:
+ *
+ *     {
+ *         "responses": { "<key>": <response> },
+ *         "default": <response>
+ *     }
+ *
+ * The response for `context.key` is used when present, otherwise `default`.
+ * Non-string responses are serialized to JSON. `{{name}}` placeholders are
+ * replaced from `context.vars`; a placeholder that makes up a whole JSON
+ * string (`"{{startPage}}"`) is replaced by the raw JSON value.
+ *
+ * A response of `{ "$error": "message" }` makes the call fail instead, which
+ * is useful for exercising retries. With `"$times": n` only the first n calls
+ * for that key fail and later calls fall back to `default`.
+ *
+ * When `context.vars.fieldNames` lists the requested fields, every "fields"
+ * object in the response is fitted to them, as a model answering the prompt
+ * would: fields the fixture has no value for are returned as null and fields
+ * nobody asked for are left out.
+ */
+export class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.fixturesDir = options.fixturesDir;
+        this.latencyMs = options.latencyMs || 0;
+        this.fixtures = new Map();
+        this.errorCounts = new Map();
+    }
+
+    async initialize() {
+        console.log('Using mock model provider with fixtures from:', this.fixturesDir);
+        return this;
+    }
+
+    /**
+     * Settings that change the model's answers, used in result cache keys
+     * @returns {Object} Provider settings
+     */
+    getSettings() {
+        return { provider: this.name, fixturesDir: this.fixturesDir };
+    }
+
+    /**
+     * Load a fixture file, caching it for subsequent calls
+     * @param {string} task - Task name
+     * @returns {Promise<Object>} Parsed fixture
+     */
+    async loadFixture(task) {
+        if (!this.fixtures.has(task)) {
+            const fixturePath = path.join(this.fixturesDir, `${task}.json`);
+            try {
+                this.fixtures.set(task, JSON.parse(await readFile(fixturePath, 'utf8')));
+            } catch (error) {
+                throw new Error(`No mock fixture for task "${task}" (${fixturePath}): ${error.message}`);
+            }
+        }
+        return this.fixtures.get(task);
+    }
+
+    /**
+     * Fill template placeholders from context variables
+     * @param {string} text - Response template
+     * @param {Object} vars - Template variables
+     * @returns {string} Rendered response
+     */
+    renderTemplate(text, vars = {}) {
+        return text
+            .replace(/"\{\{(\w+)\}\}"/g, (match, name) =>
+                name in vars ? JSON.stringify(vars[name]) : match)
+            .replace(/\{\{(\w+)\}\}/g, (match, name) =>
+                name in vars ? String(vars[name]) : match);
+    }
+
+    /**
+     * Replay the canned response for a request
+     * @param {Object} request - Request with a contents array
+     * @param {Object} context - Call context (task name, fixture key, template vars)
+     * @returns {Promise<Object>} Response text, model name, token usage and raw response
+     */
+    async generateContent(request, context = {}) {
+        if (!context.task) {
+            throw new Error('Mock provider requires a task name in the call context');
+        }
+
+        const fixture = await this.loadFixture(context.task);
+        const key = context.key !== undefined ? String(context.key) : undefined;
+        let response = key !== undefined && fixture.responses?.[key] !== undefined
+            ? fixture.responses[key]
+            : fixture.default;
+
+        if (response?.$error) {
+            const counterKey = `${context.task}:${key}`;
+            const failures = this.errorCounts.get(counterKey) || 0;
+
+            if (response.$times === undefined || failures < response.$times) {
+                this.errorCounts.set(counterKey, failures + 1);
+                throw new Error(response.$error);
+            }
+            response = fixture.default;
+        }
+
+        if (response === undefined) {
+            throw new Error(`Mock fixture for task "${context.task}" has no response for key "${key}"`);
+        }
+
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        const template = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+        let text = this.renderTemplate(template, context.vars);
+        if (context.vars?.fieldNames) {
+            text = JSON.stringify(fitFields(JSON.parse(text), context.vars.fieldNames), null, 2);
+        }
+
+        // Fixtures carry no usage metadata, so estimate from the text exchanged
+        const promptText = request.contents
+            .flatMap(content => content.parts)
+            .map(part => part.text || '')
+            .join('');
+
+        return {
+            text,
+            model: this.name,
+            usage: {
+                inputTokens: Math.ceil(promptText.length / 4),
+                outputTokens: Math.ceil(text.length / 4)
+            },
+            raw: {
+                candidates: [{ content: { role: 'model', parts: [{ text }] } }]
+            }
+        };
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Wraps a model provider so every call goes through the shared model
+ * scheduler. Pass `signal` in the call context to stop waiting for a slot
+ * when the extraction is cancelled.
+ */
+export class ScheduledProvider {
+    constructor(provider, scheduler) {
+        this.provider = provider;
+        this.scheduler = scheduler;
+        this.name = provider.name;
+    }
+
+    getSettings() {
+        return this.provider.getSettings();
+    }
+
+    /**
+     * Send a request to the wrapped provider once the scheduler allows it
+     * @param {Object} request - Request with a contents array
+     * @param {Object} context - Call context
+     * @returns {Promise<Object>} Provider response
+     */
+    async generateContent(request, context = {}) {
+        const label = context.pageRange ? `${context.task} (pages ${context.pageRange})` : context.task;
+
+        return this.scheduler.run(
+            () => this.provider.generateContent(request, context),
+            { signal: context.signal, label }
+        );
+    }
+}
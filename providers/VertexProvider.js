@@ -0,0 +1,144 @@
+import { readFile } from 'fs/promises';
+import { VertexAI } from '@google-cloud/vertexai';
+
+const DEFAULT_SAFETY_SETTINGS = [
+    {
+        'category': 'HARM_CATEGORY_HATE_SPEECH',
+        'threshold': 'OFF',
+    },
+    {
+        'category': 'HARM_CATEGORY_DANGEROUS_CONTENT',
+        'threshold': 'OFF',
+    },
+    {
+        'category': 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        'threshold': 'OFF',
+    },
+    {
+        'category': 'HARM_CATEGORY_HARASSMENT',
+        'threshold': 'OFF',
+    }
+];
+
+/**
+ * Convert a JSON schema to the OpenAPI subset accepted by Gemini's
+ * response_schema (upper-case types, nullable instead of type unions,
+ * no validation-only keywords)
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Vertex response schema
+ */
+function toResponseSchema(schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const nonNullTypes = types.filter(type => type !== 'null');
+    const converted = { type: (nonNullTypes[0] || 'string').toUpperCase() };
+
+    if (nonNullTypes.length < types.length) converted.nullable = true;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.minItems !== undefined) converted.minItems = schema.minItems;
+    if (schema.items) converted.items = toResponseSchema(schema.items);
+    if (schema.properties && Object.keys(schema.properties).length > 0) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toResponseSchema(value)])
+        );
+        if (schema.required) converted.required = schema.required;
+    }
+
+    return converted;
+}
+
+/**
+ * Model provider backed by Gemini on Vertex AI
+ */
+export class VertexProvider {
+    constructor(options = {}) {
+        this.name = 'vertex';
+        this.credentialsPath = options.credentialsPath;
+        this.project = options.project;
+        this.location = options.location || 'us-central1';
+        this.model = options.model || 'gemini-1.5-flash-002';
+        this.generationConfig = options.generationConfig || {
+            'maxOutputTokens': 8192,
+            'temperature': 0.7,
+            'topP': 0.8,
+        };
+        this.safetySettings = options.safetySettings || DEFAULT_SAFETY_SETTINGS;
+        this.structuredOutput = options.structuredOutput ?? true;
+        this.generativeModel = null;
+    }
+
+    /**
+     * Load credentials and create the generative model
+     * @returns {Promise<VertexProvider>} The initialized provider
+     */
+    async initialize() {
+        const credentials = JSON.parse(await readFile(this.credentialsPath));
+        console.log('Loaded Google Cloud credentials for project:', credentials.project_id);
+
+        const vertexAI = new VertexAI({
+            project: this.project || credentials.project_id,
+            location: this.location,
+            credentials: credentials
+        });
+
+        this.generativeModel = vertexAI.preview.getGenerativeModel({
+            model: this.model,
+            generationConfig: this.generationConfig,
+            safetySettings: this.safetySettings,
+        });
+
+        return this;
+    }
+
+    /**
+     * Settings that change the model's answers, used in result cache keys
+     * @returns {Object} Provider settings
+     */
+    getSettings() {
+        return {
+            provider: this.name,
+            model: this.model,
+            generationConfig: this.generationConfig,
+            structuredOutput: this.structuredOutput
+        };
+    }
+
+    /**
+     * Send a request to the model
+     * @param {Object} request - Request with a contents array
+     * @param {Object} context - Call context (task name, fixture key, template vars, responseSchema)
+     * @returns {Promise<Object>} Response text, model name, token usage and raw response
+     */
+    async generateContent(request, context = {}) {
+        if (!this.generativeModel) {
+            throw new Error('Vertex provider has not been initialized');
+        }
+
+        // Ask for JSON constrained to the schema when the caller declares one
+        if (context.responseSchema && this.structuredOutput) {
+            request = {
+                ...request,
+                generation_config: {
+                    max_output_tokens: this.generationConfig.maxOutputTokens,
+                    temperature: this.generationConfig.temperature,
+                    top_p: this.generationConfig.topP,
+                    response_mime_type: 'application/json',
+                    response_schema: toResponseSchema(context.responseSchema)
+                }
+            };
+        }
+
+        const response = await this.generativeModel.generateContent(request);
+        const text = response.response.candidates[0].content.parts[0].text;
+        const usageMetadata = response.response.usageMetadata || {};
+
+        return {
+            text,
+            model: this.model,
+            usage: {
+                inputTokens: usageMetadata.promptTokenCount || 0,
+                outputTokens: usageMetadata.candidatesTokenCount || 0
+            },
+            raw: response.response
+        };
+    }
+}
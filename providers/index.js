@@ -0,0 +1,52 @@
+import { access } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { VertexProvider } from './VertexProvider.js';
+import { MockProvider } from './MockProvider.js';
+import { MeteredProvider } from './MeteredProvider.js';
+import { ScheduledProvider } from './ScheduledProvider.js';
+
+const DEFAULT_CREDENTIALS_PATH = fileURLToPath(new URL('../config/google-credentials.json', import.meta.url));
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../fixtures/mock', import.meta.url));
+
+/**
+ * Create the model provider selected by MODEL_PROVIDER ("vertex" or "mock").
+ * Vertex AI is used when MODEL_PROVIDER is not set; the mock provider, which
+ * answers with fixture data, only runs when asked for by name, so a server
+ * without credentials fails to start instead of returning fake results.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Initialized provider
+ */
+export async function createModelProvider(env = process.env) {
+    const credentialsPath = env.GOOGLE_CREDENTIALS_PATH || DEFAULT_CREDENTIALS_PATH;
+    const providerName = env.MODEL_PROVIDER || 'vertex';
+
+    let provider;
+    switch (providerName) {
+        case 'vertex': {
+            const hasCredentials = await access(credentialsPath).then(() => true, () => false);
+            if (!hasCredentials) {
+                throw new Error(`No Google Cloud credentials found at ${credentialsPath}. Set GOOGLE_CREDENTIALS_PATH, or MODEL_PROVIDER=mock to run with fixture data.`);
+            }
+            provider = new VertexProvider({
+                credentialsPath,
+                project: env.GOOGLE_CLOUD_PROJECT,
+                location: env.VERTEX_LOCATION,
+                model: env.VERTEX_MODEL,
+                structuredOutput: env.VERTEX_STRUCTURED_OUTPUT !== 'false'
+            });
+            break;
+        }
+        case 'mock':
+            provider = new MockProvider({
+                fixturesDir: env.MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+                latencyMs: Number(env.MOCK_LATENCY_MS) || 0
+            });
+            break;
+        default:
+            throw new Error(`Unknown model provider "${providerName}". Use "vertex" or "mock".`);
+    }
+
+    return provider.initialize();
+}
+
+export { VertexProvider, MockProvider, MeteredProvider, ScheduledProvider };
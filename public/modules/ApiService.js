@@ -2,16 +2,21 @@ export class ApiService {
     constructor() {
         this.baseUrl = ''; // Can be configured for different environments
         this.endpoints = {
+            documents: '/documents',
             mergePDFs: '/merge-pdfs',
+            classifyDocument: '/classify-document',
+            modes: '/modes',
+            detectBoundaries: '/detect-boundaries',
+            splitDocument: '/split-document',
             suggestFields: '/suggest-fields',
-            extractData: '/extract-data',
             getPageCount: '/get-page-count',
-            extractDataGroup: '/extract-data-group',
-            extractTableData: '/extract-table-data'
+            jobs: '/jobs',
+            templates: '/extraction-templates'
         };
         
         this.MAX_RETRIES = 5;
         this.RETRY_DELAY = 15000; // 15 seconds
+        this.JOB_POLL_INTERVAL = 2000; // 2 seconds
         this.currentProcessingGroup = 0;
     }
 
@@ -25,16 +30,23 @@ export class ApiService {
             headers: {
                 'Content-Type': 'application/json',
                 ...options.headers
-            },
-            body: JSON.stringify(data)
+            }
         };
 
+        // GET requests cannot carry a body
+        if (method !== 'GET') {
+            requestOptions.body = JSON.stringify(data);
+        }
+
         try {
             const response = await fetch(url, requestOptions);
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `Server returned ${response.status}`);
+                const error = new Error(errorData.error || `Server returned ${response.status}`);
+                error.status = response.status;
+                error.code = errorData.code;
+                throw error;
             }
             
             const responseData = await response.json();
@@ -64,6 +76,11 @@ export class ApiService {
             } catch (error) {
                 lastError = error;
                 
+                // Missing resources will not appear, and rejected input will not change, by retrying
+                if (error.status === 404 || error.status === 400) {
+                    throw error;
+                }
+                
                 const isConnectionError = error.message.includes('Failed to fetch') || 
                                          error.message.includes('ERR_CONNECTION_REFUSED');
                 
@@ -83,104 +100,198 @@ export class ApiService {
         throw new Error(`All ${this.MAX_RETRIES} retry attempts failed for ${context}. Last error: ${lastError?.message}`);
     }
 
+    /**
+     * Upload a PDF once; every other call refers to it by the returned document ID
+     * @param {string} base64Content - PDF content in base64
+     * @param {string} filename - Original file name
+     * @returns {Promise<Object>} documentId and pageCount
+     */
+    async uploadDocument(base64Content, filename) {
+        return this.withRetry(async () => {
+            console.log(`Uploading ${filename}...`);
+            const response = await this.apiCall(this.endpoints.documents, { base64Content, filename });
+            console.log('Document stored:', response.documentId);
+            return { documentId: response.documentId, pageCount: response.pageCount };
+        }, 'document upload');
+    }
+
     // Simplified API methods using the generic apiCall
-    async mergePDFs(base64Array) {
+    /**
+     * Merge uploaded documents into one
+     * @param {Array<string>} documentIds - Document IDs in merge order
+     * @param {Array<Object|null>} [layouts] - Pages to keep of each document, in order and with their rotation; null keeps a document as it is
+     * @returns {Promise<Object>} documentId, pageCount, manifest (source file and page of each merged page) and skipped files
+     */
+    async mergePDFs(documentIds, layouts = []) {
         return this.withRetry(async () => {
-            console.log('Merging', base64Array.length, 'PDFs');
-            const response = await this.apiCall(this.endpoints.mergePDFs, { pdfs: base64Array });
+            console.log('Merging', documentIds.length, 'PDFs');
+            const response = await this.apiCall(this.endpoints.mergePDFs, { documentIds, layouts });
             console.log('PDFs merged successfully');
-            return response.mergedPDF;
+            return {
+                documentId: response.documentId,
+                pageCount: response.pageCount,
+                manifest: response.manifest || [],
+                skipped: response.skipped || []
+            };
         }, 'PDF merge');
     }
     
-    async getPDFPageCount(base64Content) {
+    async getPDFPageCount(documentId) {
         return this.withRetry(async () => {
             console.log('Getting page count...');
-            const response = await this.apiCall(this.endpoints.getPageCount, { base64Content });
+            const response = await this.apiCall(this.endpoints.getPageCount, { documentId });
             console.log('Page count retrieved:', response.pageCount);
             return response.pageCount;
         }, 'page count');
     }
 
-    async suggestFields(base64Content) {
+    /**
+     * Detect the document type and the extraction mode that suits it
+     * @param {string} documentId - Uploaded document ID
+     * @returns {Promise<Object>} documentType, label, confidence, reason and extractionMode
+     */
+    async classifyDocument(documentId) {
+        return this.withRetry(async () => {
+            console.log('Classifying document...');
+            const response = await this.apiCall(this.endpoints.classifyDocument, { documentId });
+            console.log(`Document classified as ${response.documentType} (confidence ${response.confidence})`);
+            return response;
+        }, 'document classification');
+    }
+
+    /**
+     * Detect where each document in a batched PDF starts
+     * @param {string} documentId - Uploaded document ID
+     * @returns {Promise<Array>} Detected documents (startPage, endPage, label)
+     */
+    async detectBoundaries(documentId) {
+        return this.withRetry(async () => {
+            console.log('Detecting document boundaries...');
+            const response = await this.apiCall(this.endpoints.detectBoundaries, { documentId });
+            console.log(`Detected ${response.segments.length} document(s)`);
+            return response.segments;
+        }, 'boundary detection');
+    }
+
+    /**
+     * Cut a batched PDF into the reviewed documents
+     * @param {string} documentId - Uploaded document ID of the batch
+     * @param {Array} segments - startPage, endPage and label of each document
+     * @returns {Promise<Array>} Stored documents with their page span in the batch
+     */
+    async splitDocument(documentId, segments) {
+        return this.withRetry(async () => {
+            const response = await this.apiCall(this.endpoints.splitDocument, { documentId, segments });
+            console.log(`Split into ${response.documents.length} documents`);
+            return response.documents;
+        }, 'document split');
+    }
+
+    /**
+     * Get the extraction modes the server supports
+     * @returns {Promise<Array>} Mode descriptions
+     */
+    async getModes() {
+        return this.withRetry(async () => {
+            const response = await this.apiCall(this.endpoints.modes, null, { method: 'GET' });
+            return response.modes;
+        }, 'mode list');
+    }
+
+    // Template methods
+    async listTemplates() {
+        return this.withRetry(async () => {
+            const response = await this.apiCall(this.endpoints.templates, null, { method: 'GET' });
+            return response.templates;
+        }, 'template list');
+    }
+
+    /**
+     * Save a template
+     * @param {Object} template - name, mode, and fields or columns
+     * @returns {Promise<Object>} Saved template
+     */
+    async createTemplate(template) {
+        const response = await this.apiCall(this.endpoints.templates, template);
+        return response.template;
+    }
+
+    async deleteTemplate(templateId) {
+        await this.apiCall(`${this.endpoints.templates}/${templateId}`, {}, { method: 'DELETE' });
+    }
+
+    /**
+     * Import exported templates
+     * @param {Object|Array<Object>} data - Contents of an exported template file
+     * @returns {Promise<Array<Object>>} Imported templates
+     */
+    async importTemplates(data) {
+        const response = await this.apiCall(`${this.endpoints.templates}/import`, data);
+        return response.templates;
+    }
+
+    getTemplateExportUrl(templateId) {
+        return `${this.baseUrl}${this.endpoints.templates}/${templateId}/export`;
+    }
+
+    async suggestFields(documentId, { mode, pages = null, force = false } = {}) {
         return this.withRetry(async () => {
-            const response = await this.apiCall(this.endpoints.suggestFields, { base64Content });
+            const response = await this.apiCall(this.endpoints.suggestFields, { documentId, mode, pages, force });
+            if (response.cached) console.log('Field suggestions served from cache');
             return response.fields;
         }, 'field suggestion');
     }
 
-    async extractDataFromGroup(base64Content, selectedFields, groupInfo) {
-        return this.withRetry(async () => {
-            console.log(`Extracting data for group ${groupInfo.groupIndex + 1}`);
-            const response = await this.apiCall(this.endpoints.extractDataGroup, {
-                base64Content,
-                selectedFields,
-                groupInfo
-            });
-            return response.data;
-        }, `group ${groupInfo.groupIndex + 1}`);
+    /**
+     * Submit a background extraction job
+     * @param {string} type - Job type ("fields" or "table")
+     * @param {Object} payload - Job input (documentId, mode, selectedFields, documents of a split batch, force to bypass cached results)
+     * @returns {Promise<Object>} Submitted job
+     */
+    async submitJob(type, payload) {
+        // Not retried: a retry after a lost response would start a duplicate job
+        console.log(`Submitting ${type} extraction job...`);
+        const response = await this.apiCall(this.endpoints.jobs, { type, ...payload });
+        console.log('Job submitted:', response.jobId);
+        return response.job;
     }
 
-    async extractTableData(base64Content) {
+    async getJob(jobId) {
         return this.withRetry(async () => {
-            console.log('Extracting table data...');
-            const response = await this.apiCall(this.endpoints.extractTableData, { base64Content });
-            return response.data;
-        }, 'table extraction');
+            const response = await this.apiCall(`${this.endpoints.jobs}/${jobId}`, null, { method: 'GET' });
+            return response.job;
+        }, `job ${jobId} status`);
     }
 
-    // Generator function for processing groups
-    async* processGroups(base64Content, selectedFields, totalPages) {
-        const PAGES_PER_GROUP = 10;
-        const totalGroups = Math.ceil(totalPages / PAGES_PER_GROUP);
-        
-        for (let groupIndex = 0; groupIndex < totalGroups; groupIndex++) {
-            const startPage = groupIndex * PAGES_PER_GROUP;
-            const endPage = Math.min(startPage + PAGES_PER_GROUP, totalPages);
-            
-            const groupInfo = {
-                groupIndex,
-                startPage: startPage + 1,
-                endPage,
-                totalPages,
-                isLastGroup: endPage === totalPages
-            };
+    async cancelJob(jobId) {
+        const response = await this.apiCall(`${this.endpoints.jobs}/${jobId}/cancel`, {});
+        return response.job;
+    }
 
-            try {
-                const groupData = await this.extractDataFromGroup(
-                    base64Content,
-                    selectedFields,
-                    groupInfo
-                );
-
-                yield {
-                    success: true,
-                    data: groupData,
-                    groupInfo
-                };
-            } catch (error) {
-                yield {
-                    success: false,
-                    error: error.message,
-                    groupInfo
-                };
-                break; // Stop processing if a group fails
-            }
-        }
+    async retryJob(jobId) {
+        console.log(`Retrying failed pages of job ${jobId}...`);
+        const response = await this.apiCall(`${this.endpoints.jobs}/${jobId}/retry`, {});
+        return response.job;
     }
 
-    // Helper to calculate group info
-    calculateGroupInfo(pageNumber, totalPages, pagesPerGroup = 10) {
-        const groupIndex = Math.floor((pageNumber - 1) / pagesPerGroup);
-        const startPage = groupIndex * pagesPerGroup + 1;
-        const endPage = Math.min(startPage + pagesPerGroup - 1, totalPages);
-        
-        return {
-            groupIndex,
-            startPage,
-            endPage,
-            totalPages,
-            isLastGroup: endPage === totalPages
-        };
+    /**
+     * Poll a job until it finishes
+     * @param {string} jobId - Job ID
+     * @param {Function} onUpdate - Called with the job after every poll
+     * @returns {Promise<Object>} Finished job
+     */
+    async watchJob(jobId, onUpdate) {
+        const terminalStatuses = ['completed', 'failed', 'cancelled'];
+
+        while (true) {
+            const job = await this.getJob(jobId);
+            onUpdate?.(job);
+
+            if (terminalStatuses.includes(job.status)) {
+                return job;
+            }
+
+            await this.delay(this.JOB_POLL_INTERVAL);
+        }
     }
 }
\ No newline at end of file
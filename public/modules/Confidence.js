@@ -0,0 +1,23 @@
+// Values scored below this are highlighted for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+/**
+ * Whether a confidence score (0 to 1, from the server) needs review.
+ * Values without a score, such as values that were not found, do not.
+ * @param {number|null|undefined} confidence - Confidence score
+ * @returns {boolean} True if the value should be checked
+ */
+export function isLowConfidence(confidence) {
+    return typeof confidence === 'number' && confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Describe a confidence score and the issues that lowered it
+ * @param {number} confidence - Confidence score
+ * @param {Array<string>} [issues] - Issues found by the server's checks
+ * @returns {string} Text such as "Confidence 45%: Not a recognizable date"
+ */
+export function describeConfidence(confidence, issues = []) {
+    const text = `Confidence ${Math.round(confidence * 100)}%`;
+    return issues?.length ? `${text}: ${issues.join('; ')}` : text;
+}
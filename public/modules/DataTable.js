@@ -1,13 +1,38 @@
+import { getModeExporters, writeWorkbook, addCellComment, setTypedCell } from '/modules/Exporters.js';
+import { isLowConfidence, describeConfidence } from '/modules/Confidence.js';
+import { formatNormalized, describeAssumedDateOrder } from '/modules/TypedValues.js';
+
+// Ask for the page a value or row was read from to be shown next to the results
+function requestSource(cell, detail) {
+    cell.closest('table')?.querySelectorAll('.source-selected')
+        .forEach(element => element.classList.remove('source-selected'));
+    cell.classList.add('source-selected');
+    document.dispatchEvent(new CustomEvent('sourceRequested', { detail }));
+}
+
+// Page number of a row, or its page span when the row covers a page group or a split-out document
+function formatPageSpan(page) {
+    return page.endPage && page.endPage !== page.pageNumber
+        ? `${page.pageNumber}-${page.endPage}`
+        : page.pageNumber;
+}
+
 export class DataTable {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - ID of the element to render into
+     * @param {Object} options - mode whose exporters and export file name are used
+     */
+    constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
         if (!this.container) {
             throw new Error(`Container with id ${containerId} not found`);
         }
         
+        this.mode = options.mode || null;
         this.data = { pages: [] };
         this.table = null;
         this.tbody = null;
+        this.lowConfidenceOnly = false; // Show only rows with values to review
         
         this.addStyles();
     }
@@ -74,6 +99,51 @@ export class DataTable {
             .date-value {
                 color: #2196f3;
             }
+            .date-order-note {
+                color: #e65100;
+                background: #fff8e1;
+                border-radius: 4px;
+                padding: 8px 12px;
+                font-size: 14px;
+            }
+            .normalized-value {
+                display: block;
+                color: #666;
+                font-size: 12px;
+            }
+            .data-table td.has-source {
+                cursor: pointer;
+            }
+            .data-table td.has-source:hover {
+                text-decoration: underline dotted;
+            }
+            .data-table td.low-confidence {
+                background-color: #fff8e1;
+                box-shadow: inset 3px 0 0 #ffa000;
+            }
+            .confidence-filter {
+                font-size: 14px;
+                color: #e65100;
+            }
+            .data-table td.source-selected {
+                outline: 2px solid #ff9800;
+                outline-offset: -2px;
+            }
+            .failed-row td {
+                background-color: #ffebee;
+                color: #d32f2f;
+            }
+            .retry-button {
+                padding: 8px 16px;
+                background-color: white;
+                color: #d32f2f;
+                border: 1px solid #d32f2f;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+            .retry-button:hover {
+                background-color: #ffebee;
+            }
             .table-placeholder {
                 text-align: center;
                 padding: 20px;
@@ -84,6 +154,26 @@ export class DataTable {
         document.head.appendChild(style);
     }
     
+    /**
+     * Whether the rows come from separately processed or merged files and
+     * need source file and source page columns
+     * @returns {boolean} True if any row names its source file
+     */
+    hasSourceFiles() {
+        return (this.data?.pages || []).some(page => page.sourceFile);
+    }
+    
+    /**
+     * Get the names of a row's fields whose values need review
+     * @param {Object} page - Page data object
+     * @returns {Array<string>} Field names
+     */
+    getLowConfidenceFields(page) {
+        return Object.entries(page.fields || {})
+            .filter(([, fieldData]) => isLowConfidence(fieldData?.confidence))
+            .map(([fieldName]) => fieldName);
+    }
+    
     /**
      * Creates the table structure with headers
      * @param {Array} headers - Array of column headers 
@@ -98,18 +188,62 @@ export class DataTable {
         const controls = document.createElement('div');
         controls.className = 'table-controls';
         
-        const exportButton = document.createElement('button');
-        exportButton.className = 'export-button';
-        exportButton.textContent = 'Export to Excel';
-        exportButton.onclick = () => this.exportToExcel();
+        // One button per export format the mode declares
+        getModeExporters(this.mode).forEach(exporter => {
+            const exportButton = document.createElement('button');
+            exportButton.className = 'export-button';
+            exportButton.textContent = exporter.label;
+            exportButton.onclick = () => this.exportData(exporter.id);
+            controls.appendChild(exportButton);
+        });
         
         const status = document.createElement('div');
         status.className = 'table-status';
         status.textContent = 'Processing data...';
         
-        controls.appendChild(exportButton);
+        // Offer to re-run only the page groups that failed
+        const failedPages = this.getFailedPages();
+        if (failedPages.length > 0) {
+            const retryButton = document.createElement('button');
+            retryButton.className = 'retry-button';
+            retryButton.textContent = `Retry failed pages (${failedPages.length})`;
+            retryButton.onclick = () => {
+                retryButton.disabled = true;
+                document.dispatchEvent(new CustomEvent('retryFailedPages', {
+                    detail: failedPages.map(page => page.pageNumber)
+                }));
+            };
+            controls.appendChild(retryButton);
+        }
+        
+        // Let reviewers narrow the table down to the doubtful rows
+        const reviewCount = this.data.pages.filter(page => this.getLowConfidenceFields(page).length > 0).length;
+        if (reviewCount > 0) {
+            const filterLabel = document.createElement('label');
+            filterLabel.className = 'confidence-filter';
+            const filterToggle = document.createElement('input');
+            filterToggle.type = 'checkbox';
+            filterToggle.checked = this.lowConfidenceOnly;
+            filterToggle.addEventListener('change', () => {
+                this.lowConfidenceOnly = filterToggle.checked;
+                this.render(this.data);
+            });
+            filterLabel.append(filterToggle, ` Only rows to review (${reviewCount})`);
+            controls.appendChild(filterLabel);
+        }
+        
         controls.appendChild(status);
         tableWrapper.appendChild(controls);
+        
+        // Tell reviewers when the day and month order of the date fields was a guess
+        const dateOrderNote = describeAssumedDateOrder(this.data.pages.flatMap(page =>
+            Object.values(page.fields || {}).map(fieldData => fieldData?.dateFormat)));
+        if (dateOrderNote) {
+            const note = document.createElement('p');
+            note.className = 'date-order-note';
+            note.textContent = dateOrderNote;
+            tableWrapper.appendChild(note);
+        }
 
         // Create table with headers
         this.table = document.createElement('table');
@@ -123,6 +257,14 @@ export class DataTable {
         pageHeader.textContent = 'Page';
         headerRow.appendChild(pageHeader);
         
+        if (this.hasSourceFiles()) {
+            ['Source File', 'Source Page'].forEach(label => {
+                const sourceHeader = document.createElement('th');
+                sourceHeader.textContent = label;
+                headerRow.appendChild(sourceHeader);
+            });
+        }
+        
         // Add field headers
         headers.forEach(field => {
             const th = document.createElement('th');
@@ -157,9 +299,8 @@ export class DataTable {
             // Store the data
             this.data = data;
 
-            // Get field names from the first page
-            const firstPage = data.pages[0];
-            const fieldNames = Object.keys(firstPage.fields);
+            // Get field names across all pages (failed pages have none)
+            const fieldNames = this.getFieldNames();
 
             // Initialize table with headers
             this.initializeTable(fieldNames);
@@ -171,17 +312,28 @@ export class DataTable {
 
             // Handle empty data case
             if (data.pages.length === 0) {
-                this.renderEmptyState(fieldNames.length + 1);
+                this.renderEmptyState(fieldNames.length + (this.hasSourceFiles() ? 3 : 1));
                 return;
             }
 
-            // Render each page
-            data.pages.forEach(page => this.renderPageRow(page, fieldNames));
+            // Render each page, or only those with values to review
+            const shownPages = this.lowConfidenceOnly
+                ? data.pages.filter(page => this.getLowConfidenceFields(page).length > 0)
+                : data.pages;
+            shownPages.forEach(page => this.renderPageRow(page, fieldNames));
 
             // Update status
             const status = this.container.querySelector('.table-status');
             if (status) {
-                status.textContent = `Showing ${data.pages.length} page(s)`;
+                const failedCount = this.getFailedPages().length;
+                // Rows of a split batch are documents, each labelled by boundary detection
+                const rowNoun = data.pages.some(page => 'label' in page) ? 'document(s)' : 'page(s)';
+                const fileCount = new Set(data.pages.map(page => page.sourceFile).filter(Boolean)).size;
+                const reviewCount = data.pages.filter(page => this.getLowConfidenceFields(page).length > 0).length;
+                status.textContent = `Showing ${shownPages.length} ${rowNoun}` +
+                    (fileCount > 0 ? ` from ${fileCount} file(s)` : '') +
+                    (failedCount > 0 ? `, ${failedCount} failed` : '') +
+                    (reviewCount > 0 ? `, ${reviewCount} to review` : '');
             }
         } catch (error) {
             console.error('Error in DataTable render:', error);
@@ -213,9 +365,36 @@ export class DataTable {
         
         // Add page number
         const pageCell = document.createElement('td');
-        pageCell.textContent = page.pageNumber;
+        pageCell.textContent = formatPageSpan(page);
+        if (page.label) pageCell.title = page.label;
+        pageCell.classList.add('has-source');
+        pageCell.addEventListener('click', () => requestSource(pageCell, {
+            pageNumber: page.pageNumber,
+            region: null,
+            fileIndex: page.fileIndex,
+            label: page.label || ''
+        }));
         row.appendChild(pageCell);
         
+        if (this.hasSourceFiles()) {
+            [page.sourceFile || '', page.sourcePage || ''].forEach(value => {
+                const sourceCell = document.createElement('td');
+                sourceCell.textContent = value;
+                row.appendChild(sourceCell);
+            });
+        }
+        
+        // Failed page ranges get one cell with the error instead of values
+        if (page.status === 'failed') {
+            row.className = 'failed-row';
+            const errorCell = document.createElement('td');
+            errorCell.colSpan = Math.max(fieldNames.length, 1);
+            errorCell.textContent = `Extraction failed: ${page.error || 'Unknown error'}`;
+            row.appendChild(errorCell);
+            this.tbody.appendChild(row);
+            return;
+        }
+        
         // Add fields in the same order as headers
         fieldNames.forEach(fieldName => {
             const td = document.createElement('td');
@@ -229,6 +408,31 @@ export class DataTable {
                 if (fieldData.type === 'date') {
                     td.className = 'date-value';
                 }
+                // Typed values show how they were read below the text as printed
+                const normalizedText = formatNormalized(fieldData.normalized, fieldData.type);
+                if (normalizedText && normalizedText !== String(fieldData.value)) {
+                    const normalizedSpan = document.createElement('span');
+                    normalizedSpan.className = 'normalized-value';
+                    normalizedSpan.textContent = normalizedText;
+                    td.appendChild(normalizedSpan);
+                }
+                const hints = [];
+                if (typeof fieldData.confidence === 'number') {
+                    hints.push(describeConfidence(fieldData.confidence, fieldData.confidenceIssues));
+                    td.classList.toggle('low-confidence', isLowConfidence(fieldData.confidence));
+                }
+                // Values name the page they were read from, and usually where on it
+                if (fieldData.page) {
+                    td.classList.add('has-source');
+                    hints.push('Show in document');
+                    td.addEventListener('click', () => requestSource(td, {
+                        pageNumber: fieldData.page,
+                        region: fieldData.region || null,
+                        fileIndex: page.fileIndex,
+                        label: `${fieldName}: ${fieldData.value}`
+                    }));
+                }
+                td.title = hints.join('\n');
             }
             row.appendChild(td);
         });
@@ -237,9 +441,30 @@ export class DataTable {
     }
     
     /**
-     * Export table data to Excel
+     * Get field names in first-seen order across all pages
+     * @returns {Array<string>} Field names
      */
-    async exportToExcel() {
+    getFieldNames() {
+        const fieldNames = new Set();
+        (this.data?.pages || []).forEach(page => {
+            Object.keys(page.fields || {}).forEach(fieldName => fieldNames.add(fieldName));
+        });
+        return Array.from(fieldNames);
+    }
+    
+    /**
+     * Get pages whose extraction failed
+     * @returns {Array} Failed pages
+     */
+    getFailedPages() {
+        return (this.data?.pages || []).filter(page => page.status === 'failed');
+    }
+    
+    /**
+     * Export table data
+     * @param {string} exporterId - Export format declared by the mode ("xlsx" or "csv")
+     */
+    async exportData(exporterId = 'xlsx') {
         if (!this.data?.pages?.length) {
             console.error('No data available for export');
             return;
@@ -254,29 +479,56 @@ export class DataTable {
             const wb = XLSX.utils.book_new();
             
             // Get field names in the same order as table headers
-            const fieldNames = Object.keys(this.data.pages[0].fields);
-            const headers = ['Page', ...fieldNames];
+            const fieldNames = this.getFieldNames();
+            const hasSourceFiles = this.hasSourceFiles();
+            const leadingHeaders = ['Page', ...(hasSourceFiles ? ['Source File', 'Source Page'] : [])];
+            const headers = [...leadingHeaders, ...fieldNames, 'Needs Review'];
+            const exportedPages = this.data.pages.filter(page => page.status !== 'failed');
             
-            // Create rows with consistent field order
-            const rows = this.data.pages.map(page => {
-                const row = [page.pageNumber];
+            // Create rows with consistent field order, leaving out failed pages;
+            // the last column names the values whose confidence is low
+            const rows = exportedPages.map(page => {
+                const row = [
+                    formatPageSpan(page),
+                    ...(hasSourceFiles ? [page.sourceFile || '', page.sourcePage || ''] : [])
+                ];
                 fieldNames.forEach(fieldName => {
                     const fieldData = page.fields[fieldName];
                     row.push(fieldData && fieldData.value !== null ? fieldData.value : 'N/A');
                 });
+                row.push(this.getLowConfidenceFields(page)
+                    .map(fieldName => `${fieldName} (${Math.round(page.fields[fieldName].confidence * 100)}%)`)
+                    .join(', '));
                 return row;
             });
 
             const wsData = [headers, ...rows];
             const ws = XLSX.utils.aoa_to_sheet(wsData);
 
+            // Typed values are written as numbers, dates and booleans
+            exportedPages.forEach((page, rowIndex) => {
+                fieldNames.forEach((fieldName, fieldIndex) => {
+                    const fieldData = page.fields[fieldName];
+                    if (fieldData?.value === null || fieldData?.value === undefined) return;
+                    setTypedCell(ws, rowIndex + 1, leadingHeaders.length + fieldIndex, fieldData.type, fieldData.normalized);
+                });
+            });
+
+            // Explain each doubtful value in a comment on its cell
+            exportedPages.forEach((page, rowIndex) => {
+                this.getLowConfidenceFields(page).forEach(fieldName => {
+                    const fieldData = page.fields[fieldName];
+                    addCellComment(ws, rowIndex + 1, leadingHeaders.length + fieldNames.indexOf(fieldName),
+                        describeConfidence(fieldData.confidence, fieldData.confidenceIssues));
+                });
+            });
+
             XLSX.utils.book_append_sheet(wb, ws, 'Extracted Data');
 
-            const filename = 'extracted_data_' + new Date().toISOString().slice(0, 10) + '.xlsx';
-            XLSX.writeFile(wb, filename);
+            writeWorkbook(wb, exporterId, this.mode?.exportFilename || 'extracted_data');
 
         } catch (error) {
-            console.error('Error exporting to Excel:', error);
+            console.error('Error exporting data:', error);
             alert('Failed to export data. Please try again.');
         }
     }
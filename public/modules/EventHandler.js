@@ -1,30 +1,47 @@
+import { ModeRegistry } from '/modules/ModeRegistry.js';
+import { PagePreview } from '/modules/PagePreview.js';
+import { SourceViewer } from '/modules/SourceViewer.js';
+
+// Modes resumed jobs fall back to when they were saved without one
+const DEFAULT_MODES = { fields: 'invoice', table: 'bank_statement' };
+
+// localStorage key of the job the page is attached to, so it survives a reload
+const ACTIVE_JOB_KEY = 'activeExtractionJob';
+
 export class EventHandler {
     constructor(uiController, fileUploader, apiService) {
         this.ui = uiController;
         this.fileUploader = fileUploader;
         this.apiService = apiService;
+        this.pagePreview = new PagePreview('pagePreview');
+        this.sourceViewer = new SourceViewer('sourceViewer');
         this.state = {
             currentFile: null,
-            currentBase64: null,
+            currentDocumentId: null,
+            splitDocuments: null, // Documents cut out of a batched PDF, extracted one row each
+            files: null, // Uploads processed separately instead of merged (documentId, filename, listIndex)
             selectedFields: null,
             totalPages: 0,
-            extractionMode: 'field', // Default mode
-            tableDataComponent: null
+            modes: null, // ModeRegistry, loaded from the server on first use
+            extractionMode: null, // Mode ID, pre-selected from the detected document type
+            resultView: null,
+            activeJobId: null,
+            lastJob: null // Most recent finished job, for retrying failed pages
         };
         
         this.initialize();
     }
 
     initialize() {
-        // Show mode selection initially
-        this.ui.showModeSelection();
-
         // Get UI elements
         const dropZone = document.getElementById('dropZone');
         const fileInput = document.getElementById('fileInput');
 
         this.attachEventListeners(dropZone, fileInput);
         this.attachCustomEvents();
+        
+        // Pick up a job that was running before the page was reloaded
+        this.resumeActiveJob();
     }
     
     attachEventListeners(dropZone, fileInput) {
@@ -64,21 +81,108 @@ export class EventHandler {
             console.log('Fields selected:', e.detail);
             this.state.selectedFields = e.detail;
             
-            if (this.state.currentBase64) {
-                await this.startGroupProcessing(this.state.currentBase64, this.state.selectedFields);
+            if (this.state.currentDocumentId) {
+                await this.startGroupProcessing(this.state.currentDocumentId, this.state.selectedFields);
             } else {
                 this.ui.showError('No file data available. Please upload a file first.');
             }
         });
 
-        // Mode selection event
-        document.addEventListener('modeSelected', e => {
+        // Cancel the running extraction job
+        document.addEventListener('extractionCancelled', async () => {
+            if (!this.state.activeJobId) return;
+            
+            try {
+                await this.apiService.cancelJob(this.state.activeJobId);
+            } catch (error) {
+                console.error('Cancel error:', error);
+                this.ui.showError(`Failed to cancel extraction: ${error.message}`);
+            }
+        });
+
+        // Re-run the failed pages of the last job
+        document.addEventListener('retryFailedPages', async e => {
+            console.log('Retrying failed pages:', e.detail);
+            await this.retryFailedPages();
+        });
+
+        // Files put in order, with pages left out or turned, in the page preview
+        document.addEventListener('pagesArranged', async e => {
+            console.log('Pages arranged:', e.detail.layouts);
+            await this.processFiles(e.detail.files, e.detail.layouts);
+        });
+
+        // Value or row selected in the results: show the page it was read from
+        document.addEventListener('sourceRequested', async e => {
+            // Rows of separately processed files refer to pages of their own file
+            const documentId = this.state.files?.[e.detail.fileIndex]?.documentId || this.state.currentDocumentId;
+            if (!documentId) return;
+            await this.sourceViewer.show(documentId, e.detail);
+        });
+
+        // Split points confirmed by the user; null keeps the PDF as one document
+        document.addEventListener('splitReviewed', async e => {
+            console.log('Split reviewed:', e.detail);
+            
+            try {
+                this.ui.setProcessingState(true);
+                if (e.detail) {
+                    this.state.splitDocuments = await this.apiService.splitDocument(this.state.currentDocumentId, e.detail);
+                }
+                await this.selectMode(this.state.currentDocumentId);
+            } catch (error) {
+                this.handleError(error);
+            } finally {
+                this.ui.setProcessingState(false);
+            }
+        });
+
+        // Fields or columns to keep as a template of the current mode
+        document.addEventListener('templateSaveRequested', async e => {
+            try {
+                const template = await this.apiService.createTemplate({ mode: this.state.extractionMode, ...e.detail });
+                this.ui.showNotice(`Saved template ${template.name}`);
+            } catch (error) {
+                console.error('Template save error:', error);
+                this.ui.showError(`Failed to save template: ${error.message}`);
+            }
+        });
+
+        // Template export, delete and import on the mode selection screen
+        document.addEventListener('templateExportRequested', e => {
+            window.location.assign(this.apiService.getTemplateExportUrl(e.detail));
+        });
+
+        document.addEventListener('templateDeleteRequested', async e => {
+            try {
+                await this.apiService.deleteTemplate(e.detail);
+                this.ui.updateTemplateOptions(await this.apiService.listTemplates());
+            } catch (error) {
+                console.error('Template delete error:', error);
+                this.ui.showError(`Failed to delete template: ${error.message}`);
+            }
+        });
+
+        document.addEventListener('templateImportRequested', async e => {
+            try {
+                const imported = await this.apiService.importTemplates(e.detail);
+                this.ui.updateTemplateOptions(await this.apiService.listTemplates());
+                this.ui.showNotice(`Imported ${imported.length} template(s)`);
+            } catch (error) {
+                console.error('Template import error:', error);
+                this.ui.showError(`Failed to import templates: ${error.message}`);
+            }
+        });
+
+        // Mode confirmed (or overridden) by the user after classification
+        document.addEventListener('modeSelected', async e => {
             console.log('Mode selected:', e.detail);
             this.state.extractionMode = e.detail;
             
-            const dropZone = document.getElementById('dropZone');
-            if (dropZone) {
-                dropZone.style.display = 'block';
+            if (this.state.currentDocumentId) {
+                await this.startExtraction(this.state.currentDocumentId);
+            } else {
+                this.ui.showError('No file data available. Please upload a file first.');
             }
         });
     }
@@ -95,36 +199,60 @@ export class EventHandler {
             if (!files?.length) {
                 throw new Error('No files selected');
             }
+            if (!this.fileUploader.validateFiles(files)) return;
     
-            console.log('Processing files:', files.length);
+            // Nothing is uploaded until the user has looked at the pages
             this.ui.resetState();
+            this.sourceViewer.close();
+            this.ui.updateFileList(files);
+            await this.pagePreview.show(files);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Upload the arranged files and prepare the document to extract from
+     * @param {Array<File>} files - Files in merge order
+     * @param {Array<Object|null>} layouts - Page layout of each file (pages kept and their rotation), null to keep it as it is
+     */
+    async processFiles(files, layouts) {
+        try {
+            console.log('Processing files:', files.length);
             this.ui.setProcessingState(true);
             this.ui.updateFileList(files);
+            this.state.splitDocuments = null;
+            this.state.files = null;
     
-            // Convert files to base64
-            const base64Array = await this.fileUploader.handleFiles(files);
-            if (!base64Array) {
-                throw new Error('File conversion failed');
+            if (files.length > 1 && this.ui.isPerFileMode()) {
+                await this.uploadFilesSeparately(files, layouts);
+                return;
             }
     
-            // Process files according to count
-            const processedPDF = base64Array.length > 1
-                ? await this.processMergePDFs(base64Array)
-                : base64Array[0];
+            // Upload the files once; later requests only send their document IDs
+            const documents = await this.fileUploader.uploadFiles(files);
+            if (!documents) {
+                throw new Error('File upload failed');
+            }
     
-            // Store the processed PDF
-            this.state.currentBase64 = processedPDF;
+            // Process files according to count; a single file with pages left out or turned is rearranged by a merge of its own
+            const processedDocument = documents.length > 1 || layouts[0]
+                ? await this.processMergePDFs(documents.map(document => document.documentId), layouts)
+                : documents[0];
     
-            // Get total page count
-            this.state.totalPages = await this.apiService.getPDFPageCount(processedPDF);
+            // Store the processed document
+            this.state.currentDocumentId = processedDocument.documentId;
+            this.state.totalPages = processedDocument.pageCount;
             console.log('Total pages:', this.state.totalPages);
     
-            // Process according to selected mode
-            if (this.state.extractionMode === 'field') {
-                await this.startFieldExtraction(processedPDF);
-            } else {
-                await this.startTableExtraction(processedPDF);
+            // A batch of several documents is reviewed first; mode selection follows the review
+            const segments = await this.detectBoundaries(processedDocument.documentId, processedDocument.pageCount);
+            if (segments?.length > 1) {
+                this.ui.showSplitReview(processedDocument.pageCount, segments);
+                return;
             }
+    
+            await this.selectMode(processedDocument.documentId);
         } catch (error) {
             this.handleError(error);
         } finally {
@@ -132,12 +260,166 @@ export class EventHandler {
         }
     }
 
-    async processMergePDFs(base64Array) {
-        console.log('Multiple PDFs detected, initiating merge...');
+    /**
+     * Upload files one by one so a file that is rejected does not stop the
+     * others, then let the user pick a field mode for all of them
+     * @param {Array<File>} files - Selected files
+     * @param {Array<Object|null>} [layouts] - Page layout of each file (see processFiles)
+     */
+    async uploadFilesSeparately(files, layouts = []) {
+        const uploaded = [];
+        for (const [listIndex, file] of files.entries()) {
+            this.ui.updateFileStatus(listIndex, 'uploading');
+            try {
+                let [document] = await this.fileUploader.uploadFiles([file]);
+                if (layouts[listIndex]) {
+                    document = await this.apiService.mergePDFs([document.documentId], [layouts[listIndex]]);
+                }
+                uploaded.push({ documentId: document.documentId, filename: file.name, pageCount: document.pageCount, listIndex });
+                this.ui.updateFileStatus(listIndex, 'uploaded');
+            } catch (error) {
+                console.error(`Upload of ${file.name} failed:`, error);
+                this.ui.updateFileStatus(listIndex, 'failed', error.message);
+            }
+        }
+        
+        if (uploaded.length === 0) {
+            throw new Error('None of the files could be uploaded');
+        }
+        
+        this.state.files = uploaded;
+        this.state.currentDocumentId = uploaded[0].documentId;
+        this.state.totalPages = uploaded.reduce((sum, file) => sum + file.pageCount, 0);
+        
+        // Every file gets the same field selection, so only field modes apply
+        await this.selectMode(uploaded[0].documentId, 'fields');
+    }
+
+    /**
+     * Show the status of each separately processed file from a job's units
+     * @param {Object} job - Job
+     */
+    updateFileStatuses(job) {
+        job.units
+            .filter(unit => unit.fileIndex !== undefined)
+            .forEach(unit => {
+                const file = this.state.files?.[unit.fileIndex];
+                if (file) this.ui.updateFileStatus(file.listIndex, unit.status, unit.error);
+            });
+    }
+
+    /**
+     * Detect the documents in a batched PDF
+     * @param {string} documentId - Uploaded document ID
+     * @param {number} pageCount - Page count of the document
+     * @returns {Promise<Array|null>} Detected documents, or null if detection failed or was not needed
+     */
+    async detectBoundaries(documentId, pageCount) {
+        if (pageCount < 2) return null;
+        
+        try {
+            return await this.apiService.detectBoundaries(documentId);
+        } catch (error) {
+            console.error('Boundary detection failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Detect the document type and let the user confirm the mode it suggests
+     * @param {string} documentId - Uploaded document ID
+     * @param {string} [strategy] - Only offer modes with this extraction strategy
+     */
+    async selectMode(documentId, strategy = null) {
+        const modes = (await this.loadModes()).list()
+            .filter(mode => !strategy || mode.strategy === strategy);
+        const classification = await this.classifyDocument(documentId);
+        const suggestion = modes.some(mode => mode.id === classification?.extractionMode) ? classification : null;
+        // Page selection applies to a single document, not to split batches or separately processed files
+        const isSingleDocument = !this.state.splitDocuments && !this.state.files;
+        this.ui.showModeSelection(modes, suggestion, {
+            pageCount: isSingleDocument ? this.state.totalPages : 0,
+            templates: await this.loadTemplates()
+        });
+    }
+
+    /**
+     * Get the saved templates
+     * @returns {Promise<Array<Object>>} Templates, or none if they could not be loaded
+     */
+    async loadTemplates() {
+        try {
+            return await this.apiService.listTemplates();
+        } catch (error) {
+            console.error('Template list failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Classify an uploaded document
+     * @param {string} documentId - Uploaded document ID
+     * @returns {Promise<Object|null>} Classification, or null if it failed and the user has to pick the mode
+     */
+    async classifyDocument(documentId) {
+        try {
+            const classification = await this.apiService.classifyDocument(documentId);
+            this.state.extractionMode = classification.extractionMode;
+            return classification;
+        } catch (error) {
+            console.error('Document classification failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the extraction modes, fetching them from the server once
+     * @returns {Promise<ModeRegistry>} Modes
+     */
+    async loadModes() {
+        if (!this.state.modes) {
+            this.state.modes = new ModeRegistry(await this.apiService.getModes());
+        }
+        return this.state.modes;
+    }
+
+    async startExtraction(documentId) {
+        const modes = await this.loadModes();
+        const mode = modes.get(this.state.extractionMode) || modes.list()[0];
+        this.state.extractionMode = mode.id;
+        
+        this.initializeResultView(mode);
+        
+        // A template replaces field suggestion or column detection
+        const template = this.ui.getSelectedTemplate();
+        if (template?.mode !== mode.id) {
+            if (mode.strategy === 'fields') {
+                await this.startFieldExtraction(documentId, mode);
+            } else {
+                await this.startTableExtraction(documentId, mode);
+            }
+        } else if (mode.strategy === 'fields') {
+            this.ui.showFieldSelection(template.fields.map(field => ({ ...field, isDefault: true })));
+        } else {
+            await this.startTableExtraction(documentId, mode, template.columns);
+        }
+    }
+
+    async processMergePDFs(documentIds, layouts = []) {
+        console.log('Multiple PDFs or a rearranged PDF, initiating merge...');
         try {
-            const mergedPDF = await this.apiService.mergePDFs(base64Array);
+            const mergedDocument = await this.apiService.mergePDFs(documentIds, layouts);
             console.log('PDFs merged successfully');
-            return mergedPDF;
+            
+            // Files that could not be read were left out of the merge; say which and why
+            mergedDocument.skipped.forEach(file => {
+                this.ui.updateFileStatus(file.sourceIndex, 'skipped', file.reason);
+            });
+            if (mergedDocument.skipped.length > 0) {
+                this.ui.showError(`Skipped ${mergedDocument.skipped.length} file(s) that could not be merged: ` +
+                    mergedDocument.skipped.map(file => `${file.filename} (${file.reason})`).join(', '));
+            }
+            return mergedDocument;
         } catch (error) {
             console.error('Merge failed:', error);
             throw new Error(`Failed to merge PDFs: ${error.message}`);
@@ -153,12 +435,17 @@ export class EventHandler {
     }
 
     // Extraction methods
-    async startFieldExtraction(base64Content) {
+    async startFieldExtraction(documentId, mode) {
         try {
             this.ui.setProcessingState(true);
             
             console.log('Requesting field suggestions...');
-            const fields = await this.apiService.suggestFields(base64Content);
+            const suggestionPage = this.ui.getSuggestionPage();
+            const fields = await this.apiService.suggestFields(documentId, {
+                mode: mode.id,
+                pages: suggestionPage ? [suggestionPage] : null,
+                force: this.ui.isForceReextract()
+            });
             
             if (!Array.isArray(fields)) {
                 throw new Error('Invalid response format: expected array of fields');
@@ -177,7 +464,13 @@ export class EventHandler {
         }
     }
 
-    async startTableExtraction(base64Content) {
+    /**
+     * Extract the tables of a document as a background job
+     * @param {string} documentId - Uploaded document ID
+     * @param {Object} mode - Extraction mode
+     * @param {Array<string>} [columns] - Column headers of a template, instead of detecting them
+     */
+    async startTableExtraction(documentId, mode, columns = null) {
         try {
             this.ui.setProcessingState(true);
             
@@ -186,63 +479,25 @@ export class EventHandler {
             this.ui.updateSimpleProgress(0);
             
             // Get total page count
-            const totalPages = await this.apiService.getPDFPageCount(base64Content);
+            const totalPages = await this.apiService.getPDFPageCount(documentId);
             
             // Update with actual page count
             this.ui.initializeSimpleProgress(totalPages);
             
-            // Initialize table component
-            await this.initializeTableComponent();
-            
             // Show empty table while loading
             const initialData = { pages: [] };
-            this.state.tableDataComponent?.render(initialData);
+            this.state.resultView?.render(initialData);
             
-            try {
-                // Extract table data with progress updates
-                if (this.apiService.extractTableDataWithProgress) {
-                    // Use the streaming version if available
-                    await this.apiService.extractTableDataWithProgress(
-                        base64Content,
-                        {
-                            onStatus: (status) => {
-                                this.ui.updateSimpleProgress(status.currentPage || 1);
-                            },
-                            onPage: (pageData) => {
-                                // If we have a current page number, update progress
-                                if (pageData.pageNumber) {
-                                    this.ui.updateSimpleProgress(pageData.pageNumber);
-                                }
-                            },
-                            onComplete: (tableData) => {
-                                if (tableData?.pages) {
-                                    this.state.tableDataComponent.render(tableData);
-                                    this.ui.completeSimpleProgress(true, 'All pages processed successfully!');
-                                }
-                            },
-                            onError: (error) => {
-                                this.ui.completeSimpleProgress(false, 'Error processing pages');
-                                throw error;
-                            }
-                        }
-                    );
-                } else {
-                    // Regular extraction - simulate progress
-                    const tableData = await this.apiService.extractTableData(base64Content);
-                    
-                    // Update progress to show completion
-                    this.ui.completeSimpleProgress(true, 'All pages processed successfully!');
-                    
-                    if (tableData?.pages) {
-                        this.state.tableDataComponent.render(tableData);
-                    } else {
-                        throw new Error('Invalid data structure received from server');
-                    }
-                }
-            } catch (error) {
-                this.ui.completeSimpleProgress(false, `Processing error: ${error.message}`);
-                throw error;
-            }
+            // Run the extraction as a background job and follow its progress
+            const job = await this.apiService.submitJob('table', {
+                documentId,
+                mode: mode.id,
+                pages: this.ui.getPageSelection(),
+                locale: this.ui.getValueLocale(),
+                force: this.ui.isForceReextract(),
+                ...(columns && { columns })
+            });
+            await this.followTableJob(job.id);
         } catch (error) {
             console.error('Table extraction error:', error);
             this.ui.showError(`Failed to extract tables: ${error.message}`);
@@ -251,48 +506,35 @@ export class EventHandler {
         }
     }
     
-    startProgressSimulation() {
-        let currentProgress = 0;
-        return setInterval(() => {
-            if (currentProgress < 90) {
-                currentProgress += 1;
-                
-                let message = 'Extracting bank statement data...';
-                if (currentProgress === 20) message = 'Analyzing document structure...';
-                if (currentProgress === 40) message = 'Identifying transaction data...';
-                if (currentProgress === 60) message = 'Processing transactions...';
-                if (currentProgress === 80) message = 'Finalizing transaction data...';
-                
-                this.ui.showExtractionProgress(true, message, currentProgress);
-            }
-        }, 500);
-    }
-    
-    async initializeTableComponent() {
-        if (!this.state.tableDataComponent) {
-            try {
-                const TableDataComponent = (await import('/modules/TableDataComponent.js')).TableDataComponent;
-                this.state.tableDataComponent = new TableDataComponent('dataTableContainer');
-            } catch (error) {
-                console.error('Error initializing TableDataComponent:', error);
-                throw new Error(`Failed to initialize table component: ${error.message}`);
-            }
+    /**
+     * Create the component that renders the mode's results, unless it is already shown
+     * @param {Object} mode - Extraction mode
+     */
+    initializeResultView(mode) {
+        if (this.state.resultView?.mode?.id === mode.id) return;
+        
+        try {
+            this.state.resultView = this.state.modes.createRenderer(mode, 'dataTableContainer');
+            this.ui.setResultView(this.state.resultView);
+        } catch (error) {
+            console.error('Error initializing result view:', error);
+            throw new Error(`Failed to initialize result view: ${error.message}`);
         }
     }
 
     /**
      * Handles processing of document groups
-     * @param {string} base64Content - PDF content in base64
-     * @param {Array} selectedFields - Fields selected by user
+     * @param {string} documentId - Uploaded document ID
+     * @param {Array} selectedFields - Definitions (fieldName, description, type) of the fields selected or added by the user
      */
-    async startGroupProcessing(base64Content, selectedFields) {
+    async startGroupProcessing(documentId, selectedFields) {
         // Validate inputs
         if (!selectedFields || selectedFields.length === 0) {
             this.ui.showError('Please select at least one field to analyze.');
             return;
         }
     
-        if (!base64Content) {
+        if (!documentId) {
             this.ui.showError('No document content to process. Please upload a file first.');
             return;
         }
@@ -303,36 +545,18 @@ export class EventHandler {
             // Initialize simple progress with total page count
             this.ui.initializeSimpleProgress(this.state.totalPages);
             
-            try {
-                // Process groups sequentially
-                const groupProcessor = this.apiService.processGroups(
-                    base64Content,
-                    selectedFields,
-                    this.state.totalPages
-                );
-    
-                for await (const result of groupProcessor) {
-                    if (!result.success) {
-                        throw new Error(`Failed to process group ${result.groupInfo.groupIndex + 1}: ${result.error}`);
-                    }
-    
-                    // Update table with results
-                    this.ui.updateTableWithGroupData(result.data, result.groupInfo);
-                    
-                    // Update the simple progress display with the current page(s)
-                    // We're using the end page of the current group as our progress indicator
-                    this.ui.updateSimpleProgress(result.groupInfo.endPage);
-                    
-                    // If this is the last group, mark as complete
-                    if (result.groupInfo.isLastGroup) {
-                        this.ui.completeSimpleProgress(true);
-                    }
-                }
-            } catch (error) {
-                console.error('Error during group processing:', error);
-                this.ui.showError(error.message);
-                this.ui.completeSimpleProgress(false, 'Processing stopped due to an error');
-            }
+            // Run the extraction as a background job and follow its progress
+            const job = await this.apiService.submitJob('fields', {
+                documentId,
+                documents: this.state.splitDocuments,
+                files: this.state.files?.map(({ documentId, filename }) => ({ documentId, filename })),
+                pages: this.ui.getPageSelection(),
+                mode: this.state.extractionMode,
+                selectedFields,
+                locale: this.ui.getValueLocale(),
+                force: this.ui.isForceReextract()
+            });
+            await this.followFieldJob(job.id);
         } catch (error) {
             console.error('Group processing error:', error);
             this.ui.showError(error.message);
@@ -340,4 +564,201 @@ export class EventHandler {
             this.ui.setProcessingState(false);
         }
     }
+
+    // Job methods
+    saveActiveJob(jobId, type) {
+        this.state.activeJobId = jobId;
+        localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({ jobId, type, mode: this.state.extractionMode }));
+    }
+
+    clearActiveJob() {
+        this.state.activeJobId = null;
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+    }
+
+    /**
+     * Re-attach to the job saved before a page reload, if it still exists
+     */
+    async resumeActiveJob() {
+        let savedJob = null;
+        try {
+            savedJob = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+        } catch (error) {
+            console.warn('Ignoring unreadable saved job:', error.message);
+        }
+        
+        if (!savedJob?.jobId) return;
+        
+        console.log('Resuming extraction job:', savedJob.jobId);
+        
+        try {
+            const modes = await this.loadModes();
+            const mode = modes.get(savedJob.mode) || modes.get(DEFAULT_MODES[savedJob.type]);
+            this.state.extractionMode = mode.id;
+            this.initializeResultView(mode);
+            
+            if (savedJob.type === 'table') {
+                await this.followTableJob(savedJob.jobId);
+            } else {
+                await this.followFieldJob(savedJob.jobId);
+            }
+        } catch (error) {
+            if (error.status === 404) {
+                console.log('Saved job no longer exists on the server');
+                this.clearActiveJob();
+                return;
+            }
+            console.error('Error resuming job:', error);
+            this.ui.showError(`Failed to resume extraction: ${error.message}`);
+        } finally {
+            this.ui.setProcessingState(false);
+        }
+    }
+
+    /**
+     * Follow a table extraction job, filling in tables as pages complete
+     * @param {string} jobId - Job ID
+     */
+    async followTableJob(jobId) {
+        this.saveActiveJob(jobId, 'table');
+        this.ui.setProcessingState(true);
+        this.ui.setCancelable(true);
+        
+        let knownTotalPages = 0;
+        // Status of each page unit as last shown
+        const shownStatuses = new Map();
+        
+        const job = await this.apiService.watchJob(jobId, job => {
+            // A job resumed after a reload still knows the document its pages refer to
+            this.state.currentDocumentId ??= job.documentId;
+            
+            if (job.totalPages && job.totalPages !== knownTotalPages) {
+                knownTotalPages = job.totalPages;
+                this.ui.initializeSimpleProgress(knownTotalPages);
+                this.ui.setCancelable(true);
+            }
+            
+            // Fill the tables in page by page as each page finishes. The job result
+            // already merges retried pages with the ones that succeeded before.
+            job.units
+                .filter(unit => ['succeeded', 'empty', 'failed'].includes(unit.status) && shownStatuses.get(unit.id) !== unit.status)
+                .forEach(unit => {
+                    shownStatuses.set(unit.id, unit.status);
+                    const page = job.result.pages.find(page => page.pageNumber === unit.pageNumber);
+                    if (page) this.ui.showPage(page);
+                });
+            
+            const processedUnits = job.progress.completed + job.progress.failed;
+            if (knownTotalPages) {
+                this.ui.updateSimpleProgress(Math.min(processedUnits + 1, knownTotalPages));
+            }
+        });
+        
+        // Dates are read again with the date format of the whole document once every page is done
+        this.ui.showResults(job.result);
+        this.finishJob(job, 'All pages processed successfully!');
+    }
+
+    /**
+     * Follow a field extraction job, adding rows as page groups complete
+     * @param {string} jobId - Job ID
+     */
+    async followFieldJob(jobId) {
+        this.saveActiveJob(jobId, 'fields');
+        this.ui.setProcessingState(true);
+        
+        let knownTotalPages = 0;
+        let renderedState = null;
+        
+        const job = await this.apiService.watchJob(jobId, job => {
+            // A job resumed after a reload still knows the document its pages refer to
+            this.state.currentDocumentId ??= job.documentId;
+            
+            if (job.totalPages && job.totalPages !== knownTotalPages) {
+                knownTotalPages = job.totalPages;
+                this.state.totalPages = knownTotalPages;
+                this.ui.initializeSimpleProgress(knownTotalPages);
+                this.ui.setCancelable(true);
+            }
+            
+            const unitState = this.getUnitState(job);
+            if (unitState !== renderedState) {
+                renderedState = unitState;
+                this.ui.showResults(job.result);
+                this.updateFileStatuses(job);
+            }
+            
+            // Count the pages of every finished group, or of every finished file when
+            // files are processed separately; groups of a page selection skip pages
+            const finishedGroups = job.units.filter(unit => ['succeeded', 'empty', 'failed'].includes(unit.status));
+            if (finishedGroups.length > 0) {
+                this.ui.updateSimpleProgress(finishedGroups.reduce((sum, unit) => sum + (unit.groupInfo
+                    ? unit.groupInfo.endPage - unit.groupInfo.startPage + 1
+                    : unit.pageCount || 0), 0));
+            }
+        });
+        
+        this.finishJob(job);
+    }
+
+    /**
+     * Summarize unit statuses so results are only re-rendered when they change
+     * @param {Object} job - Job
+     * @returns {string} Status signature
+     */
+    getUnitState(job) {
+        return job.units.map(unit => `${unit.id}:${unit.status}`).join(',');
+    }
+
+    /**
+     * Re-run only the failed pages/groups of the last job and merge them into
+     * the results shown
+     */
+    async retryFailedPages() {
+        const lastJob = this.state.lastJob;
+        if (!lastJob) {
+            this.ui.showError('There is no finished extraction to retry.');
+            return;
+        }
+        
+        try {
+            this.ui.setProcessingState(true);
+            await this.apiService.retryJob(lastJob.jobId);
+            
+            this.state.extractionMode = lastJob.mode;
+            
+            if (lastJob.type === 'table') {
+                await this.followTableJob(lastJob.jobId);
+            } else {
+                await this.followFieldJob(lastJob.jobId);
+            }
+        } catch (error) {
+            console.error('Retry error:', error);
+            this.ui.showError(`Failed to retry pages: ${error.message}`);
+        } finally {
+            this.ui.setProcessingState(false);
+        }
+    }
+
+    /**
+     * Report the final state of a job and detach from it
+     * @param {Object} job - Finished job
+     * @param {string} successMessage - Optional completion message
+     */
+    finishJob(job, successMessage = null) {
+        this.clearActiveJob();
+        this.state.lastJob = { jobId: job.id, type: job.type, mode: job.mode };
+        this.ui.showRunUsage(job.usage, job.progress?.cached);
+        
+        if (job.status === 'completed' && !job.error) {
+            this.ui.completeSimpleProgress(true, successMessage);
+        } else if (job.status === 'completed') {
+            this.ui.completeSimpleProgress(false, `Finished with errors: ${job.error}`);
+        } else if (job.status === 'cancelled') {
+            this.ui.completeSimpleProgress(false, 'Extraction cancelled');
+        } else {
+            this.ui.completeSimpleProgress(false, 'Processing stopped due to an error');
+            this.ui.showError(job.error || 'Extraction failed');
+        }
+    }
 }
\ No newline at end of file
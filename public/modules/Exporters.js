@@ -0,0 +1,105 @@
+/**
+ * Export formats a mode can declare. Results are exported through SheetJS;
+ * single-sheet formats such as CSV get one consolidated sheet.
+ */
+export const EXPORTERS = {
+    xlsx: { label: 'Export to Excel', bookType: 'xlsx', extension: 'xlsx', singleSheet: false },
+    csv: { label: 'Export to CSV', bookType: 'csv', extension: 'csv', singleSheet: true }
+};
+
+/**
+ * Get the exporters declared by a mode, in declaration order
+ * @param {Object} mode - Mode description from the server
+ * @returns {Array<Object>} Exporters with their id
+ */
+export function getModeExporters(mode) {
+    return (mode?.exporters || ['xlsx'])
+        .filter(exporterId => EXPORTERS[exporterId])
+        .map(exporterId => ({ id: exporterId, ...EXPORTERS[exporterId] }));
+}
+
+/**
+ * Attach a comment to a worksheet cell; formats without comments, such as CSV, leave it out
+ * @param {Object} worksheet - SheetJS worksheet
+ * @param {number} rowIndex - Row index (0-based, header row included)
+ * @param {number} columnIndex - Column index (0-based)
+ * @param {string} text - Comment text
+ */
+export function addCellComment(worksheet, rowIndex, columnIndex, text) {
+    const XLSX = window.XLSX;
+    const cell = worksheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+    if (!cell) return;
+
+    cell.c = [{ a: 'Extraction', t: text }];
+    cell.c.hidden = true;
+}
+
+// Days between the spreadsheet epoch (1899-12-30) and 1970-01-01
+const SPREADSHEET_EPOCH_OFFSET = 25569;
+
+/**
+ * Replace the text of a worksheet cell with its normalized value, so
+ * spreadsheets can sum amounts and sort dates. Cells whose value did not
+ * parse keep their text.
+ * @param {Object} worksheet - SheetJS worksheet
+ * @param {number} rowIndex - Row index (0-based, header row included)
+ * @param {number} columnIndex - Column index (0-based)
+ * @param {string} type - Type of the field or column
+ * @param {Object|null|undefined} normalized - value (and currency of amounts) from the server
+ */
+export function setTypedCell(worksheet, rowIndex, columnIndex, type, normalized) {
+    const XLSX = window.XLSX;
+    const cell = worksheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+    if (!cell || !normalized) return;
+
+    switch (type) {
+        case 'number':
+            Object.assign(cell, { t: 'n', v: normalized.value });
+            break;
+        case 'amount':
+            Object.assign(cell, {
+                t: 'n',
+                v: normalized.value,
+                z: normalized.currency ? `#,##0.00 "${normalized.currency}"` : '#,##0.00'
+            });
+            break;
+        case 'date':
+            Object.assign(cell, {
+                t: 'n',
+                v: Date.parse(normalized.value) / 86400000 + SPREADSHEET_EPOCH_OFFSET,
+                z: 'yyyy-mm-dd'
+            });
+            break;
+        case 'boolean':
+            Object.assign(cell, { t: 'b', v: normalized.value });
+            break;
+        case 'enum':
+            Object.assign(cell, { t: 's', v: normalized.value });
+            break;
+        default:
+            return;
+    }
+    // Drop the text SheetJS formatted from the printed value
+    delete cell.w;
+}
+
+/**
+ * Write a workbook to a file download
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} exporterId - Exporter ID
+ * @param {string} filenamePrefix - File name without date and extension
+ */
+export function writeWorkbook(workbook, exporterId, filenamePrefix) {
+    const XLSX = window.XLSX;
+    if (!XLSX) {
+        throw new Error('XLSX library not loaded');
+    }
+
+    const exporter = EXPORTERS[exporterId];
+    if (!exporter) {
+        throw new Error(`Unknown export format: ${exporterId}`);
+    }
+
+    const filename = `${filenamePrefix}_${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+    XLSX.writeFile(workbook, filename, { bookType: exporter.bookType });
+}
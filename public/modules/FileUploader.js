@@ -6,11 +6,71 @@ export class FileUploader {
             maxTotalSize: config.maxTotalSize || 100 * 1024 * 1024,
             maxTotalFiles: config.maxTotalFiles || 10,
             allowedFileType: config.allowedFileType || 'application/pdf',
+            uploadUrl: config.uploadUrl || '/documents',
             onError: config.onError || (error => console.error(error)),
             onProgress: config.onProgress || (() => {})
         };
     }
 
+    /**
+     * Upload files to the document store as multipart/form-data, reporting
+     * byte progress through onProgress
+     * @param {FileList|Array<File>} files - PDF files
+     * @returns {Promise<Array<Object>|null>} Stored documents (documentId, pageCount, size, filename) in file order, or null on failure
+     */
+    async uploadFiles(files) {
+        try {
+            const filesArray = Array.from(files);
+            console.log('Uploading files:', filesArray.map(f => f.name));
+
+            if (!this.validateFiles(filesArray)) {
+                return null;
+            }
+
+            const formData = new FormData();
+            filesArray.forEach(file => formData.append('file', file, file.name));
+
+            return await this.sendUpload(formData, filesArray.length);
+        } catch (error) {
+            this.config.onError(error);
+            return null;
+        }
+    }
+
+    sendUpload(formData, fileCount) {
+        // XMLHttpRequest rather than fetch, because fetch cannot report upload progress
+        return new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            request.open('POST', this.config.uploadUrl);
+            request.responseType = 'json';
+
+            request.upload.onprogress = (event) => {
+                if (!event.lengthComputable) return;
+                this.config.onProgress({
+                    stage: 'upload',
+                    current: event.loaded,
+                    total: event.total,
+                    message: `Uploading ${fileCount} file${fileCount > 1 ? 's' : ''}: ` +
+                        `${this.formatSize(event.loaded)} of ${this.formatSize(event.total)}`
+                });
+            };
+
+            request.onload = () => {
+                const response = request.response || {};
+                if (request.status >= 200 && request.status < 300 && response.success) {
+                    resolve(response.documents);
+                } else {
+                    reject(new Error(response.error || `Upload failed with status ${request.status}`));
+                }
+            };
+            request.onerror = () => reject(new Error('Upload failed: could not reach the server'));
+            request.onabort = () => reject(new Error('Upload aborted'));
+
+            request.send(formData);
+        });
+    }
+
+    // Base64 conversion, kept for callers of the JSON upload endpoints
     async handleFiles(files) {
         try {
             const filesArray = Array.from(files);
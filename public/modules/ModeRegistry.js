@@ -0,0 +1,49 @@
+import { DataTable } from '/modules/DataTable.js';
+import { TableDataComponent } from '/modules/TableDataComponent.js';
+
+// Components that render extraction results, by the renderer name a mode declares
+const RENDERERS = {
+    fields: DataTable,
+    table: TableDataComponent
+};
+
+/**
+ * Extraction modes as described by the server's /modes endpoint, with the
+ * client-side pieces they refer to
+ */
+export class ModeRegistry {
+    constructor(modes = []) {
+        this.modes = new Map(modes.map(mode => [mode.id, mode]));
+    }
+
+    /**
+     * Get a mode by ID
+     * @param {string} modeId - Mode ID
+     * @returns {Object|null} Mode, or null if unknown
+     */
+    get(modeId) {
+        return this.modes.get(modeId) || null;
+    }
+
+    /**
+     * Get every mode in the order the server lists them
+     * @returns {Array<Object>} Modes
+     */
+    list() {
+        return Array.from(this.modes.values());
+    }
+
+    /**
+     * Create the component that renders a mode's results
+     * @param {Object} mode - Mode
+     * @param {string} containerId - ID of the element to render into
+     * @returns {Object} Renderer with a render(data) method
+     */
+    createRenderer(mode, containerId) {
+        const Renderer = RENDERERS[mode.renderer];
+        if (!Renderer) {
+            throw new Error(`Mode ${mode.id} uses unknown renderer "${mode.renderer}"`);
+        }
+        return new Renderer(containerId, { mode });
+    }
+}
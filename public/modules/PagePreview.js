@@ -0,0 +1,348 @@
+import { loadPdfjs, renderPage } from '/modules/PdfRenderer.js';
+
+// Width of a page thumbnail in pixels
+const THUMBNAIL_WIDTH = 120;
+
+/**
+ * PagePreview - Shows a thumbnail of every page of the selected files before
+ * they are uploaded. The user can put the files in merge order, leave pages
+ * out and turn pages upright; the outcome is dispatched as a pagesArranged
+ * event with the files in order and a page layout per file (null for files
+ * kept as they are, see PDFHandler.validateLayout on the server).
+ */
+export class PagePreview {
+    /**
+     * @param {string} containerId - ID of the element to render into
+     */
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Container with id ${containerId} not found`);
+        }
+
+        this.entries = []; // One per file: file, pdf, pages ({ page, rotation, selected }) and error
+        this.renderRun = 0; // Bumped per show() so thumbnails of an earlier selection stop rendering
+        this.addStyles();
+    }
+
+    /**
+     * Add component styles
+     */
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .page-preview {
+                background: white;
+                padding: 20px;
+                border-radius: 8px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            }
+            .preview-file {
+                border-top: 1px solid #eee;
+                padding: 12px 0;
+            }
+            .preview-file-header {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                font-size: 14px;
+            }
+            .preview-file-name {
+                flex: 1;
+                font-weight: 600;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .preview-file-error {
+                margin-top: 8px;
+                color: #e65100;
+                font-size: 13px;
+            }
+            .preview-pages {
+                display: grid;
+                grid-template-columns: repeat(auto-fill, minmax(${THUMBNAIL_WIDTH + 20}px, 1fr));
+                gap: 10px;
+                margin-top: 10px;
+            }
+            .preview-page {
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                padding: 6px;
+                font-size: 12px;
+                text-align: center;
+            }
+            .preview-page.deselected {
+                opacity: 0.4;
+            }
+            .preview-thumbnail {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                height: ${Math.round(THUMBNAIL_WIDTH * 1.42)}px;
+                background: #f5f5f5;
+                margin-bottom: 6px;
+            }
+            .preview-thumbnail canvas {
+                max-width: 100%;
+                max-height: 100%;
+                box-shadow: 0 1px 3px rgba(0,0,0,0.2);
+            }
+            .preview-page-controls {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+            }
+            .preview-btn {
+                background: #f5f5f5;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                padding: 2px 8px;
+                cursor: pointer;
+            }
+            .preview-btn:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+            .preview-actions {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                margin-top: 15px;
+            }
+            .preview-summary {
+                color: #666;
+                font-size: 13px;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Show the pages of the selected files. Files the renderer cannot read are
+     * listed without thumbnails and uploaded as they are.
+     * @param {Array<File>} files - Selected PDF files
+     */
+    async show(files) {
+        const run = ++this.renderRun;
+        this.closeDocuments();
+        this.entries = files.map(file => ({ file, pdf: null, pages: [], error: null }));
+
+        this.container.innerHTML = '<div class="page-preview">Loading page previews...</div>';
+        this.container.style.display = 'block';
+
+        let pdfjsLib;
+        try {
+            pdfjsLib = await loadPdfjs();
+        } catch (error) {
+            // Without a renderer there is nothing to arrange; continue with the files as they are
+            console.error('PDF renderer could not be loaded:', error);
+            if (run === this.renderRun) this.finish();
+            return;
+        }
+
+        for (const entry of this.entries) {
+            try {
+                entry.pdf = await pdfjsLib.getDocument({ data: await entry.file.arrayBuffer() }).promise;
+                entry.pages = Array.from({ length: entry.pdf.numPages }, (_, i) => ({ page: i + 1, rotation: 0, selected: true }));
+            } catch (error) {
+                console.error(`Preview of ${entry.file.name} failed:`, error);
+                entry.error = error.message;
+            }
+            if (run !== this.renderRun) return;
+        }
+
+        this.render();
+        await this.renderThumbnails(run);
+    }
+
+    /**
+     * Render the file blocks with an empty canvas per page
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="page-preview">
+                <h3>Preview Pages</h3>
+                <p>Put the files in the order they should be merged, untick pages to leave them out and turn pages that are sideways.</p>
+                <div class="preview-files">
+                    ${this.entries.map((entry, fileIndex) => `
+                        <div class="preview-file" data-file="${fileIndex}">
+                            <div class="preview-file-header">
+                                <span class="preview-file-name"></span>
+                                <span>${entry.error ? '' : `${entry.pages.length} page(s)`}</span>
+                                <button class="preview-btn" data-action="up" title="Move up">&uarr;</button>
+                                <button class="preview-btn" data-action="down" title="Move down">&darr;</button>
+                            </div>
+                            ${entry.error
+                                ? '<div class="preview-file-error">No preview available; the file is used as it is.</div>'
+                                : `<div class="preview-pages">
+                                    ${entry.pages.map((page, pageIndex) => `
+                                        <div class="preview-page" data-page="${pageIndex}">
+                                            <div class="preview-thumbnail"><canvas></canvas></div>
+                                            <div class="preview-page-controls">
+                                                <label><input type="checkbox" checked> Page ${page.page}</label>
+                                                <button class="preview-btn" data-action="rotate" title="Rotate clockwise">&#8635;</button>
+                                            </div>
+                                        </div>
+                                    `).join('')}
+                                   </div>`}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="preview-actions">
+                    <button id="confirmPages" class="primary-btn">Continue</button>
+                    <span class="preview-summary"></span>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelectorAll('.preview-file').forEach(block => {
+            const entry = this.entries[Number(block.dataset.file)];
+            block.querySelector('.preview-file-name').textContent = entry.file.name;
+
+            block.querySelector('[data-action="up"]').addEventListener('click', () => this.moveFile(block, -1));
+            block.querySelector('[data-action="down"]').addEventListener('click', () => this.moveFile(block, 1));
+
+            block.querySelectorAll('.preview-page').forEach(pageElement => {
+                const page = entry.pages[Number(pageElement.dataset.page)];
+
+                pageElement.querySelector('input').addEventListener('change', e => {
+                    page.selected = e.target.checked;
+                    pageElement.classList.toggle('deselected', !page.selected);
+                    this.updateSummary();
+                });
+
+                pageElement.querySelector('[data-action="rotate"]').addEventListener('click', () => {
+                    page.rotation = (page.rotation + 90) % 360;
+                    this.renderThumbnail(entry, page, pageElement.querySelector('canvas'))
+                        .catch(error => console.error(`Thumbnail of page ${page.page} failed:`, error));
+                });
+            });
+        });
+
+        document.getElementById('confirmPages')?.addEventListener('click', () => this.finish());
+        this.updateMoveButtons();
+        this.updateSummary();
+    }
+
+    /**
+     * Render the thumbnails one page at a time, so large files do not hold up the page
+     * @param {number} run - Render run the thumbnails belong to
+     */
+    async renderThumbnails(run) {
+        for (const block of this.container.querySelectorAll('.preview-file')) {
+            const entry = this.entries[Number(block.dataset.file)];
+            for (const pageElement of block.querySelectorAll('.preview-page')) {
+                if (run !== this.renderRun) return;
+
+                const page = entry.pages[Number(pageElement.dataset.page)];
+                try {
+                    await this.renderThumbnail(entry, page, pageElement.querySelector('canvas'));
+                } catch (error) {
+                    console.error(`Thumbnail of page ${page.page} of ${entry.file.name} failed:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Draw one page into a canvas, turned by the rotation the user chose
+     * @param {Object} entry - File entry
+     * @param {Object} page - Page state (page, rotation)
+     * @param {HTMLCanvasElement} canvas - Canvas to draw into
+     */
+    async renderThumbnail(entry, page, canvas) {
+        const pdfPage = await entry.pdf.getPage(page.page);
+        await renderPage(pdfPage, canvas, THUMBNAIL_WIDTH, page.rotation);
+    }
+
+    /**
+     * Move a file one place up or down in the merge order
+     * @param {HTMLElement} block - File block
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveFile(block, offset) {
+        const sibling = offset < 0 ? block.previousElementSibling : block.nextElementSibling;
+        if (!sibling) return;
+
+        block.parentNode.insertBefore(block, offset < 0 ? sibling : sibling.nextElementSibling);
+        this.updateMoveButtons();
+    }
+
+    updateMoveButtons() {
+        const blocks = Array.from(this.container.querySelectorAll('.preview-file'));
+        blocks.forEach((block, index) => {
+            block.querySelector('[data-action="up"]').disabled = index === 0;
+            block.querySelector('[data-action="down"]').disabled = index === blocks.length - 1;
+        });
+    }
+
+    updateSummary() {
+        const summary = this.container.querySelector('.preview-summary');
+        if (!summary) return;
+
+        const selectedPages = this.entries.reduce((sum, entry) => sum + entry.pages.filter(page => page.selected).length, 0);
+        const totalPages = this.entries.reduce((sum, entry) => sum + entry.pages.length, 0);
+        summary.textContent = `${selectedPages} of ${totalPages} pages selected`;
+    }
+
+    /**
+     * Get the files in the order shown
+     * @returns {Array<Object>} File entries
+     */
+    getOrderedEntries() {
+        const blocks = this.container.querySelectorAll('.preview-file');
+        return blocks.length > 0
+            ? Array.from(blocks, block => this.entries[Number(block.dataset.file)])
+            : this.entries;
+    }
+
+    /**
+     * Get the page layout of a file
+     * @param {Object} entry - File entry
+     * @returns {Object|null} pages (page and rotation of each page kept), or null if the file is kept as it is
+     */
+    getLayout(entry) {
+        const isUnchanged = entry.pages.every(page => page.selected && page.rotation === 0);
+        if (entry.error || isUnchanged) return null;
+
+        return {
+            pages: entry.pages
+                .filter(page => page.selected)
+                .map(({ page, rotation }) => ({ page, rotation }))
+        };
+    }
+
+    /**
+     * Dispatch the arranged files. Files with every page left out are dropped.
+     */
+    finish() {
+        const entries = this.getOrderedEntries()
+            .filter(entry => entry.error || entry.pages.length === 0 || entry.pages.some(page => page.selected));
+
+        if (entries.length === 0) {
+            const summary = this.container.querySelector('.preview-summary');
+            if (summary) summary.textContent = 'Select at least one page to continue.';
+            return;
+        }
+
+        const detail = {
+            files: entries.map(entry => entry.file),
+            layouts: entries.map(entry => this.getLayout(entry))
+        };
+
+        this.renderRun++;
+        this.closeDocuments();
+        this.container.style.display = 'none';
+        this.container.innerHTML = '';
+
+        document.dispatchEvent(new CustomEvent('pagesArranged', { detail }));
+    }
+
+    /**
+     * Release the documents the renderer holds
+     */
+    closeDocuments() {
+        this.entries.forEach(entry => entry.pdf?.destroy());
+    }
+}
@@ -0,0 +1,39 @@
+// PDF renderer, served by the app from the installed pdfjs-dist package and loaded on first use
+const PDFJS_URL = '/vendor/pdfjs/pdf.min.mjs';
+const PDFJS_WORKER_URL = '/vendor/pdfjs/pdf.worker.min.mjs';
+
+let pdfjsPromise = null;
+
+/**
+ * Load the PDF renderer (pdf.js)
+ * @returns {Promise<Object>} pdf.js module
+ */
+export function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import(PDFJS_URL).then(pdfjsLib => {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+            return pdfjsLib;
+        }).catch(error => {
+            pdfjsPromise = null;
+            throw error;
+        });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Draw a page into a canvas at a given width
+ * @param {Object} pdfPage - pdf.js page
+ * @param {HTMLCanvasElement} canvas - Canvas to draw into
+ * @param {number} width - Width in pixels
+ * @param {number} [rotation] - Clockwise degrees to turn the page by, on top of its own rotation
+ */
+export async function renderPage(pdfPage, canvas, width, rotation = 0) {
+    const pageRotation = (pdfPage.rotate + rotation) % 360;
+    const unscaled = pdfPage.getViewport({ scale: 1, rotation: pageRotation });
+    const viewport = pdfPage.getViewport({ scale: width / unscaled.width, rotation: pageRotation });
+
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+}
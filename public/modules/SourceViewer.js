@@ -0,0 +1,285 @@
+import { loadPdfjs, renderPage } from '/modules/PdfRenderer.js';
+
+// Width pages are drawn at in pixels; the panel scales them down to fit
+const PAGE_WIDTH = 800;
+
+/**
+ * SourceViewer - Side panel showing the document next to the results.
+ * Selecting a value or row scrolls to the page it was read from and
+ * highlights the region the model reported for it. Pages are drawn when
+ * they scroll into view, so long documents open quickly.
+ */
+export class SourceViewer {
+    /**
+     * @param {string} containerId - ID of the element to render into
+     */
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Container with id ${containerId} not found`);
+        }
+
+        this.documentId = null;
+        this.pdfPromise = null; // pdf.js document of documentId
+        this.renderedPages = new Map(); // Page number -> promise of the drawn page
+        this.observer = null;
+        this.addStyles();
+    }
+
+    /**
+     * Add component styles
+     */
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .source-viewer {
+                position: fixed;
+                top: 0;
+                right: 0;
+                width: 40vw;
+                height: 100vh;
+                display: flex;
+                flex-direction: column;
+                background: #fafafa;
+                border-left: 1px solid #ddd;
+                box-shadow: -2px 0 6px rgba(0,0,0,0.1);
+                z-index: 100;
+            }
+            body.source-viewer-open .container {
+                margin-right: 40vw;
+            }
+            .source-viewer-header {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 10px 15px;
+                background: white;
+                border-bottom: 1px solid #ddd;
+                font-size: 14px;
+            }
+            .source-viewer-title {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .source-viewer-note {
+                color: #e65100;
+                font-size: 12px;
+            }
+            .source-viewer-close {
+                background: none;
+                border: none;
+                font-size: 20px;
+                cursor: pointer;
+            }
+            .source-pages {
+                flex: 1;
+                overflow-y: auto;
+                padding: 15px;
+            }
+            .source-page {
+                position: relative;
+                margin-bottom: 15px;
+                background: white;
+                box-shadow: 0 1px 3px rgba(0,0,0,0.2);
+                min-height: 200px;
+            }
+            .source-page canvas {
+                display: block;
+                width: 100%;
+                height: auto;
+            }
+            .source-page-number {
+                position: absolute;
+                top: 4px;
+                left: 4px;
+                padding: 1px 6px;
+                background: rgba(0,0,0,0.5);
+                color: white;
+                font-size: 11px;
+                border-radius: 3px;
+            }
+            .source-highlight {
+                position: absolute;
+                display: none;
+                border: 2px solid #ff9800;
+                background: rgba(255, 235, 59, 0.35);
+                pointer-events: none;
+            }
+            .source-page.selected-page {
+                outline: 3px solid #2196f3;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Show where a value or row came from
+     * @param {string} documentId - Document the page numbers refer to
+     * @param {Object} source - pageNumber, region ([left, top, right, bottom] as fractions of the page, or null) and a label for the header
+     */
+    async show(documentId, { pageNumber, region = null, label = '' }) {
+        if (documentId !== this.documentId) {
+            this.open(documentId);
+        }
+
+        this.container.style.display = 'block';
+        document.body.classList.add('source-viewer-open');
+
+        const title = this.container.querySelector('.source-viewer-title');
+        title.textContent = label ? `Page ${pageNumber}: ${label}` : `Page ${pageNumber}`;
+        title.title = title.textContent;
+        this.container.querySelector('.source-viewer-note').textContent = region ? '' : 'Location on the page not available';
+
+        try {
+            const pdf = await this.pdfPromise;
+            if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pdf.numPages) {
+                throw new Error(`Page ${pageNumber} is not in the document`);
+            }
+
+            await this.drawPage(pageNumber);
+            this.highlight(pageNumber, region);
+        } catch (error) {
+            console.error('Source view error:', error);
+            this.container.querySelector('.source-viewer-note').textContent = `Could not show the page: ${error.message}`;
+        }
+    }
+
+    /**
+     * Load a document and lay out an empty frame per page
+     * @param {string} documentId - Document ID
+     */
+    open(documentId) {
+        this.close();
+        this.documentId = documentId;
+        this.renderedPages = new Map();
+
+        this.container.innerHTML = `
+            <div class="source-viewer">
+                <div class="source-viewer-header">
+                    <span class="source-viewer-title"></span>
+                    <span class="source-viewer-note"></span>
+                    <button class="source-viewer-close" title="Close">&times;</button>
+                </div>
+                <div class="source-pages"></div>
+            </div>
+        `;
+        this.container.querySelector('.source-viewer-close').addEventListener('click', () => this.hide());
+
+        this.pdfPromise = loadPdfjs()
+            .then(pdfjsLib => pdfjsLib.getDocument({ url: `/documents/${encodeURIComponent(documentId)}/content` }).promise)
+            .then(pdf => {
+                this.layoutPages(pdf);
+                return pdf;
+            });
+        // Errors are reported by show()
+        this.pdfPromise.catch(() => {});
+    }
+
+    /**
+     * Add a frame per page and draw pages as they scroll into view
+     * @param {Object} pdf - pdf.js document
+     */
+    layoutPages(pdf) {
+        const pagesContainer = this.container.querySelector('.source-pages');
+        if (!pagesContainer) return;
+
+        this.observer = new IntersectionObserver(entries => {
+            entries
+                .filter(entry => entry.isIntersecting)
+                .forEach(entry => this.drawPage(Number(entry.target.dataset.page))
+                    .catch(error => console.error(`Page ${entry.target.dataset.page} could not be drawn:`, error)));
+        }, { root: pagesContainer, rootMargin: '200px' });
+
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const pageElement = document.createElement('div');
+            pageElement.className = 'source-page';
+            pageElement.dataset.page = pageNumber;
+            pageElement.innerHTML = `
+                <canvas></canvas>
+                <span class="source-page-number">${pageNumber}</span>
+                <div class="source-highlight"></div>
+            `;
+            pagesContainer.appendChild(pageElement);
+            this.observer.observe(pageElement);
+        }
+    }
+
+    /**
+     * Draw a page once
+     * @param {number} pageNumber - Page number (1-based)
+     * @returns {Promise<void>} Resolves when the page is drawn
+     */
+    drawPage(pageNumber) {
+        if (!this.renderedPages.has(pageNumber)) {
+            const drawn = this.pdfPromise.then(async pdf => {
+                const canvas = this.getPageElement(pageNumber)?.querySelector('canvas');
+                if (!canvas) return;
+                await renderPage(await pdf.getPage(pageNumber), canvas, PAGE_WIDTH);
+            });
+            // Allow another attempt after a failure
+            drawn.catch(() => this.renderedPages.delete(pageNumber));
+            this.renderedPages.set(pageNumber, drawn);
+        }
+        return this.renderedPages.get(pageNumber);
+    }
+
+    getPageElement(pageNumber) {
+        return this.container.querySelector(`.source-page[data-page="${pageNumber}"]`);
+    }
+
+    /**
+     * Highlight a region of a page and scroll it into view
+     * @param {number} pageNumber - Page number (1-based)
+     * @param {Array<number>|null} region - [left, top, right, bottom] as fractions of the page; null selects the whole page
+     */
+    highlight(pageNumber, region) {
+        this.container.querySelectorAll('.source-highlight').forEach(element => {
+            element.style.display = 'none';
+        });
+        this.container.querySelectorAll('.selected-page').forEach(element => element.classList.remove('selected-page'));
+
+        const pageElement = this.getPageElement(pageNumber);
+        if (!pageElement) return;
+
+        if (!region) {
+            pageElement.classList.add('selected-page');
+            pageElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            return;
+        }
+
+        const [left, top, right, bottom] = region;
+        const highlight = pageElement.querySelector('.source-highlight');
+        Object.assign(highlight.style, {
+            display: 'block',
+            left: `${left * 100}%`,
+            top: `${top * 100}%`,
+            width: `${(right - left) * 100}%`,
+            height: `${(bottom - top) * 100}%`
+        });
+        highlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Hide the panel, keeping the document loaded for the next selection
+     */
+    hide() {
+        this.container.style.display = 'none';
+        document.body.classList.remove('source-viewer-open');
+    }
+
+    /**
+     * Hide the panel and release the document
+     */
+    close() {
+        this.observer?.disconnect();
+        this.observer = null;
+        this.pdfPromise?.then(pdf => pdf.destroy(), () => {});
+        this.pdfPromise = null;
+        this.documentId = null;
+        this.container.style.display = 'none';
+        this.container.innerHTML = '';
+        document.body.classList.remove('source-viewer-open');
+    }
+}
@@ -1,14 +1,37 @@
+import { getModeExporters, writeWorkbook, addCellComment, setTypedCell } from '/modules/Exporters.js';
+import { isLowConfidence, describeConfidence } from '/modules/Confidence.js';
+import { formatNormalized, describeAssumedDateOrder } from '/modules/TypedValues.js';
+
+// Indexes of the cells of a row whose confidence is low
+function getLowConfidenceCells(tableData, rowIndex) {
+    return (tableData?.confidence?.[rowIndex] || [])
+        .map((confidence, cellIndex) => isLowConfidence(confidence) ? cellIndex : -1)
+        .filter(cellIndex => cellIndex >= 0);
+}
+
+// Whether any row of a page has cells to review
+function hasLowConfidenceRows(tableData) {
+    return (tableData?.rows || []).some((row, rowIndex) => getLowConfidenceCells(tableData, rowIndex).length > 0);
+}
+
 /**
- * TableDataComponent - Component for rendering bank statement table data
+ * TableDataComponent - Component for rendering table data page by page
  */
 export class TableDataComponent {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - ID of the element to render into
+     * @param {Object} options - mode whose columns, exporters and export file name are used
+     */
+    constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
         if (!this.container) {
             throw new Error(`Container with id ${containerId} not found`);
         }
         
+        this.mode = options.mode || null;
+        this.rowLabel = this.mode?.rowLabel || 'Rows';
         this.data = { pages: [] };
+        this.lowConfidenceOnly = false; // Show only rows with cells to review
         this.addStyles();
     }
 
@@ -57,6 +80,28 @@ export class TableDataComponent {
             .extracted-table tr:hover {
                 background-color: #f5f5f5;
             }
+            .extracted-table tr.source-row {
+                cursor: pointer;
+            }
+            .extracted-table tr.source-selected td {
+                background-color: #fff3e0;
+            }
+            .extracted-table td.low-confidence {
+                background-color: #fff8e1;
+                box-shadow: inset 3px 0 0 #ffa000;
+            }
+            .confidence-filter {
+                margin-right: auto;
+                font-size: 14px;
+                color: #e65100;
+            }
+            .date-order-note {
+                color: #e65100;
+                background: #fff8e1;
+                border-radius: 4px;
+                padding: 8px 12px;
+                font-size: 14px;
+            }
             .no-data-message {
                 color: #999;
                 font-style: italic;
@@ -81,6 +126,28 @@ export class TableDataComponent {
             .export-button:hover {
                 background-color: #45a049;
             }
+            .extracted-table-container.failed-page {
+                border-left: 4px solid #d32f2f;
+            }
+            .page-error-message {
+                color: #d32f2f;
+                background: #ffebee;
+                border-radius: 4px;
+                padding: 12px;
+            }
+            .retry-button {
+                padding: 8px 16px;
+                margin-right: 10px;
+                background-color: white;
+                color: #d32f2f;
+                border: 1px solid #d32f2f;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 14px;
+            }
+            .retry-button:hover {
+                background-color: #ffebee;
+            }
             .loading-message {
                 text-align: center;
                 padding: 20px;
@@ -95,18 +162,34 @@ export class TableDataComponent {
      * Create view for a single table
      * @param {Object} tableData - Table data with headers and rows
      * @param {number} pageNumber - Page number
+     * @param {Object} outcome - Page status ("succeeded", "empty" or "failed"), error, and source file and page
      * @returns {HTMLElement} Table container element
      */
-    createTableView(tableData, pageNumber) {
+    createTableView(tableData, pageNumber, outcome = {}) {
         const tableContainer = document.createElement('div');
         tableContainer.className = 'extracted-table-container';
         
-        // Add page header
+        // Add page header, naming the file and page it came from in a merged document
         const pageHeader = document.createElement('h3');
         pageHeader.className = 'page-header';
-        pageHeader.textContent = `Page ${pageNumber}`;
+        const pageTitle = outcome.sourceFile
+            ? `Page ${pageNumber} (${outcome.sourceFile}, page ${outcome.sourcePage})`
+            : `Page ${pageNumber}`;
+        pageHeader.textContent = pageTitle;
         tableContainer.appendChild(pageHeader);
         
+        // Failed pages are not the same as pages without transactions
+        if (outcome.status === 'failed') {
+            tableContainer.classList.add('failed-page');
+            pageHeader.textContent = `${pageTitle} (failed)`;
+            
+            const errorMsg = document.createElement('p');
+            errorMsg.className = 'page-error-message';
+            errorMsg.textContent = `Extraction failed: ${outcome.error || 'Unknown error'}`;
+            tableContainer.appendChild(errorMsg);
+            return tableContainer;
+        }
+        
         // Handle empty data case
         if (!tableData?.headers?.length || !tableData?.rows?.length) {
             const noDataMsg = document.createElement('p');
@@ -136,15 +219,48 @@ export class TableDataComponent {
         // Create table body with rows
         const tbody = document.createElement('tbody');
         
-        tableData.rows.forEach(row => {
+        tableData.rows.forEach((row, rowIndex) => {
+            const lowConfidenceCells = getLowConfidenceCells(tableData, rowIndex);
+            if (this.lowConfidenceOnly && lowConfidenceCells.length === 0) return;
+            
             const tr = document.createElement('tr');
+            tr.className = 'source-row';
+            tr.title = 'Show in document';
             
-            row.forEach(cell => {
+            row.forEach((cell, cellIndex) => {
                 const td = document.createElement('td');
                 td.textContent = cell;
+                const hints = [];
+                if (lowConfidenceCells.includes(cellIndex)) {
+                    td.className = 'low-confidence';
+                    hints.push(describeConfidence(tableData.confidence[rowIndex][cellIndex], tableData.confidenceIssues?.[rowIndex]?.[cellIndex]));
+                }
+                // Cells of date, amount and number columns tell how they were read
+                const columnType = tableData.columnTypes?.[cellIndex];
+                const normalizedText = cell === '' ? '' : formatNormalized(tableData.normalized?.[rowIndex]?.[cellIndex], columnType);
+                if (normalizedText) {
+                    hints.push(`Read as: ${normalizedText}`);
+                }
+                if (hints.length > 0) {
+                    td.title = `${hints.join('\n')}\nShow in document`;
+                }
                 tr.appendChild(td);
             });
             
+            // Rows carry the region they were read from on their page
+            tr.addEventListener('click', () => {
+                table.querySelectorAll('.source-selected').forEach(element => element.classList.remove('source-selected'));
+                tr.classList.add('source-selected');
+                document.dispatchEvent(new CustomEvent('sourceRequested', {
+                    detail: {
+                        pageNumber,
+                        region: tableData.regions?.[rowIndex] || null,
+                        fileIndex: outcome.fileIndex,
+                        label: row.filter(Boolean).join(' | ')
+                    }
+                }));
+            });
+            
             tbody.appendChild(tr);
         });
         
@@ -176,14 +292,26 @@ export class TableDataComponent {
                 this.showLoadingState();
                 return;
             }
+            
+            // Tell reviewers when the day and month order of a date column was a guess
+            const dateOrderNote = describeAssumedDateOrder(data.pages.flatMap(page => page.tableData?.dateFormats || []));
+            if (dateOrderNote) {
+                const note = document.createElement('p');
+                note.className = 'date-order-note';
+                note.textContent = dateOrderNote;
+                this.container.appendChild(note);
+            }
     
             // Create container for all tables
             const tablesContainer = document.createElement('div');
             tablesContainer.className = 'tables-container';
             
-            // Add each page's table
-            data.pages.forEach(page => {
-                const tableView = this.createTableView(page.tableData, page.pageNumber);
+            // Add each page's table, or only the pages with rows to review
+            const shownPages = this.lowConfidenceOnly
+                ? data.pages.filter(page => hasLowConfidenceRows(page.tableData))
+                : data.pages;
+            shownPages.forEach(page => {
+                const tableView = this.createTableView(page.tableData, page.pageNumber, page);
                 tablesContainer.appendChild(tableView);
             });
             
@@ -194,6 +322,20 @@ export class TableDataComponent {
         }
     }
     
+    /**
+     * Add or replace a single page and re-render
+     * @param {Object} page - Page object with pageNumber and tableData
+     */
+    addPage(page) {
+        if (!page?.pageNumber) return;
+
+        const pages = (this.data?.pages || []).filter(p => p.pageNumber !== page.pageNumber);
+        pages.push(page);
+        pages.sort((a, b) => a.pageNumber - b.pageNumber);
+
+        this.render({ ...this.data, pages });
+    }
+
     /**
      * Add export button to the container
      */
@@ -201,28 +343,95 @@ export class TableDataComponent {
         const exportControls = document.createElement('div');
         exportControls.className = 'export-controls';
         
-        const exportButton = document.createElement('button');
-        exportButton.className = 'export-button';
-        exportButton.textContent = 'Export to Excel';
-        exportButton.onclick = () => this.exportToExcel();
+        // Offer to re-run only the pages that failed
+        const failedPages = this.getFailedPages();
+        if (failedPages.length > 0) {
+            const retryButton = document.createElement('button');
+            retryButton.className = 'retry-button';
+            retryButton.textContent = `Retry failed pages (${failedPages.length})`;
+            retryButton.onclick = () => {
+                retryButton.disabled = true;
+                document.dispatchEvent(new CustomEvent('retryFailedPages', {
+                    detail: failedPages.map(page => page.pageNumber)
+                }));
+            };
+            exportControls.appendChild(retryButton);
+        }
         
-        // Disable if no data
-        if (!this.data?.pages?.length) {
-            exportButton.disabled = true;
-            exportButton.style.opacity = '0.5';
+        // Let reviewers narrow the tables down to the doubtful rows
+        const reviewCount = (this.data?.pages || []).reduce((count, page) =>
+            count + (page.tableData?.rows || []).filter((row, rowIndex) => getLowConfidenceCells(page.tableData, rowIndex).length > 0).length, 0);
+        if (reviewCount > 0) {
+            const filterLabel = document.createElement('label');
+            filterLabel.className = 'confidence-filter';
+            const filterToggle = document.createElement('input');
+            filterToggle.type = 'checkbox';
+            filterToggle.checked = this.lowConfidenceOnly;
+            filterToggle.addEventListener('change', () => {
+                this.lowConfidenceOnly = filterToggle.checked;
+                this.render(this.data);
+            });
+            filterLabel.append(filterToggle, ` Only ${this.rowLabel.toLowerCase()} to review (${reviewCount})`);
+            exportControls.appendChild(filterLabel);
         }
         
-        exportControls.appendChild(exportButton);
+        // One button per export format the mode declares
+        getModeExporters(this.mode).forEach(exporter => {
+            const exportButton = document.createElement('button');
+            exportButton.className = 'export-button';
+            exportButton.textContent = exporter.label;
+            exportButton.onclick = () => this.exportData(exporter.id);
+            
+            // Disable if no data
+            if (!this.data?.pages?.length) {
+                exportButton.disabled = true;
+                exportButton.style.opacity = '0.5';
+            }
+            
+            exportControls.appendChild(exportButton);
+        });
+        
+        // Save the columns so documents with the same layout can skip header detection
+        const columns = (this.data?.pages || []).find(page => page.tableData?.headers?.length)?.tableData.headers;
+        if (columns) {
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'template-name';
+            nameInput.placeholder = 'Template name';
+            
+            const saveButton = document.createElement('button');
+            saveButton.className = 'export-button';
+            saveButton.textContent = 'Save Columns as Template';
+            saveButton.onclick = () => {
+                const name = nameInput.value.trim();
+                if (!name) {
+                    alert('Name the template to save it');
+                    return;
+                }
+                document.dispatchEvent(new CustomEvent('templateSaveRequested', {
+                    detail: { name, columns }
+                }));
+            };
+            exportControls.append(nameInput, saveButton);
+        }
         this.container.appendChild(exportControls);
     }
     
+    /**
+     * Get pages whose extraction failed
+     * @returns {Array} Failed pages
+     */
+    getFailedPages() {
+        return (this.data?.pages || []).filter(page => page.status === 'failed');
+    }
+    
     /**
      * Show loading state
      */
     showLoadingState() {
         const loadingMessage = document.createElement('div');
         loadingMessage.className = 'loading-message';
-        loadingMessage.textContent = 'Extracting transaction data, tables will appear here as they are processed...';
+        loadingMessage.textContent = `Extracting ${this.rowLabel.toLowerCase()}, tables will appear here as they are processed...`;
         
         this.container.appendChild(loadingMessage);
     }
@@ -240,9 +449,11 @@ export class TableDataComponent {
     }
 
     /**
-     * Export table data to Excel
+     * Export table data, one sheet per page plus a consolidated sheet.
+     * Single-sheet formats such as CSV get only the consolidated sheet.
+     * @param {string} exporterId - Export format declared by the mode ("xlsx" or "csv")
      */
-    exportToExcel() {
+    exportData(exporterId = 'xlsx') {
         if (!this.data?.pages?.length) {
             alert('No data available for export');
             return;
@@ -255,24 +466,51 @@ export class TableDataComponent {
             }
             
             const wb = XLSX.utils.book_new();
+            const singleSheet = getModeExporters(this.mode).find(exporter => exporter.id === exporterId)?.singleSheet;
             
             // Process each page with data
             this.data.pages.forEach(page => {
+                if (singleSheet) return;
                 if (page.tableData?.headers?.length && page.tableData?.rows?.length) {
                     // Create worksheet with headers and data rows
                     const wsData = [page.tableData.headers, ...page.tableData.rows];
                     const ws = XLSX.utils.aoa_to_sheet(wsData);
                     
+                    // Write dates, amounts and numbers as typed cells
+                    page.tableData.rows.forEach((row, rowIndex) => {
+                        row.forEach((cell, cellIndex) => {
+                            setTypedCell(ws, rowIndex + 1, cellIndex, page.tableData.columnTypes?.[cellIndex],
+                                page.tableData.normalized?.[rowIndex]?.[cellIndex]);
+                        });
+                    });
+                    
+                    // Explain each doubtful cell in a comment
+                    page.tableData.rows.forEach((row, rowIndex) => {
+                        getLowConfidenceCells(page.tableData, rowIndex).forEach(cellIndex => {
+                            addCellComment(ws, rowIndex + 1, cellIndex, describeConfidence(
+                                page.tableData.confidence[rowIndex][cellIndex],
+                                page.tableData.confidenceIssues?.[rowIndex]?.[cellIndex]
+                            ));
+                        });
+                    });
+                    
                     // Add worksheet to workbook
                     XLSX.utils.book_append_sheet(wb, ws, `Page ${page.pageNumber}`);
                 }
             });
             
             // Add consolidated sheet if multiple pages
-            if (wb.SheetNames.length > 1) {
+            if (wb.SheetNames.length > 1 || singleSheet) {
                 const consolidatedData = this.createConsolidatedTable();
-                const ws = XLSX.utils.aoa_to_sheet([consolidatedData.headers, ...consolidatedData.rows]);
-                XLSX.utils.book_append_sheet(wb, ws, 'All Transactions');
+                if (consolidatedData.rows.length > 0) {
+                    const ws = XLSX.utils.aoa_to_sheet([consolidatedData.headers, ...consolidatedData.rows]);
+                    consolidatedData.normalized.forEach((row, rowIndex) => {
+                        row.forEach((normalized, cellIndex) => {
+                            setTypedCell(ws, rowIndex + 1, cellIndex, consolidatedData.columnTypes[cellIndex], normalized);
+                        });
+                    });
+                    XLSX.utils.book_append_sheet(wb, ws, `All ${this.rowLabel}`);
+                }
             }
             
             // If no data was added to the workbook, return
@@ -281,18 +519,17 @@ export class TableDataComponent {
                 return;
             }
             
-            const filename = 'bank_statement_data_' + new Date().toISOString().slice(0, 10) + '.xlsx';
-            XLSX.writeFile(wb, filename);
+            writeWorkbook(wb, exporterId, this.mode?.exportFilename || 'table_data');
             
         } catch (error) {
-            console.error('Error exporting to Excel:', error);
+            console.error('Error exporting data:', error);
             alert('Failed to export data. Please try again.');
         }
     }
     
     /**
      * Create consolidated table with data from all pages
-     * @returns {Object} Consolidated table data
+     * @returns {Object} Consolidated table data: headers, rows, the type of each column and the typed value of each cell
      */
     createConsolidatedTable() {
         // Find all unique headers across all pages
@@ -303,8 +540,8 @@ export class TableDataComponent {
             }
         });
         
-        // Convert to array and ensure common bank statement columns come first
-        const priorityHeaders = ['Date', 'Transaction Date', 'Description', 'Debit', 'Credit', 'Amount', 'Balance'];
+        // Convert to array and ensure the mode's usual columns come first
+        const priorityHeaders = this.mode?.columnOrder || this.mode?.defaultColumns || [];
         const headers = Array.from(allHeaders);
         
         // Sort headers to put priority ones first
@@ -318,106 +555,71 @@ export class TableDataComponent {
             return a.localeCompare(b);
         });
         
-        // Gather all rows from all pages
+        // Gather all rows from all pages, with the typed value of each cell
+        const hasSourceFiles = this.data.pages.some(page => page.sourceFile);
+        const columnTypes = new Array(headers.length).fill('text');
         const allRows = [];
         this.data.pages.forEach(page => {
             if (page.tableData?.rows) {
                 // For each row, map to the consolidated headers
-                page.tableData.rows.forEach(row => {
+                page.tableData.rows.forEach((row, rowIndex) => {
                     const newRow = new Array(headers.length).fill('');
+                    const newNormalized = new Array(headers.length).fill(null);
                     
                     // Map values to the correct position in the new row
                     page.tableData.headers.forEach((header, index) => {
                         const newIndex = headers.indexOf(header);
                         if (newIndex >= 0 && index < row.length) {
                             newRow[newIndex] = row[index];
+                            newNormalized[newIndex] = page.tableData.normalized?.[rowIndex]?.[index] ?? null;
+                            columnTypes[newIndex] = page.tableData.columnTypes?.[index] || columnTypes[newIndex];
                         }
                     });
                     
-                    // Add page number as metadata
+                    // Add page number, and where it came from, as metadata
                     newRow.push(page.pageNumber.toString());
-                    allRows.push(newRow);
+                    if (hasSourceFiles) {
+                        newRow.push(page.sourceFile || '', page.sourcePage ? page.sourcePage.toString() : '');
+                    }
+                    // Name the columns whose confidence is low
+                    newRow.push(getLowConfidenceCells(page.tableData, rowIndex)
+                        .map(cellIndex => `${page.tableData.headers[cellIndex]} (${Math.round(page.tableData.confidence[rowIndex][cellIndex] * 100)}%)`)
+                        .join(', '));
+                    allRows.push({ cells: newRow, normalized: newNormalized });
                 });
             }
         });
         
         // Sort rows by date if possible
-        this.sortRowsByDate(allRows, headers);
+        this.sortRowsByDate(allRows, columnTypes, row => row.normalized);
         
         return {
-            headers: [...headers, 'Page'],
-            rows: allRows
+            headers: [...headers, 'Page', ...(hasSourceFiles ? ['Source File', 'Source Page'] : []), 'Needs Review'],
+            rows: allRows.map(row => row.cells),
+            columnTypes,
+            normalized: allRows.map(row => row.normalized)
         };
     }
     
     /**
-     * Sort rows by date if a date column exists
+     * Sort rows by the first date column, using the dates the server read
+     * with the date format of the whole document. Rows without a date (such
+     * as continuation lines) stay after the row they follow.
      * @param {Array} rows - Array of row data
-     * @param {Array} headers - Array of header names
-     */
-    sortRowsByDate(rows, headers) {
-        // Try to find a date column
-        const dateColumnIndex = headers.findIndex(h => 
-            h.toLowerCase().includes('date') || 
-            h.toLowerCase().includes('time')
-        );
-        
-        if (dateColumnIndex >= 0) {
-            rows.sort((a, b) => {
-                const dateA = this.parseDate(a[dateColumnIndex]);
-                const dateB = this.parseDate(b[dateColumnIndex]);
-                
-                if (dateA && dateB) {
-                    return dateA - dateB;
-                }
-                return 0;
-            });
-        }
-    }
-    
-    /**
-     * Parse date string to Date object
-     * @param {string} dateStr - Date string to parse
-     * @returns {Date|null} Date object or null if invalid
+     * @param {Array<string>} columnTypes - Type of each column (see TypedValues.js)
+     * @param {Function} normalizedOf - Gets the typed cell values of a row
      */
-    parseDate(dateStr) {
-        if (!dateStr) return null;
-        
-        // Try different date formats
-        const formats = [
-            // DD/MM/YYYY
-            str => {
-                const parts = str.split('/');
-                if (parts.length === 3) {
-                    return new Date(parts[2], parts[1] - 1, parts[0]);
-                }
-                return null;
-            },
-            // MM/DD/YYYY
-            str => {
-                const parts = str.split('/');
-                if (parts.length === 3) {
-                    return new Date(parts[2], parts[0] - 1, parts[1]);
-                }
-                return null;
-            },
-            // YYYY-MM-DD
-            str => {
-                const parts = str.split('-');
-                if (parts.length === 3) {
-                    return new Date(parts[0], parts[1] - 1, parts[2]);
-                }
-                return null;
-            }
-        ];
+    sortRowsByDate(rows, columnTypes, normalizedOf) {
+        const dateColumnIndex = columnTypes.indexOf('date');
+        if (dateColumnIndex < 0) return;
         
-        for (const format of formats) {
-            const date = format(dateStr);
-            if (date && !isNaN(date.getTime())) {
-                return date;
-            }
-        }
-        
-        return null;
+        // ISO dates (YYYY-MM-DD) sort as strings
+        let lastDate = '';
+        const keyed = rows.map((row, index) => {
+            lastDate = normalizedOf(row)[dateColumnIndex]?.value || lastDate;
+            return { row, date: lastDate, index };
+        });
+        keyed.sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+        keyed.forEach(({ row }, index) => { rows[index] = row; });
     }
 }
\ No newline at end of file
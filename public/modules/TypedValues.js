@@ -0,0 +1,40 @@
+// Names of the parts of a date order such as "DMY"
+const DATE_PART_NAMES = { D: 'day', M: 'month', Y: 'year' };
+
+/**
+ * Describe the normalized form of an extracted value (see TypedValues.js on
+ * the server), e.g. to show next to the text as it was printed
+ * @param {Object|null|undefined} normalized - value (and currency of amounts), null if the text did not parse
+ * @param {string} type - Type of the field or column
+ * @returns {string} Text such as "1,234.56 EUR" or "2024-03-15"; empty for text values
+ */
+export function formatNormalized(normalized, type) {
+    if (normalized === undefined || type === 'text') return '';
+    if (normalized === null) return `Could not be read as ${type === 'enum' ? 'one of the options' : `a ${type}`}`;
+
+    switch (type) {
+        case 'amount':
+            return `${normalized.value.toLocaleString(undefined, { minimumFractionDigits: 2 })}${normalized.currency ? ` ${normalized.currency}` : ''}`;
+        case 'number':
+            return normalized.value.toLocaleString();
+        case 'boolean':
+            return normalized.value ? 'Yes' : 'No';
+        default:
+            return String(normalized.value);
+    }
+}
+
+/**
+ * Warn that dates were read with an assumed day and month order: neither
+ * the dates, a format hint nor a locale settled it (see DateNormalization.js
+ * on the server)
+ * @param {Array<Object|null|undefined>} dateFormats - Date formats the dates of columns or fields were read with
+ * @returns {string} Warning naming the assumed order; empty when no order was assumed
+ */
+export function describeAssumedDateOrder(dateFormats) {
+    const assumed = dateFormats.find(dateFormat => dateFormat?.orderSource === 'default');
+    if (!assumed) return '';
+    const order = [...assumed.order].map(part => DATE_PART_NAMES[part]).join('/');
+    return `Dates such as 03/04/2024 were read as ${order}, since neither the dates nor a locale tell the order. ` +
+        'Set the number and date format (e.g. en-US) and extract again if that is wrong.';
+}
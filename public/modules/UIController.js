@@ -1,10 +1,18 @@
-import { DataTable } from '/modules/DataTable.js';
+// Classifications below this confidence ask the user to check the document type
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Types a field can be declared as and the number of examples it can give;
+// mirrors FieldDefinitions.js on the server
+const FIELD_TYPES = ['text', 'number', 'amount', 'date', 'boolean', 'enum'];
+const MAX_FIELD_EXAMPLES = 5;
 
 export class UIController {
     constructor() {
         this.state = {
             isProcessing: false,
             selectedFields: [],
+            fieldDefinitions: [], // Fields offered on the selection screen
+            templates: [], // Saved extraction templates of every mode
             currentGroupIndex: 0,
             totalGroups: 0,
             accumulatedData: { pages: [] },
@@ -15,13 +23,8 @@ export class UIController {
         // Initialize elements first
         this.elements = this.initializeElements();
         
-        // Initialize data table
-        try {
-            this.dataTable = new DataTable('dataTableContainer');
-        } catch (error) {
-            console.warn('DataTable initialization failed:', error.message);
-            this.dataTable = null;
-        }
+        // Component rendering results, created for the selected mode
+        this.resultView = null;
         
         this.bindEvents();
     }
@@ -42,7 +45,9 @@ export class UIController {
             progressText: document.getElementById('progressText'),
             fieldSelectionContainer: document.getElementById('fieldSelection'),
             modeSelectionContainer: document.getElementById('modeSelection'),
+            splitReviewContainer: document.getElementById('splitReview'),
             extractionProgressContainer: document.getElementById('extractionProgressContainer'),
+            runUsage: document.getElementById('runUsage'),
             groupProgress: this.createGroupProgressElements(),
             simpleProgress: null // Will be initialized when needed
         };
@@ -135,9 +140,14 @@ export class UIController {
                 <div class="progress-status">
                     <span id="progress-text">Processing...</span>
                 </div>
+                <button id="cancelExtraction" class="cancel-btn" style="display: none;">Cancel</button>
             </div>
         `;
         
+        container.querySelector('#cancelExtraction').addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('extractionCancelled'));
+        });
+        
         // Add styles
         const style = document.createElement('style');
         style.id = 'simple-progress-styles';
@@ -171,6 +181,18 @@ export class UIController {
                 display: inline-block;
                 animation: pulse 1.5s infinite;
             }
+            .cancel-btn {
+                margin-top: 8px;
+                padding: 6px 16px;
+                background: white;
+                color: #d32f2f;
+                border: 1px solid #d32f2f;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+            .cancel-btn:hover {
+                background: #ffebee;
+            }
         `;
         
         if (!document.getElementById('simple-progress-styles')) {
@@ -199,7 +221,8 @@ export class UIController {
                 fieldContainer.parentNode.insertBefore(container, fieldContainer.nextSibling);
                 this.elements.simpleProgress = {
                     container,
-                    text: container.querySelector('#progress-text')
+                    text: container.querySelector('#progress-text'),
+                    cancelButton: container.querySelector('#cancelExtraction')
                 };
             } else {
                 // Fallback to data table container
@@ -208,7 +231,8 @@ export class UIController {
                     dataTableContainer.parentNode.insertBefore(container, dataTableContainer);
                     this.elements.simpleProgress = {
                         container,
-                        text: container.querySelector('#progress-text')
+                        text: container.querySelector('#progress-text'),
+                        cancelButton: container.querySelector('#cancelExtraction')
                     };
                 }
             }
@@ -216,11 +240,25 @@ export class UIController {
         
         // Check if we have the elements
         if (this.elements.simpleProgress?.container) {
+            // Undo the styling of a previous completion
+            this.elements.simpleProgress.text.style.animation = '';
+            this.elements.simpleProgress.text.style.color = '';
             this.elements.simpleProgress.container.style.display = 'block';
             this.updateSimpleProgress(1);
         }
     }
 
+    /**
+     * Show or hide the cancel button of the progress display
+     * @param {boolean} cancelable - Whether the running extraction can be cancelled
+     */
+    setCancelable(cancelable) {
+        const cancelButton = this.elements.simpleProgress?.cancelButton;
+        if (cancelButton) {
+            cancelButton.style.display = cancelable ? 'inline-block' : 'none';
+        }
+    }
+
     /**
      * Update simple progress display
      * @param {number} currentPage - Current page being processed
@@ -249,6 +287,9 @@ export class UIController {
                 message || 'Processing incomplete due to errors';
         }
         
+        // Nothing left to cancel
+        this.setCancelable(false);
+        
         // Remove animation
         this.elements.simpleProgress.text.style.animation = 'none';
         
@@ -350,43 +391,94 @@ export class UIController {
     }
 
     /**
-     * Show mode selection dialog
+     * Show mode selection dialog, pre-selecting the mode of the detected document type
+     * @param {Array} modes - Extraction modes to choose from
+     * @param {Object} [classification] - Result of document classification, if it succeeded
+     * @param {Object} [options] - pageCount of the document and the saved templates to offer
      */
-    showModeSelection() {
+    showModeSelection(modes, classification = null, { pageCount = 0, templates = [] } = {}) {
         const container = this.elements.modeSelectionContainer;
-        if (!container) return;
+        if (!container || !modes?.length) return;
+        
+        const selectedMode = classification?.extractionMode || modes[0].id;
+        const isLowConfidence = classification && classification.confidence < LOW_CONFIDENCE_THRESHOLD;
+        const detectedNote = classification
+            ? `<div class="mode-detected${isLowConfidence ? ' low-confidence' : ''}">
+                    Detected: <strong class="detected-label"></strong>
+                    (${Math.round(classification.confidence * 100)}% confidence).
+                    ${isLowConfidence ? 'Please check the document type before continuing.' : 'Change it below if this is wrong.'}
+               </div>`
+            : '';
+        // Page selection is offered for single documents of more than one page
+        const pageSelection = pageCount > 1
+            ? `<div class="page-selection">
+                    <label>
+                        Pages to extract
+                        <input type="text" id="pageSelection" placeholder="All pages (e.g. 1-3, 5)">
+                    </label>
+                    <label>
+                        Suggest fields from page
+                        <input type="number" id="suggestionPage" min="1" max="${pageCount}" value="1">
+                    </label>
+               </div>`
+            : '';
         
         container.innerHTML = `
             <div class="mode-selection">
                 <h3>Select Document Type</h3>
+                ${detectedNote}
                 <div class="mode-options">
-                    <div class="mode-option">
-                        <input type="radio" id="fieldExtractionMode" name="extractionMode" value="field" checked>
-                        <label for="fieldExtractionMode">
-                            <div class="mode-title">Invoice or Receipt</div>
-                            <div class="mode-description">Extract specific fields like invoice numbers, dates, amounts, etc.</div>
-                            <div class="mode-best-for">Best for: Invoices, Receipts, Forms</div>
-                            <div class="mode-note"><strong>Note:</strong> You'll need to select which fields to extract.</div>
-                        </label>
-                    </div>
-                    <div class="mode-option">
-                        <input type="radio" id="tableExtractionMode" name="extractionMode" value="table">
-                        <label for="tableExtractionMode">
-                            <div class="mode-title">Bank Statement</div>
-                            <div class="mode-description">Extract complete transaction tables automatically</div>
-                            <div class="mode-best-for">Best for: Bank Statements, Transaction Lists, Reports</div>
-                            <div class="mode-note"><strong>Note:</strong> All transaction data will be extracted automatically.</div>
-                        </label>
-                    </div>
+                    ${modes.map(mode => `
+                        <div class="mode-option">
+                            <input type="radio" id="mode-${mode.id}" name="extractionMode" value="${mode.id}" ${selectedMode === mode.id ? 'checked' : ''}>
+                            <label for="mode-${mode.id}">
+                                <div class="mode-title">${mode.label}</div>
+                                <div class="mode-description">${mode.description}</div>
+                                <div class="mode-best-for">Best for: ${mode.bestFor}</div>
+                                <div class="mode-note"><strong>Note:</strong> ${mode.note}</div>
+                            </label>
+                        </div>
+                    `).join('')}
+                </div>
+                ${pageSelection}
+                <div class="template-selection">
+                    <label>
+                        Template
+                        <select id="templateSelection"></select>
+                    </label>
+                    <button type="button" id="exportTemplate" class="template-action">Export</button>
+                    <button type="button" id="deleteTemplate" class="template-action">Delete</button>
+                    <label class="template-action">
+                        Import
+                        <input type="file" id="importTemplate" accept=".json,application/json" hidden>
+                    </label>
                 </div>
+                <label class="value-locale">
+                    Number and date format
+                    <input type="text" id="valueLocale" placeholder="Read from the values, or a locale such as de-DE or th-TH">
+                </label>
+                <label class="force-reextract">
+                    <input type="checkbox" id="forceReextract">
+                    Ignore cached results and re-extract
+                </label>
                 <button id="continueWithMode" class="primary-btn">Continue</button>
             </div>
         `;
+        // The detected label is model output, so it is set as text
+        const detectedLabel = container.querySelector('.detected-label');
+        if (detectedLabel) detectedLabel.textContent = classification.label;
     
+        this.modes = modes;
+        this.updateTemplateOptions(templates);
+        container.querySelectorAll('input[name="extractionMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateTemplateOptions(this.state.templates));
+        });
+        this.bindTemplateActions();
+
         const continueBtn = document.getElementById('continueWithMode');
         if (continueBtn) {
             continueBtn.addEventListener('click', () => {
-                const selectedMode = document.querySelector('input[name="extractionMode"]:checked')?.value || 'field';
+                const selectedMode = document.querySelector('input[name="extractionMode"]:checked')?.value || modes[0].id;
                 container.style.display = 'none';
                 
                 document.dispatchEvent(new CustomEvent('modeSelected', { 
@@ -398,6 +490,158 @@ export class UIController {
         container.style.display = 'block';
     }
 
+    /**
+     * Offer the saved templates of the mode that is checked
+     * @param {Array<Object>} templates - Templates of every mode
+     */
+    updateTemplateOptions(templates) {
+        this.state.templates = templates || [];
+
+        const select = document.getElementById('templateSelection');
+        if (!select) return;
+
+        const modeId = document.querySelector('input[name="extractionMode"]:checked')?.value;
+        const mode = this.modes?.find(candidate => candidate.id === modeId);
+        const previous = select.value;
+
+        select.innerHTML = '';
+        select.add(new Option(mode?.strategy === 'table' ? 'None (detect columns)' : 'None (suggest fields)', ''));
+        this.state.templates
+            .filter(template => template.mode === modeId)
+            .forEach(template => select.add(new Option(template.name, template.id)));
+        select.value = Array.from(select.options).some(option => option.value === previous) ? previous : '';
+
+        const updateActions = () => {
+            document.getElementById('exportTemplate').disabled = !select.value;
+            document.getElementById('deleteTemplate').disabled = !select.value;
+        };
+        select.onchange = updateActions;
+        updateActions();
+    }
+
+    /**
+     * Wire the export, delete and import controls of the template selection
+     */
+    bindTemplateActions() {
+        const select = document.getElementById('templateSelection');
+
+        document.getElementById('exportTemplate')?.addEventListener('click', () => {
+            if (!select.value) return;
+            document.dispatchEvent(new CustomEvent('templateExportRequested', { detail: select.value }));
+        });
+
+        document.getElementById('deleteTemplate')?.addEventListener('click', () => {
+            const template = this.getSelectedTemplate();
+            if (!template || !window.confirm(`Delete the template "${template.name}"?`)) return;
+            document.dispatchEvent(new CustomEvent('templateDeleteRequested', { detail: template.id }));
+        });
+
+        document.getElementById('importTemplate')?.addEventListener('change', async e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const data = JSON.parse(await file.text());
+                document.dispatchEvent(new CustomEvent('templateImportRequested', { detail: data }));
+            } catch (error) {
+                this.showError(`${file.name} is not a template file: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Get the template picked on the mode selection screen
+     * @returns {Object|null} Template, or null to suggest fields or detect columns
+     */
+    getSelectedTemplate() {
+        const templateId = document.getElementById('templateSelection')?.value;
+        return (templateId && this.state.templates.find(template => template.id === templateId)) || null;
+    }
+
+    /**
+     * Show the documents detected in a batched PDF and let the user move,
+     * add or remove split points before the batch is cut up
+     * @param {number} pageCount - Page count of the batch
+     * @param {Array} segments - Detected documents (startPage, endPage, label)
+     */
+    showSplitReview(pageCount, segments) {
+        const container = this.elements.splitReviewContainer;
+        if (!container) return;
+        
+        const labels = new Map(segments.map(segment => [segment.startPage, segment.label]));
+        const pageNumbers = Array.from({ length: pageCount }, (_, i) => i + 1);
+        
+        container.innerHTML = `
+            <div class="split-review">
+                <h3>Review Document Split</h3>
+                <p>This PDF looks like a batch of <strong>${segments.length}</strong> documents.
+                   Tick every page where a new document starts.</p>
+                <div class="split-pages">
+                    ${pageNumbers.map(pageNumber => `
+                        <label class="split-page${labels.has(pageNumber) ? ' document-start' : ''}">
+                            <input type="checkbox" value="${pageNumber}"
+                                   ${labels.has(pageNumber) ? 'checked' : ''}
+                                   ${pageNumber === 1 ? 'disabled' : ''}>
+                            Page ${pageNumber}
+                            <div class="split-page-label"></div>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="split-actions">
+                    <button id="confirmSplit" class="primary-btn"></button>
+                    <button id="keepAsOne" class="secondary-btn">Keep as one document</button>
+                </div>
+            </div>
+        `;
+        // Segment labels are model output, so they are set as text
+        container.querySelectorAll('.split-page').forEach(page => {
+            const pageNumber = Number(page.querySelector('input').value);
+            page.querySelector('.split-page-label').textContent = labels.get(pageNumber) || '';
+        });
+        
+        const confirmBtn = document.getElementById('confirmSplit');
+        
+        // Turn the ticked pages into page spans, keeping detected labels for unchanged starts
+        const getSegments = () => {
+            const startPages = Array.from(container.querySelectorAll('.split-page input:checked'))
+                .map(checkbox => Number(checkbox.value));
+            return startPages.map((startPage, index) => ({
+                startPage,
+                endPage: index + 1 < startPages.length ? startPages[index + 1] - 1 : pageCount,
+                label: labels.get(startPage) || null
+            }));
+        };
+        
+        const updateSummary = () => {
+            const count = getSegments().length;
+            confirmBtn.textContent = count > 1 ? `Split into ${count} documents` : 'Continue as one document';
+        };
+        
+        container.querySelectorAll('.split-page input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                checkbox.closest('.split-page').classList.toggle('document-start', checkbox.checked);
+                updateSummary();
+            });
+        });
+        updateSummary();
+        
+        const finish = (reviewedSegments) => {
+            container.style.display = 'none';
+            document.dispatchEvent(new CustomEvent('splitReviewed', {
+                detail: reviewedSegments
+            }));
+        };
+        
+        confirmBtn.addEventListener('click', () => {
+            const reviewedSegments = getSegments();
+            finish(reviewedSegments.length > 1 ? reviewedSegments : null);
+        });
+        document.getElementById('keepAsOne')?.addEventListener('click', () => finish(null));
+        
+        container.style.display = 'block';
+    }
+
     /**
      * Show or hide extraction progress
      */
@@ -460,6 +704,46 @@ export class UIController {
         }
     }
 
+    /**
+     * Show the processing status of one file in the file list
+     * @param {number} fileIndex - Position of the file in the upload
+     * @param {string} status - uploading, pending, running, succeeded, empty, failed or skipped
+     * @param {string} [error] - Why the file failed or was skipped
+     */
+    updateFileStatus(fileIndex, status, error = null) {
+        const fileItem = this.elements.fileList?.querySelectorAll('.file-item')[fileIndex];
+        if (!fileItem) return;
+        
+        let badge = fileItem.querySelector('.file-status');
+        if (!badge) {
+            badge = document.createElement('span');
+            fileItem.appendChild(badge);
+        }
+        
+        const labels = {
+            uploading: 'Uploading',
+            uploaded: 'Uploaded',
+            pending: 'Waiting',
+            running: 'Processing',
+            succeeded: 'Done',
+            empty: 'No data found',
+            failed: 'Failed',
+            skipped: 'Skipped',
+            cancelled: 'Cancelled'
+        };
+        badge.className = `file-status status-${status}`;
+        badge.textContent = labels[status] || status;
+        badge.title = error || '';
+    }
+
+    /**
+     * Whether the user asked to process uploaded files separately instead of merging them
+     * @returns {boolean} True if the per-file box is checked
+     */
+    isPerFileMode() {
+        return document.getElementById('perFileMode')?.checked === true;
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -601,40 +885,63 @@ export class UIController {
     }
 
     /**
-     * Show field selection UI
+     * Show the suggested fields to choose from. Users can also add fields the
+     * suggestions missed, and edit or remove suggested ones, before extracting.
+     * @param {Array<Object>} fields - Suggested fields (fieldName, description, type, format, examples, options, isDefault)
      */
     showFieldSelection(fields) {
         const container = this.elements.fieldSelectionContainer;
         if (!container) return;
 
+        // origin is "default", "suggested", "edited" or "custom" (added by the user)
+        this.state.fieldDefinitions = fields.map(field => ({
+            fieldName: field.fieldName,
+            description: field.description || '',
+            type: field.type || 'text',
+            format: field.format || '',
+            examples: field.examples || [],
+            options: field.options || [],
+            selected: field.isDefault === true,
+            origin: field.isDefault ? 'default' : 'suggested'
+        }));
+
         container.innerHTML = `
             <div class="field-selection">
                 <h3>Select Fields to Analyze</h3>
-                <div class="fields-grid">
-                    ${fields.map(field => `
-                        <div class="field-item">
-                            <label>
-                                <input type="checkbox" 
-                                       value="${field.fieldName}" 
-                                       data-description="${field.description || ''}"
-                                />
-                                <span class="field-name">${field.fieldName}</span>
-                                <span class="field-description">${field.description || ''}</span>
-                            </label>
-                        </div>
-                    `).join('')}
+                <p>Tick the fields to extract. Add fields the suggestions missed, or edit a field to describe what it should hold.</p>
+                <div class="fields-grid"></div>
+                <div class="add-field">
+                    <h4>Add a field</h4>
+                    <form class="field-form"></form>
+                </div>
+                <div class="split-actions">
+                    <button id="analyzeSelected" class="analyze-btn">
+                        Analyze Selected Fields
+                    </button>
+                    <input type="text" id="fieldTemplateName" class="template-name" placeholder="Template name">
+                    <button id="saveFieldTemplate" class="secondary-btn">Save as Template</button>
                 </div>
-                <button id="analyzeSelected" class="analyze-btn">
-                    Analyze Selected Fields
-                </button>
             </div>
         `;
 
+        this.renderFieldItems();
+
+        // Save the ticked fields so documents like this one can skip suggestion
+        document.getElementById('saveFieldTemplate')?.addEventListener('click', () => {
+            const name = document.getElementById('fieldTemplateName').value.trim();
+            const fields = this.getSelectedFieldDefinitions();
+            if (!name || fields.length === 0) {
+                this.showError('Name the template and select at least one field to save it.');
+                return;
+            }
+            document.dispatchEvent(new CustomEvent('templateSaveRequested', { detail: { name, fields } }));
+        });
+        this.bindFieldForm(container.querySelector('.add-field .field-form'), null);
+
         const analyzeBtn = document.getElementById('analyzeSelected');
         if (analyzeBtn) {
             analyzeBtn.addEventListener('click', () => {
-                const selectedCheckboxes = container.querySelectorAll('input[type="checkbox"]:checked');
-                this.state.selectedFields = Array.from(selectedCheckboxes).map(cb => cb.value);
+                this.state.selectedFields = this.getSelectedFieldDefinitions();
                 
                 document.dispatchEvent(new CustomEvent('fieldsSelected', { 
                     detail: this.state.selectedFields 
@@ -645,19 +952,142 @@ export class UIController {
         container.style.display = 'block';
     }
 
+    /**
+     * Get the definitions of the ticked fields
+     * @returns {Array<Object>} fieldName, description, type, format and examples of each field, and options of enum fields
+     */
+    getSelectedFieldDefinitions() {
+        return this.state.fieldDefinitions
+            .filter(field => field.selected)
+            .map(({ fieldName, description, type, format, examples, options }) => ({
+                fieldName, description, type, format, examples, ...(type === 'enum' && { options })
+            }));
+    }
+
+    /**
+     * Render a row per field with its checkbox, type and edit and remove buttons
+     */
+    renderFieldItems() {
+        const grid = this.elements.fieldSelectionContainer?.querySelector('.fields-grid');
+        if (!grid) return;
+
+        grid.innerHTML = '';
+        this.state.fieldDefinitions.forEach((field, index) => {
+            const item = document.createElement('div');
+            item.className = 'field-item';
+            item.innerHTML = `
+                <label>
+                    <input type="checkbox" ${field.selected ? 'checked' : ''} />
+                    <span class="field-name"></span>
+                    <span class="field-type">${field.type}</span>
+                    ${['edited', 'custom'].includes(field.origin) ? `<span class="field-badge">${field.origin}</span>` : ''}
+                    <span class="field-description"></span>
+                </label>
+                <button type="button" class="field-action" data-action="edit">Edit</button>
+                <button type="button" class="field-action" data-action="remove">Remove</button>
+            `;
+            // Names and descriptions come from the model or the user, so they are set as text
+            item.querySelector('.field-name').textContent = field.fieldName;
+            item.querySelector('.field-description').textContent = [
+                field.description,
+                field.type === 'enum' && `Options: ${field.options.join(' / ')}`,
+                field.format && `Format: ${field.format}`,
+                field.examples.length > 0 && `e.g. ${field.examples.join(', ')}`
+            ].filter(Boolean).join(' · ');
+
+            item.querySelector('input').addEventListener('change', e => {
+                field.selected = e.target.checked;
+            });
+            item.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                item.innerHTML = '<form class="field-form"></form>';
+                this.bindFieldForm(item.querySelector('form'), index);
+            });
+            item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                this.state.fieldDefinitions.splice(index, 1);
+                this.renderFieldItems();
+            });
+
+            grid.appendChild(item);
+        });
+    }
+
+    /**
+     * Fill a form that adds a field, or edits the field at index
+     * @param {HTMLFormElement} form - Empty form element
+     * @param {number|null} index - Index of the field to edit, or null to add a field
+     */
+    bindFieldForm(form, index) {
+        const field = index === null ? null : this.state.fieldDefinitions[index];
+
+        form.innerHTML = `
+            <input name="fieldName" placeholder="Field name, e.g. poNumber" maxlength="100" />
+            <select name="type">
+                ${FIELD_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+            </select>
+            <input name="description" placeholder="What the field holds, e.g. Purchase order number" maxlength="500" />
+            <input name="format" placeholder="Format, e.g. DD/MM/YYYY" maxlength="200" />
+            <input name="examples" placeholder="Examples, comma separated" />
+            <input name="options" placeholder="Options of an enum, comma separated" />
+            <button type="submit" class="field-action">${field ? 'Save' : 'Add Field'}</button>
+            ${field ? '<button type="button" class="field-action" data-action="cancel">Cancel</button>' : ''}
+            <span class="field-form-error"></span>
+        `;
+        form.elements.fieldName.value = field?.fieldName || '';
+        form.elements.type.value = field?.type || 'text';
+        form.elements.description.value = field?.description || '';
+        form.elements.format.value = field?.format || '';
+        form.elements.examples.value = field?.examples.join(', ') || '';
+        form.elements.options.value = field?.options.join(', ') || '';
+
+        form.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this.renderFieldItems());
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+
+            const fieldName = form.elements.fieldName.value.trim();
+            const examples = form.elements.examples.value.split(',').map(example => example.trim()).filter(Boolean);
+            const type = form.elements.type.value;
+            const options = type === 'enum'
+                ? [...new Set(form.elements.options.value.split(',').map(option => option.trim()).filter(Boolean))]
+                : [];
+            const error = !fieldName
+                ? 'Enter a field name'
+                : this.state.fieldDefinitions.some((other, otherIndex) => otherIndex !== index && other.fieldName === fieldName)
+                    ? `There already is a field named ${fieldName}`
+                    : examples.length > MAX_FIELD_EXAMPLES
+                        ? `Give at most ${MAX_FIELD_EXAMPLES} examples`
+                        : type === 'enum' && options.length === 0
+                            ? 'List the options of the enum'
+                            : '';
+            form.querySelector('.field-form-error').textContent = error;
+            if (error) return;
+
+            const definition = {
+                fieldName,
+                type,
+                description: form.elements.description.value.trim(),
+                format: form.elements.format.value.trim(),
+                examples,
+                options
+            };
+            if (field) {
+                Object.assign(field, definition, { origin: field.origin === 'custom' ? 'custom' : 'edited' });
+            } else {
+                // A field the user adds is meant to be extracted
+                this.state.fieldDefinitions.push({ ...definition, selected: true, origin: 'custom' });
+                form.reset();
+            }
+            this.renderFieldItems();
+        });
+    }
+
     /**
      * Update table with group data
      */
     updateTableWithGroupData(groupData, groupInfo) {
         try {
-            // Initialize dataTable if needed
-            if (!this.dataTable) {
-                try {
-                    this.dataTable = new DataTable('dataTableContainer');
-                } catch (error) {
-                    console.warn('Failed to initialize DataTable:', error.message);
-                    return false;
-                }
+            if (!this.resultView) {
+                console.warn('No result view to update');
+                return false;
             }
 
             // Initialize accumulatedData if needed
@@ -672,7 +1102,7 @@ export class UIController {
             this.state.accumulatedData.pages.sort((a, b) => a.pageNumber - b.pageNumber);
             
             // Update the table with all accumulated data
-            this.dataTable.render(this.state.accumulatedData);
+            this.resultView.render(this.state.accumulatedData);
             
             // Update group progress
             this.updateGroupProgress(
@@ -693,6 +1123,109 @@ export class UIController {
         }
     }
 
+    /**
+     * Set the component that renders results, as created for the selected mode
+     * @param {Object} view - Renderer with a render(data) method
+     */
+    setResultView(view) {
+        this.resultView = view;
+        this.state.accumulatedData = { pages: [] };
+    }
+
+    /**
+     * Replace the results shown with a complete data set
+     * @param {Object} data - Data object with pages array
+     */
+    showResults(data) {
+        if (!this.resultView) {
+            console.warn('No result view to render results with');
+            return;
+        }
+
+        this.state.accumulatedData = { ...data, pages: [...(data?.pages || [])] };
+        
+        if (this.state.accumulatedData.pages.length > 0) {
+            this.resultView.render(this.state.accumulatedData);
+        }
+    }
+
+    /**
+     * Add or replace one page of the results shown, as soon as it is extracted
+     * @param {Object} page - Page object with pageNumber and tableData
+     */
+    showPage(page) {
+        if (!this.resultView || !page?.pageNumber) return;
+
+        const pages = this.state.accumulatedData.pages.filter(shown => shown.pageNumber !== page.pageNumber);
+        pages.push(page);
+        pages.sort((a, b) => a.pageNumber - b.pageNumber);
+        this.state.accumulatedData = { ...this.state.accumulatedData, pages };
+
+        if (this.resultView.addPage) {
+            this.resultView.addPage(page);
+        } else {
+            this.resultView.render(this.state.accumulatedData);
+        }
+    }
+
+    /**
+     * Show the token usage and cost of the last extraction run
+     * @param {Object} usage - Calls, inputTokens, outputTokens and cost
+     */
+    showRunUsage(usage, cachedCount = 0) {
+        const runUsage = this.elements.runUsage;
+        if (!runUsage) return;
+
+        const cachedNote = cachedCount > 0 ? `${cachedCount} results served from cache` : '';
+
+        if (!usage || usage.calls === 0) {
+            runUsage.textContent = cachedNote;
+            runUsage.style.display = cachedNote ? 'block' : 'none';
+            return;
+        }
+
+        runUsage.textContent = `Model usage: ${usage.calls} calls, ` +
+            `${usage.inputTokens.toLocaleString()} input / ${usage.outputTokens.toLocaleString()} output tokens, ` +
+            `cost $${usage.cost.toFixed(4)}` +
+            (cachedNote ? ` (${cachedNote})` : '');
+        runUsage.style.display = 'block';
+    }
+
+    /**
+     * Whether the user asked to bypass cached results
+     * @returns {boolean} True if the re-extract box is checked
+     */
+    isForceReextract() {
+        return document.getElementById('forceReextract')?.checked === true;
+    }
+
+    /**
+     * Get the pages the user limited extraction to
+     * @returns {string|null} Page selection such as "1-3, 5", or null for every page
+     */
+    getPageSelection() {
+        const selection = document.getElementById('pageSelection')?.value.trim();
+        return selection || null;
+    }
+
+    /**
+     * Get the locale ambiguous numbers and dates are read with, such as "1.234" and 03/04/2024
+     * @returns {string|null} Language tag such as "de-DE", or null to go by the values alone
+     */
+    getValueLocale() {
+        const locale = document.getElementById('valueLocale')?.value.trim();
+        return locale || null;
+    }
+
+    /**
+     * Get the page field suggestions are made from
+     * @returns {number|null} Page number, or null for the first page
+     */
+    getSuggestionPage() {
+        const page = Number(document.getElementById('suggestionPage')?.value);
+        return Number.isInteger(page) && page > 0 ? page : null;
+    }
+
     /**
      * Set processing state
      */
@@ -735,6 +1268,21 @@ export class UIController {
         setTimeout(() => this.clearError(), 5000);
     }
 
+    /**
+     * Show a short confirmation, such as a saved template
+     */
+    showNotice(message) {
+        const dropZone = this.elements.dropZone;
+        if (!dropZone) return;
+
+        const noticeDiv = document.createElement('div');
+        noticeDiv.className = 'notice-message';
+        noticeDiv.textContent = message;
+        dropZone.appendChild(noticeDiv);
+
+        setTimeout(() => noticeDiv.remove(), 5000);
+    }
+
     /**
      * Clear error message
      */
@@ -754,7 +1302,7 @@ export class UIController {
     resetState() {
         const { fileInput, fileList, progressContainer, progressBar, 
                 fieldSelectionContainer, groupProgress, modeSelectionContainer, 
-                dropZone, simpleProgress } = this.elements;
+                splitReviewContainer, dropZone, simpleProgress, runUsage } = this.elements;
                 
         if (fileInput) fileInput.value = '';
         if (fileList) fileList.innerHTML = '';
@@ -774,20 +1322,28 @@ export class UIController {
             simpleProgress.container.style.display = 'none';
         }
         
+        if (runUsage) runUsage.style.display = 'none';
+        
         // Hide extraction progress
         this.showExtractionProgress(false);
         
-        // Show mode selection and hide drop zone
+        // Mode selection is shown again once the next upload is classified
         if (modeSelectionContainer) {
-            modeSelectionContainer.style.display = 'block';
+            modeSelectionContainer.style.display = 'none';
+        }
+        
+        if (splitReviewContainer) {
+            splitReviewContainer.style.display = 'none';
+            splitReviewContainer.innerHTML = '';
         }
         
         if (dropZone) {
-            dropZone.style.display = 'none';
+            dropZone.style.display = 'block';
         }
         
         // Reset state
         this.state.selectedFields = [];
+        this.state.fieldDefinitions = [];
         this.state.currentGroupIndex = 0;
         this.state.totalGroups = 0;
         this.state.accumulatedData = { pages: [] };
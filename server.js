@@ -4,106 +4,489 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { VertexAI } from '@google-cloud/vertexai';
+import { randomBytes, randomUUID } from 'crypto';
 import { PDFHandler } from './PDFHandler.js';
-import { readFile } from 'fs/promises';
+import { DocumentStore } from './DocumentStore.js';
+import { receivePdfUploads, discardUploads, UploadError } from './MultipartUpload.js';
+import { createModelProvider, MeteredProvider, ScheduledProvider } from './providers/index.js';
+import { ModelScheduler } from './ModelScheduler.js';
+import { FieldExtractor } from './FieldExtractor.js';
+import { TableExtractor, normalizeDocumentPages } from './TableExtractor.js';
+import { DocumentClassifier } from './DocumentClassifier.js';
+import { DocumentSplitter } from './DocumentSplitter.js';
+import { createModeRegistry } from './modes/index.js';
+import { JobManager } from './JobManager.js';
+import { ModelOutputError } from './ResponseParser.js';
+import { UsageLedger, loadPriceTable } from './UsageLedger.js';
+import { ResultCache } from './ResultCache.js';
+import { PageSelectionError, parsePageSelection, toPageRuns, formatPageSelection } from './PageSelection.js';
+import { FieldDefinitionError, parseFieldDefinitions, parseColumns } from './FieldDefinitions.js';
+import { TemplateStore, TemplateError } from './TemplateStore.js';
+import { LocaleError, parseLocale } from './TypedValues.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Token usage logging function
-function logTokenUsage(endpoint, input, output) {
-    const inputTokens = Math.ceil(JSON.stringify(input).length / 4);
-    const outputTokens = Math.ceil(output.length / 4);
-    const totalTokens = inputTokens + outputTokens;
-    const cost = (totalTokens / 1000) * 0.0005;
-
-    console.log('\n' + '='.repeat(40));
-    console.log(`Token Usage for ${endpoint}`);
-    console.log('-'.repeat(40));
-    console.log(`Input Tokens: ${inputTokens}`);
-    console.log(`Output Tokens: ${outputTokens}`);
-    console.log(`Total Tokens: ${totalTokens}`);
-    console.log(`Estimated Cost: $${cost.toFixed(6)}`);
-    console.log('='.repeat(40) + '\n');
-}
+const app = express();
 
-// Load and verify credentials
-const credentials = JSON.parse(
-    await readFile(new URL('./config/google-credentials.json', import.meta.url))
-);
-console.log('Loaded Google Cloud credentials for project:', credentials.project_id);
+// Uploaded PDFs are stored once and referenced by their SHA-256 document ID
+const documentStore = new DocumentStore({
+    directory: process.env.DOCUMENT_STORE_DIR || path.join(__dirname, 'data', 'documents')
+});
+const PDF_CACHE_TTL_MS = process.env.PDF_CACHE_TTL_MS !== undefined ? Number(process.env.PDF_CACHE_TTL_MS) : undefined;
+const pdfHandler = new PDFHandler({
+    documentStore,
+    documentCache: {
+        maxEntries: Number(process.env.PDF_DOCUMENT_CACHE_MAX_ENTRIES) || undefined,
+        maxBytes: Number(process.env.PDF_DOCUMENT_CACHE_MAX_BYTES) || undefined,
+        ttlMs: PDF_CACHE_TTL_MS
+    },
+    pageGroupCache: {
+        maxEntries: Number(process.env.PDF_PAGE_GROUP_CACHE_MAX_ENTRIES) || undefined,
+        maxBytes: Number(process.env.PDF_PAGE_GROUP_CACHE_MAX_BYTES) || undefined,
+        ttlMs: PDF_CACHE_TTL_MS
+    }
+});
+const UPLOAD_LIMITS = {
+    maxFileSize: Number(process.env.UPLOAD_MAX_FILE_SIZE) || 100 * 1024 * 1024,
+    maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 10
+};
 
-const app = express();
-const pdfHandler = new PDFHandler();
+const SESSION_COOKIE = 'pdf_session';
+const SESSION_ID_PATTERN = /^[a-f0-9]{64}$/;
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Every browser gets a session cookie; documents are only available to the
+// sessions that uploaded them (see DocumentStore)
+function assignSession(req, res, next) {
+    const cookies = Object.fromEntries((req.get('Cookie') || '').split(';')
+        .map(cookie => cookie.trim().split('='))
+        .filter(([name, value]) => name && value));
+    let sessionId = cookies[SESSION_COOKIE];
+
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+        sessionId = randomBytes(32).toString('hex');
+        res.cookie(SESSION_COOKIE, sessionId, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            maxAge: SESSION_MAX_AGE_MS
+        });
+    }
+    req.sessionId = sessionId;
+    next();
+}
 
 // Middleware setup
 app.use(cors());
-app.use(express.json({ limit: '100mb' })); // Increased limit to 100MB
+app.use(express.json({ limit: '100mb' })); // Base64 JSON uploads; multipart uploads are streamed instead
+app.use(assignSession);
 app.use(express.static(path.join(__dirname, 'public')));
+// PDF renderer for the page thumbnails, served from the installed package rather than a CDN
+app.use('/vendor/pdfjs', express.static(path.join(__dirname, 'node_modules', 'pdfjs-dist', 'build')));
+
+// Record token usage and cost of every model call
+const usageLedger = await new UsageLedger({
+    filePath: process.env.USAGE_LEDGER_PATH || path.join(__dirname, 'data', 'usage-ledger.jsonl'),
+    prices: process.env.MODEL_PRICES_PATH ? await loadPriceTable(process.env.MODEL_PRICES_PATH) : {}
+}).initialize();
 
-// Initialize Vertex AI
-let vertex_ai = new VertexAI({
-    project: process.env.GOOGLE_CLOUD_PROJECT || credentials.project_id,
-    location: 'us-central1',
-    credentials: credentials
+// One scheduler for every model call: concurrency limit, request rate and 429 backoff
+const modelScheduler = new ModelScheduler({
+    concurrency: Number(process.env.MODEL_CONCURRENCY) || undefined,
+    requestsPerMinute: Number(process.env.MODEL_REQUESTS_PER_MINUTE) || undefined,
+    burst: Number(process.env.MODEL_BURST) || undefined,
+    maxRetries: process.env.MODEL_MAX_RETRIES !== undefined ? Number(process.env.MODEL_MAX_RETRIES) : undefined,
+    backoffBaseMs: Number(process.env.MODEL_BACKOFF_BASE_MS) || undefined,
+    backoffMaxMs: Number(process.env.MODEL_BACKOFF_MAX_MS) || undefined
 });
 
-// Initialize generative model
-let generativeModel = vertex_ai.preview.getGenerativeModel({
-    model: 'gemini-1.5-flash-002',
-    generationConfig: {
-        'maxOutputTokens': 8192,
-        'temperature': 0.7,
-        'topP': 0.8,
-    },
-    safetySettings: [
-        {
-            'category': 'HARM_CATEGORY_HATE_SPEECH',
-            'threshold': 'OFF',
-        },
-        {
-            'category': 'HARM_CATEGORY_DANGEROUS_CONTENT',
-            'threshold': 'OFF',
-        },
-        {
-            'category': 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-            'threshold': 'OFF',
-        },
-        {
-            'category': 'HARM_CATEGORY_HARASSMENT',
-            'threshold': 'OFF',
+// Initialize model provider (Vertex AI, or mock fixtures with MODEL_PROVIDER=mock)
+const modelProvider = new MeteredProvider(
+    new ScheduledProvider(await createModelProvider(), modelScheduler),
+    usageLedger
+);
+// Parsed model results, reused when the same pages are extracted again with the same settings
+const resultCache = new ResultCache({
+    directory: process.env.RESULT_CACHE_DIR || path.join(__dirname, 'data', 'result-cache'),
+    enabled: process.env.RESULT_CACHE !== 'off',
+    maxEntries: Number(process.env.RESULT_CACHE_MAX_ENTRIES) || undefined,
+    maxBytes: Number(process.env.RESULT_CACHE_MAX_BYTES) || undefined,
+    ttlMs: process.env.RESULT_CACHE_TTL_MS !== undefined ? Number(process.env.RESULT_CACHE_TTL_MS) : undefined
+});
+// Bring a cache left over from earlier runs within its budget
+resultCache.prune().catch(error => console.warn('Failed to prune result cache:', error.message));
+const modeRegistry = createModeRegistry();
+const templateStore = new TemplateStore({
+    directory: process.env.TEMPLATE_STORE_DIR || path.join(__dirname, 'data', 'templates'),
+    modeRegistry
+});
+const fieldExtractor = new FieldExtractor({ pdfHandler, modelProvider, resultCache });
+const tableExtractor = new TableExtractor({ pdfHandler, modelProvider, resultCache });
+const documentClassifier = new DocumentClassifier({ pdfHandler, modelProvider, resultCache, modeRegistry });
+const documentSplitter = new DocumentSplitter({ pdfHandler, documentStore, modelProvider, resultCache });
+const jobManager = new JobManager();
+
+// Model output that fails parsing or validation is an upstream fault with a typed code
+function errorStatus(error) {
+    if (error instanceof PageSelectionError || error instanceof FieldDefinitionError || error instanceof TemplateError
+        || error instanceof LocaleError) return error.status;
+    return error instanceof ModelOutputError ? 502 : 500;
+}
+
+// Job representation for API responses, including its document, mode and the run's token usage and cost
+function serializeJob(job) {
+    return {
+        ...jobManager.toJSON(job),
+        documentId: job.input.documentId,
+        mode: job.input.mode,
+        usage: usageLedger.getRunUsage(job.id)
+    };
+}
+
+function errorBody(error) {
+    return {
+        success: false,
+        error: error.message,
+        ...(error instanceof ModelOutputError && { code: error.code })
+    };
+}
+
+// Resolve the document a request works on. Clients send the documentId of a
+// document their session uploaded; base64Content is still accepted and stored
+// on the fly. Sends an error response and returns null when there is no
+// usable document; documents of other sessions count as not found.
+async function resolveDocumentId(req, res) {
+    const { documentId, base64Content } = req.body;
+
+    if (documentId) {
+        if (!(await documentStore.hasAccess(documentId, req.sessionId))) {
+            res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+            return null;
+        }
+        return documentId;
+    }
+
+    if (base64Content) {
+        const document = await documentStore.save(Buffer.from(base64Content, 'base64'));
+        await documentStore.grantAccess(document.documentId, req.sessionId);
+        return document.documentId;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'No PDF content provided'
+    });
+    return null;
+}
+
+// Mode used when a request names only the extraction strategy, as clients did before modes existed
+const DEFAULT_MODES = {
+    fields: 'invoice',
+    table: 'bank_statement'
+};
+
+// Resolve the extraction mode a request asks for, checking that it uses the
+// strategy of the endpoint. Sends an error response and returns null otherwise.
+function resolveMode(req, res, strategy) {
+    const modeId = req.body.mode || DEFAULT_MODES[strategy];
+    const mode = modeRegistry.get(modeId);
+
+    if (!mode) {
+        res.status(400).json({
+            success: false,
+            error: `Unknown mode "${modeId}": expected one of ${modeRegistry.list().map(m => m.id).join(', ')}`
+        });
+        return null;
+    }
+
+    if (mode.strategy !== strategy) {
+        res.status(400).json({
+            success: false,
+            error: `Mode "${modeId}" uses ${mode.strategy} extraction, not ${strategy}`
+        });
+        return null;
+    }
+
+    return mode;
+}
+
+// Pages a request selects with pages ("1-3, 5" or [1, 2, 3, 5]), or null for every page.
+// Throws a PageSelectionError when the selection does not fit the document.
+async function resolvePageSelection(req, documentId) {
+    const { pages } = req.body;
+    if (pages === undefined || pages === null || pages === '') return null;
+
+    return parsePageSelection(pages, await pdfHandler.getPageCount(documentId));
+}
+
+// Page manifest of a merged document, or null for documents that were uploaded as they are
+async function loadManifest(documentId) {
+    const { manifest } = await documentStore.getInfo(documentId);
+    return manifest || null;
+}
+
+// Tag result rows of a merged document with the file and page they came from
+function withSources(pages, manifest) {
+    if (!manifest) return pages;
+
+    return pages.map(page => {
+        const source = manifest[page.pageNumber - 1];
+        return source ? { ...page, sourceFile: source.filename, sourcePage: source.sourcePage } : page;
+    });
+}
+
+// Check that a freshly stored document is a readable PDF and add its page count.
+// Unreadable uploads are removed again.
+async function describeStoredDocument(document) {
+    try {
+        const pageCount = await pdfHandler.getPageCount(document.documentId);
+        return {
+            documentId: document.documentId,
+            pageCount,
+            size: document.size,
+            filename: document.filename
+        };
+    } catch (error) {
+        if (document.isNew) {
+            await documentStore.remove(document.documentId);
+        }
+        throw new UploadError(`${document.filename || 'Upload'} is not a readable PDF: ${error.message}`);
+    }
+}
+
+// Upload document endpoint: stores PDFs once and returns their document IDs.
+// multipart/form-data uploads are streamed to disk and answered with a
+// documents array; a JSON body with base64Content is kept for older clients.
+app.post('/documents', async (req, res) => {
+    try {
+        if (req.is('multipart/form-data')) {
+            const stored = await receivePdfUploads(req, documentStore, UPLOAD_LIMITS);
+            const documents = [];
+            try {
+                for (const document of stored) {
+                    documents.push(await describeStoredDocument(document));
+                }
+            } catch (error) {
+                // One unreadable file rejects the whole upload, so none of its files are kept
+                await discardUploads(stored, documentStore);
+                throw error;
+            }
+            for (const document of stored) {
+                await documentStore.grantAccess(document.documentId, req.sessionId);
+            }
+
+            return res.status(stored.some(document => document.isNew) ? 201 : 200).json({
+                success: true,
+                documents
+            });
+        }
+
+        const { base64Content, filename } = req.body;
+
+        if (!base64Content) {
+            return res.status(400).json({
+                success: false,
+                error: 'No PDF content provided'
+            });
+        }
+
+        const document = await documentStore.save(Buffer.from(base64Content, 'base64'), { filename });
+        const described = await describeStoredDocument(document);
+        await documentStore.grantAccess(document.documentId, req.sessionId);
+
+        return res.status(document.isNew ? 201 : 200).json({
+            success: true,
+            ...described
+        });
+    } catch (error) {
+        if (error instanceof UploadError) {
+            // Stop receiving the rest of a rejected upload
+            res.set('Connection', 'close');
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Document upload error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Document metadata endpoint
+app.get('/documents/:documentId', async (req, res) => {
+    try {
+        const { documentId } = req.params;
+
+        if (!(await documentStore.hasAccess(documentId, req.sessionId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        const info = await documentStore.getInfo(documentId);
+        const pageCount = await pdfHandler.getPageCount(documentId);
+
+        return res.json({
+            success: true,
+            ...info,
+            pageCount
+        });
+    } catch (error) {
+        console.error('Document info error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Document content endpoint, for viewing the pages extracted values came from.
+// Only served to the sessions that uploaded the document.
+app.get('/documents/:documentId/content', async (req, res) => {
+    try {
+        const { documentId } = req.params;
+
+        if (!(await documentStore.hasAccess(documentId, req.sessionId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
         }
-    ],
+
+        // Documents are addressed by their content hash, so their bytes never change
+        res.set('Cache-Control', 'private, max-age=31536000, immutable');
+        return res.type('application/pdf').send(await documentStore.read(documentId));
+    } catch (error) {
+        console.error('Document content error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
-// Merge PDFs endpoint
+// Merge PDFs endpoint. Merging uploaded documents (documentIds) stores the
+// result as a new document; merging base64 PDFs (pdfs) returns the merged base64.
+// Both return a manifest mapping each merged page to its source file and page,
+// and the files that were skipped because they could not be read.
 app.post('/merge-pdfs', async (req, res) => {
     try {
-        const { pdfs } = req.body;
+        const { pdfs, documentIds, filenames, layouts = [] } = req.body;
+        
+        if (!Array.isArray(layouts)) {
+            return res.status(400).json({
+                success: false,
+                error: 'layouts must be an array with a page layout (or null) per PDF'
+            });
+        }
         
+        if (Array.isArray(documentIds)) {
+            const missing = [];
+            for (const documentId of documentIds) {
+                if (!(await documentStore.hasAccess(documentId, req.sessionId))) missing.push(documentId);
+            }
+
+            if (missing.length > 0 || documentIds.length === 0) {
+                return res.status(missing.length > 0 ? 404 : 400).json({
+                    success: false,
+                    error: missing.length > 0 ? `Documents not found: ${missing.join(', ')}` : 'documentIds must not be empty'
+                });
+            }
+
+            for (const [index, layout] of layouts.entries()) {
+                if (!layout || index >= documentIds.length) continue;
+
+                const layoutError = PDFHandler.validateLayout(layout, await pdfHandler.getPageCount(documentIds[index]));
+                if (layoutError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `layouts[${index}]: ${layoutError}`
+                    });
+                }
+            }
+
+            console.log('Server: Received merge request for', documentIds.length, 'documents');
+
+            // A single document without a page layout is used as it is
+            if (documentIds.length === 1 && !layouts[0]) {
+                const [documentId] = documentIds;
+                const { filename } = await documentStore.getInfo(documentId);
+                const pageCount = await pdfHandler.getPageCount(documentId);
+
+                return res.json({
+                    success: true,
+                    documentId,
+                    pageCount,
+                    manifest: Array.from({ length: pageCount }, (_, pageIndex) => ({
+                        page: pageIndex + 1,
+                        sourceIndex: 0,
+                        documentId,
+                        filename,
+                        sourcePage: pageIndex + 1,
+                        rotation: 0
+                    })),
+                    skipped: []
+                });
+            }
+
+            const { pdfBytes, manifest, skipped } = await pdfHandler.mergeDocuments(documentIds, layouts);
+            if (manifest.length === 0) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'None of the PDFs could be merged',
+                    skipped
+                });
+            }
+
+            // The manifest is kept with the merged document so extraction results can name their source.
+            // A single rearranged document keeps its own name.
+            const filename = documentIds.length === 1 ? (await documentStore.getInfo(documentIds[0])).filename : 'merged.pdf';
+            const merged = await documentStore.save(Buffer.from(pdfBytes), { filename, manifest });
+            await documentStore.grantAccess(merged.documentId, req.sessionId);
+            console.log('Server: Documents merged successfully');
+
+            return res.json({
+                success: true,
+                documentId: merged.documentId,
+                pageCount: await pdfHandler.getPageCount(merged.documentId),
+                manifest,
+                skipped
+            });
+        }
+
         if (!pdfs || !Array.isArray(pdfs)) {
             return res.status(400).json({ 
                 success: false,
-                error: 'Invalid input: pdfs array is required' 
+                error: 'Invalid input: documentIds or pdfs array is required' 
             });
         }
 
         console.log('Server: Received merge request for', pdfs.length, 'PDFs');
 
-        if (pdfs.length === 1) {
+        if (pdfs.length === 1 && !layouts[0]) {
             return res.json({
                 success: true,
                 mergedPDF: pdfs[0]
             });
         }
 
-        const mergedPDF = await pdfHandler.mergeBase64PDFs(pdfs);
+        const { base64: mergedPDF, manifest, skipped } = await pdfHandler.mergeBase64PDFs(pdfs, filenames, layouts);
         console.log('Server: PDFs merged successfully');
 
         return res.json({
             success: true,
-            mergedPDF: mergedPDF
+            mergedPDF: mergedPDF,
+            manifest,
+            skipped
         });
     } catch (error) {
         console.error('Server: Merge error:', error);
@@ -117,16 +500,10 @@ app.post('/merge-pdfs', async (req, res) => {
 // Get page count endpoint
 app.post('/get-page-count', async (req, res) => {
     try {
-        const { base64Content } = req.body;
-        
-        if (!base64Content) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'No PDF content provided' 
-            });
-        }
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
 
-        const pageCount = await pdfHandler.getPageCount(base64Content);
+        const pageCount = await pdfHandler.getPageCount(documentId);
         console.log('Page count:', pageCount);
 
         return res.json({
@@ -143,99 +520,195 @@ app.post('/get-page-count', async (req, res) => {
     }
 });
 
-// Suggest fields endpoint (uses first page only)
-app.post('/suggest-fields', async (req, res) => {
+// Extraction modes, for clients to offer and to render results with
+app.get('/modes', (req, res) => {
+    return res.json({
+        success: true,
+        modes: modeRegistry.list().map(mode => modeRegistry.describe(mode))
+    });
+});
+
+// Extraction templates: list (optionally of one mode with ?mode=), get, save,
+// replace and delete named sets of field definitions or column layouts
+app.get('/extraction-templates', async (req, res) => {
     try {
-        const { base64Content } = req.body;
-        
-        if (!base64Content) {
-            return res.status(400).json({ 
+        return res.json({
+            success: true,
+            templates: await templateStore.list({ mode: req.query.mode || null })
+        });
+    } catch (error) {
+        console.error('Template list error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+app.get('/extraction-templates/:templateId', async (req, res) => {
+    try {
+        const template = await templateStore.get(req.params.templateId);
+        if (!template) {
+            return res.status(404).json({
                 success: false,
-                error: 'No PDF content provided' 
+                error: 'Template not found'
             });
         }
 
-        const firstPageBase64 = await pdfHandler.getFirstPageBase64(base64Content);
-        
-        const request = {
-            contents: [{
-                role: "user",
-                parts: [
-                    { text: `Analyze this PDF document and identify extractable fields. Return your response in this exact JSON format, with no additional text before or after:
-
-[
-    {
-        "fieldName": "field1",
-        "description": "description1"
-    },
-    {
-        "fieldName": "field2",
-        "description": "description2"
-    }
-]
-
-Important rules:
-1. Return ONLY the JSON array, no other text
-2. Use camelCase for fieldNames (no spaces)
-3. Both fieldName and description must be in the same language as the document
-4. Each field must have exactly these two properties: fieldName and description
-5. Ensure the response is valid JSON with proper quotes and commas` },
-                    {
-                        inlineData: {
-                            mimeType: "application/pdf",
-                            data: firstPageBase64
-                        }
-                    }
-                ]
-            }]
-        };
+        return res.json({ success: true, template });
+    } catch (error) {
+        console.error('Template error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
 
-        const response = await generativeModel.generateContent(request);
-        const result = response.response.candidates[0].content.parts[0].text;
-        
-        logTokenUsage('suggest-fields', request.contents[0].parts[0].text, result);
+app.post('/extraction-templates', async (req, res) => {
+    try {
+        const template = await templateStore.create(req.body);
+        return res.status(201).json({ success: true, template });
+    } catch (error) {
+        console.error('Template save error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
 
-        let fields;
-        try {
-            // Try to find a JSON array in the response
-            const jsonMatch = result.match(/\[(.*?)\]/s);
-            if (jsonMatch) {
-                fields = JSON.parse(jsonMatch[0]);
-            } else {
-                // If no JSON array found, try to parse the entire response
-                fields = JSON.parse(result);
-            }
+app.put('/extraction-templates/:templateId', async (req, res) => {
+    try {
+        const template = await templateStore.update(req.params.templateId, req.body);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
 
-            // Validate the fields structure
-            if (!Array.isArray(fields)) {
-                throw new Error('Invalid response format: expected array of fields');
-            }
+        return res.json({ success: true, template });
+    } catch (error) {
+        console.error('Template update error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
 
-            fields = fields.filter(field => 
-                field && 
-                typeof field === 'object' &&
-                typeof field.fieldName === 'string' &&
-                typeof field.description === 'string'
-            );
+app.delete('/extraction-templates/:templateId', async (req, res) => {
+    try {
+        if (!(await templateStore.remove(req.params.templateId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
 
-            if (fields.length === 0) {
-                throw new Error('No valid fields found in response');
-            }
+        return res.json({ success: true });
+    } catch (error) {
+        console.error('Template delete error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
 
-            console.log('Parsed fields:', fields);
-        } catch (error) {
-            console.error('Error parsing AI response:', error);
-            console.error('Raw response:', result);
-            throw new Error('Failed to parse field suggestions from AI response');
+// Template export endpoint: the template as a JSON file to share
+app.get('/extraction-templates/:templateId/export', async (req, res) => {
+    try {
+        const template = await templateStore.get(req.params.templateId);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
         }
 
+        const filename = `${template.name.replace(/[^\w-]+/g, '_')}.template.json`;
+        res.attachment(filename);
+        return res.json(templateStore.toExport(template));
+    } catch (error) {
+        console.error('Template export error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+// Template import endpoint: saves exported templates (one, or an array) as new templates
+app.post('/extraction-templates/import', async (req, res) => {
+    try {
+        const templates = await templateStore.import(req.body);
+        return res.status(201).json({ success: true, templates });
+    } catch (error) {
+        console.error('Template import error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+// Classify document endpoint: document type, confidence and the extraction mode to use
+app.post('/classify-document', async (req, res) => {
+    try {
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
+
+        const runId = randomUUID();
+        const classification = await documentClassifier.classify(documentId, { runId, force: req.body.force === true });
+
         return res.json({
             success: true,
-            fields: fields
+            ...classification,
+            usage: usageLedger.getRunUsage(runId)
         });
 
     } catch (error) {
-        console.error('Field suggestion error:', error);
+        console.error('Document classification error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+// Detect document boundaries endpoint: where each document in a batched PDF starts
+app.post('/detect-boundaries', async (req, res) => {
+    try {
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
+
+        const runId = randomUUID();
+        const { pageCount, segments, cached } = await documentSplitter.detectBoundaries(documentId, {
+            runId,
+            force: req.body.force === true
+        });
+
+        return res.json({
+            success: true,
+            pageCount,
+            segments,
+            cached,
+            usage: usageLedger.getRunUsage(runId)
+        });
+
+    } catch (error) {
+        console.error('Boundary detection error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+// Split document endpoint: stores each reviewed segment of a batch as its own document
+app.post('/split-document', async (req, res) => {
+    try {
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
+
+        const { segments } = req.body;
+        const pageCount = await pdfHandler.getPageCount(documentId);
+        const segmentError = DocumentSplitter.validateSegments(segments, pageCount);
+        if (segmentError) {
+            return res.status(400).json({
+                success: false,
+                error: segmentError
+            });
+        }
+
+        const { filename } = await documentStore.getInfo(documentId);
+        const documents = await documentSplitter.split(documentId, segments, { filename });
+        for (const document of documents) {
+            await documentStore.grantAccess(document.documentId, req.sessionId);
+        }
+
+        return res.json({
+            success: true,
+            documents
+        });
+
+    } catch (error) {
+        console.error('Document split error:', error);
         return res.status(500).json({
             success: false,
             error: error.message
@@ -243,107 +716,92 @@ Important rules:
     }
 });
 
-// Extract data from group endpoint
+// Suggest fields endpoint (uses the first page unless pages are selected)
+app.post('/suggest-fields', async (req, res) => {
+    try {
+        const mode = resolveMode(req, res, 'fields');
+        if (!mode) return;
+
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
+
+        const pages = await resolvePageSelection(req, documentId) || [1];
+
+        const runId = randomUUID();
+        const { fields, cached } = await fieldExtractor.suggestFields(documentId, mode, {
+            pages,
+            runId,
+            force: req.body.force === true
+        });
+
+        return res.json({
+            success: true,
+            fields: fields,
+            cached,
+            usage: usageLedger.getRunUsage(runId)
+        });
+
+    } catch (error) {
+        console.error('Field suggestion error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+// Extract data from group endpoint. Instead of a groupInfo, a page selection
+// (pages) can be given; its pages are extracted in runs of at most one group.
+// selectedFields holds field names and definitions of fields the user added
+// or edited (see FieldDefinitions.js). An optional locale ("de-DE") settles
+// how ambiguous numbers and dates are normalized (see TypedValues.js).
 app.post('/extract-data-group', async (req, res) => {
     try {
-        const { base64Content, selectedFields, groupInfo } = req.body;
+        const { selectedFields, groupInfo } = req.body;
+        const hasSelection = req.body.pages !== undefined && req.body.pages !== null;
         
-        if (!base64Content || !selectedFields || !groupInfo) {
+        if (!selectedFields || (!groupInfo && !hasSelection)) {
             return res.status(400).json({ 
                 success: false,
                 error: 'Invalid input provided' 
             });
         }
 
-        // Get the specific group of pages
-        const groupPages = await pdfHandler.getPageGroup(base64Content, groupInfo.groupIndex);
+        const fields = parseFieldDefinitions(selectedFields);
+        const locale = parseLocale(req.body.locale);
 
-        const requestText = `Extract the following fields from pages ${groupInfo.startPage} to ${groupInfo.endPage}: ${selectedFields.join(', ')}
+        const mode = resolveMode(req, res, 'fields');
+        if (!mode) return;
 
-Return your response in this exact JSON format, with no additional text before or after:
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
 
-{
-    "pages": [
-        {
-            "pageNumber": number,
-            "fields": {
-                "fieldName1": {
-                    "value": "extracted value",
-                    "type": "text"
-                }
-            }
-        }
-    ]
-}
+        const pageNumbers = await resolvePageSelection(req, documentId);
+        const groups = pageNumbers
+            ? buildPageGroups(await pdfHandler.getPageCount(documentId), pageNumbers)
+            : [groupInfo];
 
-Rules:
-1. Return ONLY the JSON object, no other text
-2. Use proper JSON format with double quotes
-3. For empty or not found values, use null
-4. Page numbers must be actual numbers, not strings
-5. Keep original field names exactly as provided
-6. Use "type": "date" for date values, "text" for others`;
-
-        const request = {
-            contents: [{
-                role: "user",
-                parts: [
-                    { text: requestText },
-                    {
-                        inlineData: {
-                            mimeType: "application/pdf",
-                            data: groupPages.base64
-                        }
-                    }
-                ]
-            }]
+        const runId = randomUUID();
+        const results = await Promise.all(groups.map(group =>
+            fieldExtractor.extractGroup(documentId, mode, fields, group, {
+                runId,
+                force: req.body.force === true,
+                locale
+            })));
+        const extractedData = {
+            pages: results.flatMap(result => result.data.pages).sort((a, b) => a.pageNumber - b.pageNumber)
         };
 
-        const response = await generativeModel.generateContent(request);
-        const result = response.response.candidates[0].content.parts[0].text;
-        
-        logTokenUsage('extract-data-group', requestText, result);
-
-        let extractedData;
-        try {
-            // Try to find a JSON object in the response
-            const jsonMatch = result.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                extractedData = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('No JSON object found in response');
-            }
-
-            // Validate the structure
-            if (!extractedData.pages || !Array.isArray(extractedData.pages)) {
-                throw new Error('Invalid response format: missing pages array');
-            }
-
-            // Validate each page
-            extractedData.pages.forEach(page => {
-                if (!page.pageNumber || !page.fields) {
-                    throw new Error('Invalid page format in response');
-                }
-            });
-
-            console.log('Parsed extracted data:', extractedData);
-        } catch (error) {
-            console.error('Error parsing AI response:', error);
-            console.error('Raw response:', result);
-            throw new Error('Failed to parse extracted data from AI response');
-        }
-
         return res.json({
             success: true,
-            data: extractedData,
-            groupInfo: groupInfo
+            data: { ...extractedData, pages: withSources(extractedData.pages, await loadManifest(documentId)) },
+            groupInfo: groupInfo || null,
+            pages: pageNumbers ? formatPageSelection(pageNumbers) : undefined,
+            cached: results.every(result => result.cached),
+            usage: usageLedger.getRunUsage(runId)
         });
 
     } catch (error) {
         console.error('Group data extraction error:', error);
-        return res.status(500).json({
-            success: false,
-            error: error.message,
+        return res.status(errorStatus(error)).json({
+            ...errorBody(error),
             groupInfo: req.body.groupInfo
         });
     }
@@ -353,233 +811,538 @@ Rules:
 // Extract table data endpoint
 app.post('/extract-table-data', async (req, res) => {
     try {
-        const { base64Content } = req.body;
+        const mode = resolveMode(req, res, 'table');
+        if (!mode) return;
+
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
+
+        const pageNumbers = await resolvePageSelection(req, documentId);
+        const locale = parseLocale(req.body.locale);
+
+        const runId = randomUUID();
+        const extractedData = await tableExtractor.extract(documentId, mode, {
+            pages: pageNumbers,
+            runId,
+            force: req.body.force === true,
+            locale
+        });
         
-        if (!base64Content) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'No PDF content provided' 
+        return res.json({
+            success: true,
+            data: { ...extractedData, pages: withSources(extractedData.pages, await loadManifest(documentId)) },
+            cached: extractedData.pages.every(page => page.cached),
+            usage: usageLedger.getRunUsage(runId)
+        });
+
+    } catch (error) {
+        console.error('Table data extraction error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+// Page groups of a document, as extracted by field jobs. With a page
+// selection, each run of consecutive selected pages (up to one group long)
+// becomes a group of its own; selecting every page gives the regular groups.
+function buildPageGroups(totalPages, pageNumbers = null) {
+    const pagesPerGroup = pdfHandler.PAGES_PER_GROUP;
+
+    if (pageNumbers && pageNumbers.length < totalPages) {
+        const runs = toPageRuns(pageNumbers, pagesPerGroup);
+        return runs.map(({ startPage, endPage }, groupIndex) => ({
+            groupIndex,
+            startPage,
+            endPage,
+            totalPages,
+            isLastGroup: groupIndex === runs.length - 1,
+            isSelection: true
+        }));
+    }
+    const totalGroups = Math.ceil(totalPages / pagesPerGroup);
+
+    return Array.from({ length: totalGroups }, (_, groupIndex) => {
+        const startPage = groupIndex * pagesPerGroup;
+        const endPage = Math.min(startPage + pagesPerGroup, totalPages);
+        return {
+            groupIndex,
+            startPage: startPage + 1,
+            endPage,
+            totalPages,
+            isLastGroup: endPage === totalPages
+        };
+    });
+}
+
+// Extract every page group of one uploaded file. Rows are tagged with the
+// file they came from; a failed group fails the file but keeps its other rows.
+async function extractFile(unit, mode, selectedFields, callContext) {
+    const pageCount = await pdfHandler.getPageCount(unit.documentId);
+    const groups = buildPageGroups(pageCount);
+    // A file whose pages were left out or turned before upload maps back to its original pages
+    const manifest = await loadManifest(unit.documentId);
+
+    const outcomes = await Promise.allSettled(groups.map(groupInfo =>
+        fieldExtractor.extractGroup(unit.documentId, mode, selectedFields, groupInfo, callContext)));
+
+    const pages = outcomes.flatMap((outcome, index) => outcome.status === 'fulfilled'
+        ? outcome.value.data.pages
+        : [{
+            pageNumber: groups[index].startPage,
+            endPage: groups[index].endPage,
+            status: 'failed',
+            error: outcome.reason.message,
+            fields: {}
+        }]
+    ).map(page => ({
+        ...page,
+        fileIndex: unit.fileIndex,
+        sourceFile: unit.sourceFile,
+        sourcePage: manifest?.[page.pageNumber - 1]?.sourcePage ?? page.pageNumber
+    }));
+
+    const failure = outcomes.find(outcome => outcome.status === 'rejected');
+    return {
+        status: failure ? 'failed' : (pages.length > 0 ? 'succeeded' : 'empty'),
+        error: failure ? failure.reason.message : null,
+        errorCode: failure ? errorBody(failure.reason).code ?? null : null,
+        cached: outcomes.every(outcome => outcome.status === 'fulfilled' && outcome.value.cached),
+        result: { pages }
+    };
+}
+
+// Run a field extraction job, one unit per page group, one unit per document
+// when the input is a batch that was split into documents, or one unit per
+// uploaded file when the files are processed separately instead of merged
+async function runFieldJob(job, signal) {
+    const { documentId, documents, files, pages, selectedFields, force, locale } = job.input;
+    const mode = modeRegistry.get(job.input.mode);
+    // Separately processed files are their own source; merged documents map pages back to theirs
+    const manifest = files ? null : await loadManifest(documentId);
+
+    // Files are processed independently, so one unreadable file only fails its own unit
+    if (files && job.units.length === 0) {
+        let totalPages = 0;
+        for (const [fileIndex, file] of files.entries()) {
+            const pageCount = await pdfHandler.getPageCount(file.documentId).catch(() => 0);
+            totalPages += pageCount;
+
+            jobManager.addUnit(job, {
+                id: `file-${fileIndex}`,
+                documentId: file.documentId,
+                fileIndex,
+                sourceFile: file.filename || `File ${fileIndex + 1}`,
+                pageCount
             });
         }
 
-        // Step 1: Get page count only once
-        console.log("Getting document page count...");
-        const pageCount = await pdfHandler.getPageCount(base64Content);
-        console.log(`PDF has ${pageCount} pages total`);
+        jobManager.touch(job, { totalPages, meta: { selectedFields } });
+    }
 
-        // Step 2: Extract first page for header analysis
-        console.log("Analyzing first page to determine table structure...");
-        const firstPageBase64 = await pdfHandler.getFirstPageBase64(base64Content);
-        
-        // First page analysis request
-        const headerRequest = {
-            contents: [{
-                role: "user",
-                parts: [
-                    { text: `Extract ONLY the column headers from the main transaction table in this bank statement.
-Format your response as a simple array of strings like this: ["Column1", "Column2", "Column3"]
-If there are multiple tables, focus on the main transaction table that shows statement entries.
-DO NOT include any additional text, explanation, or code blocks.` },
-                    {
-                        inlineData: {
-                            mimeType: "application/pdf",
-                            data: firstPageBase64
-                        }
-                    }
-                ]
-            }]
-        };
+    // One row per document, spanning its pages in the batch
+    if (documents && job.units.length === 0) {
+        const totalPages = await pdfHandler.getPageCount(documentId);
+        jobManager.touch(job, { totalPages, meta: { selectedFields } });
 
-        let headers = [];
-        // Use retry pattern for header extraction
-        for (let attempt = 1; attempt <= 3; attempt++) {
-            try {
-                const headerResponse = await generativeModel.generateContent(headerRequest);
-                const headerResult = headerResponse.response.candidates[0].content.parts[0].text;
-                
-                // Clean the response
-                let cleanedResponse = headerResult.trim();
-                if (cleanedResponse.startsWith('```') && cleanedResponse.endsWith('```')) {
-                    cleanedResponse = cleanedResponse.replace(/^```(\w+)?\s*/, '').replace(/\s*```\s*$/, '');
-                }
-                
-                // Find array pattern
-                const arrayMatch = cleanedResponse.match(/\[\s*".*"\s*\]/);
-                if (arrayMatch) {
-                    cleanedResponse = arrayMatch[0];
-                }
-                
-                try {
-                    headers = JSON.parse(cleanedResponse);
-                    console.log("Successfully extracted headers:", headers);
-                    break; // Success, exit retry loop
-                } catch (parseError) {
-                    console.log(`Header parsing error (attempt ${attempt}/3):`, parseError.message);
-                    if (attempt === 3) throw parseError;
-                    await delay(attempt * 3000); // Exponential backoff with longer delays
+        documents.forEach((document, index) => {
+            jobManager.addUnit(job, {
+                id: `document-${index}`,
+                documentId: document.documentId,
+                label: document.label || null,
+                groupInfo: {
+                    groupIndex: index,
+                    startPage: document.startPage,
+                    endPage: document.endPage,
+                    totalPages,
+                    isLastGroup: index === documents.length - 1
                 }
+            });
+        });
+    }
+
+    // Split the document into page groups on the first run; retries reuse them
+    if (job.units.length === 0) {
+        const totalPages = await pdfHandler.getPageCount(documentId);
+
+        // With a page selection, progress counts the selected pages only
+        jobManager.touch(job, {
+            totalPages: pages ? pages.length : totalPages,
+            meta: { selectedFields, ...(pages && { pages: formatPageSelection(pages) }) }
+        });
+
+        buildPageGroups(totalPages, pages).forEach(groupInfo => {
+            jobManager.addUnit(job, {
+                id: `group-${groupInfo.groupIndex}`,
+                groupInfo
+            });
+        });
+    }
+
+    // Groups run concurrently; the model scheduler limits how many calls are in flight
+    await Promise.all(job.units.filter(unit => unit.status === 'pending').map(async (unit) => {
+        if (signal.aborted) return;
+
+        const { groupInfo } = unit;
+        const callContext = { runId: job.id, signal, force, locale };
+        jobManager.updateUnit(job, unit.id, { status: 'running' });
+
+        if (unit.fileIndex !== undefined) {
+            try {
+                const outcome = await extractFile(unit, mode, selectedFields, callContext);
+                if (signal.aborted) return;
+                if (outcome.error) console.error(`Job ${job.id}: ${unit.id} (${unit.sourceFile}) failed:`, outcome.error);
+                jobManager.updateUnit(job, unit.id, outcome);
             } catch (error) {
-                console.error(`Header extraction error (attempt ${attempt}/3):`, error.message);
-                if (attempt === 3) throw error;
-                await delay(attempt * 3000); // Exponential backoff with longer delays
+                if (signal.aborted) return;
+
+                console.error(`Job ${job.id}: ${unit.id} (${unit.sourceFile}) failed:`, error.message);
+                jobManager.updateUnit(job, unit.id, {
+                    status: 'failed',
+                    error: error.message,
+                    errorCode: errorBody(error).code ?? null,
+                    // Placeholder row so the failed file shows up in the results
+                    result: {
+                        pages: [{
+                            pageNumber: 1,
+                            fileIndex: unit.fileIndex,
+                            sourceFile: unit.sourceFile,
+                            status: 'failed',
+                            error: error.message,
+                            fields: {}
+                        }]
+                    }
+                });
             }
+            return;
         }
-        
-        // If we still don't have headers, use default ones
-        if (!headers || !Array.isArray(headers) || headers.length === 0) {
-            headers = ["Date", "Description", "Amount", "Balance"];
-            console.log("Using default headers:", headers);
+
+        try {
+            const { data, cached } = unit.documentId
+                ? await fieldExtractor.extractDocument(unit.documentId, mode, selectedFields, { ...groupInfo, label: unit.label }, callContext)
+                : await fieldExtractor.extractGroup(documentId, mode, selectedFields, groupInfo, callContext);
+            if (signal.aborted) return;
+            jobManager.updateUnit(job, unit.id, {
+                status: data.pages.length > 0 ? 'succeeded' : 'empty',
+                cached,
+                result: { ...data, pages: withSources(data.pages, manifest) }
+            });
+        } catch (error) {
+            if (signal.aborted) return;
+
+            console.error(`Job ${job.id}: ${unit.id} failed:`, error.message);
+            jobManager.updateUnit(job, unit.id, {
+                status: 'failed',
+                error: error.message,
+                errorCode: errorBody(error).code ?? null,
+                // Placeholder row so the failed page range shows up in the results
+                result: {
+                    pages: withSources([{
+                        pageNumber: groupInfo.startPage,
+                        endPage: groupInfo.endPage,
+                        label: unit.label ?? null,
+                        status: 'failed',
+                        error: error.message,
+                        fields: {}
+                    }], manifest)
+                }
+            });
         }
+    }));
+}
 
-        // Step 3: Process each page sequentially to extract table data
-        const extractedData = {
-            pages: []
-        };
-        
-        // Create a cache to store page groups and avoid redundant fetching
-        const pageGroupCache = {};
-        
-        // Process pages one by one with retries
-        for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
-            // Calculate page group
-            const groupIndex = Math.floor((pageNum - 1) / 10);
-
-            // Get or create page group data
-            if (!pageGroupCache[groupIndex]) {
-                console.log(`Fetching page group ${groupIndex}...`);
-                pageGroupCache[groupIndex] = await pdfHandler.getPageGroup(base64Content, groupIndex);
-            } else {
-                console.log(`Using cached page group ${groupIndex} for page ${pageNum}`);
+// Run a table extraction job, one unit per page (or per selected page)
+async function runTableJob(job, signal) {
+    const { documentId, pages, force, locale } = job.input;
+    const mode = modeRegistry.get(job.input.mode);
+    const manifest = await loadManifest(documentId);
+
+    // Detect the table layout on the first run, unless a template gave the
+    // columns; retries reuse the headers
+    if (!job.meta.headers) {
+        const totalPages = await pdfHandler.getPageCount(documentId);
+        const pageNumbers = pages || Array.from({ length: totalPages }, (_, i) => i + 1);
+        const headers = job.input.columns
+            || await tableExtractor.detectHeaders(documentId, mode, { page: pageNumbers[0], runId: job.id, signal, force });
+        if (signal.aborted) return;
+
+        jobManager.touch(job, {
+            totalPages: pageNumbers.length,
+            meta: { headers, ...(pages && { pages: formatPageSelection(pages) }) }
+        });
+        pageNumbers.forEach(pageNum => {
+            jobManager.addUnit(job, { id: `page-${pageNum}`, pageNumber: pageNum });
+        });
+    }
+
+    const pendingPages = job.units
+        .filter(unit => unit.status === 'pending')
+        .map(unit => unit.pageNumber);
+
+    // Pages an aborted run finishes late are dropped; a retry may own their units by then
+    const updatePage = (pageNumber, changes) => {
+        if (!signal.aborted) jobManager.updateUnit(job, `page-${pageNumber}`, changes);
+    };
+    await tableExtractor.extractPages(documentId, mode, pendingPages, job.meta.headers, {
+        callbacks: {
+            onPageStart: (pageNumber) => updatePage(pageNumber, { status: 'running' }),
+            onPage: (page) => updatePage(page.pageNumber, {
+                status: page.status,
+                cached: page.cached,
+                result: { pages: withSources([page], manifest) }
+            }),
+            onPageFailed: ({ pageNumber, error, page }) => updatePage(pageNumber, {
+                status: 'failed',
+                error,
+                result: { pages: withSources([page], manifest) }
+            })
+        },
+        runId: job.id,
+        signal,
+        force,
+        locale
+    });
+    if (signal.aborted) return;
+
+    // Read the dates of every page with the date format of the whole
+    // document, including pages finished by earlier runs of the job
+    const finishedUnits = job.units.filter(unit => unit.result?.pages?.length === 1);
+    const documentPages = normalizeDocumentPages(finishedUnits.map(unit => unit.result.pages[0]), locale);
+    finishedUnits.forEach((unit, index) => {
+        jobManager.updateUnit(job, unit.id, { result: { pages: [documentPages[index]] } });
+    });
+}
+
+const JOB_RUNNERS = {
+    fields: runFieldJob,
+    table: runTableJob
+};
+
+// Submit an extraction job; returns immediately with the job ID.
+// The job type (extraction strategy) can be left out when a mode is given.
+// Field jobs on a split batch pass the documents returned by /split-document;
+// field jobs that process uploads separately pass files ({ documentId, filename }).
+// Jobs on a single document can be limited to a page selection (pages).
+// Table jobs can pass the columns of a template instead of detecting headers.
+// A locale ("de-DE") settles how ambiguous numbers and dates are normalized.
+app.post('/jobs', async (req, res) => {
+    try {
+        const { selectedFields, documents, files } = req.body;
+        const type = req.body.type || modeRegistry.get(req.body.mode)?.strategy;
+
+        if (!JOB_RUNNERS[type]) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid job type: expected one of ${Object.keys(JOB_RUNNERS).join(', ')}`
+            });
+        }
+
+        if (type === 'fields' && (!Array.isArray(selectedFields) || selectedFields.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'selectedFields array is required for field extraction jobs'
+            });
+        }
+        // Field jobs keep the parsed field definitions
+        const fields = type === 'fields' ? parseFieldDefinitions(selectedFields) : selectedFields;
+
+        const hasColumns = req.body.columns !== undefined && req.body.columns !== null;
+        if (hasColumns && type !== 'table') {
+            return res.status(400).json({
+                success: false,
+                error: 'columns are only supported for table extraction jobs'
+            });
+        }
+        const columns = hasColumns ? parseColumns(req.body.columns) : null;
+        const locale = parseLocale(req.body.locale);
+
+        const mode = resolveMode(req, res, type);
+        if (!mode) return;
+
+        const documentId = await resolveDocumentId(req, res);
+        if (!documentId) return;
+
+        if (documents !== undefined && documents !== null) {
+            const documentsError = type !== 'fields'
+                ? 'documents are only supported for field extraction jobs'
+                : DocumentSplitter.validateSegments(documents, await pdfHandler.getPageCount(documentId));
+            if (documentsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: documentsError
+                });
             }
 
-            let succeeded = false;
-            
-            // Define retry function for page processing
-            for (let attempt = 1; attempt <= 5 && !succeeded; attempt++) {
-                try {
-                    console.log(`Processing page ${pageNum} of ${pageCount} (attempt ${attempt}/5)...`);
-                    
-                    // Get page data
-                    const pageGroup = pageGroupCache[groupIndex];
-                    
-                    // Create page request
-                    const pageRequest = {
-                        contents: [{
-                            role: "user",
-                            parts: [
-                                { text: `Extract the transaction table data from page ${pageNum} of this bank statement.
-Format your response as a valid JavaScript array of arrays like this:
-[
-  ["Value1", "Value2", "Value3"],
-  ["Value1", "Value2", "Value3"]
-]
-Rules:
-- Include ALL transaction rows on the page
-- Make sure rows align with these columns: ${JSON.stringify(headers)}
-- Return ONLY the array of arrays with no explanations
-- If there's no table data on this page, return an empty array: []
-- DO NOT include column headers, only data rows
-- Replace any newlines in cell values with spaces` },
-                                {
-                                    inlineData: {
-                                        mimeType: "application/pdf",
-                                        data: pageGroup.base64
-                                    }
-                                }
-                            ]
-                        }]
-                    };
-                    
-                    const pageResponse = await generativeModel.generateContent(pageRequest);
-                    const pageResult = pageResponse.response.candidates[0].content.parts[0].text;
-                    
-                    // Clean the response
-                    let cleanedResponse = pageResult.trim();
-                    if (cleanedResponse.startsWith('```') && cleanedResponse.endsWith('```')) {
-                        cleanedResponse = cleanedResponse.replace(/^```(\w+)?\s*/, '').replace(/\s*```\s*$/, '');
-                    }
-                    
-                    // Extract array
-                    const arrayMatch = cleanedResponse.match(/\[\s*\[[\s\S]*\]\s*\]/);
-                    if (arrayMatch) {
-                        cleanedResponse = arrayMatch[0];
-                    }
-                    
-                    // Parse the rows data
-                    let rows = [];
-                    try {
-                        rows = JSON.parse(cleanedResponse);
-                        console.log(`Successfully parsed ${rows.length} rows for page ${pageNum}`);
-                        
-                        // Sanitize the data - ensure all cells are strings with no newlines
-                        rows = rows.map(row => {
-                            return row.map(cell => String(cell || '').replace(/[\r\n]+/g, ' '));
-                        });
-                        
-                        // Add to result
-                        extractedData.pages.push({
-                            pageNumber: pageNum,
-                            tableData: {
-                                headers: headers,
-                                rows: rows
-                            }
-                        });
-                        
-                        succeeded = true;
-                    } catch (parseError) {
-                        console.error(`Error parsing rows for page ${pageNum} (attempt ${attempt}/5):`, parseError.message);
-                        if (attempt === 5) {
-                            // After max retries, add empty data
-                            extractedData.pages.push({
-                                pageNumber: pageNum,
-                                tableData: {
-                                    headers: headers,
-                                    rows: []
-                                }
-                            });
-                        } else {
-                            // Wait longer between retries
-                            await delay(15000);
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error processing page ${pageNum} (attempt ${attempt}/5):`, error.message);
-                    
-                    if (attempt === 5) {
-                        // After max retries, add empty data
-                        extractedData.pages.push({
-                            pageNumber: pageNum,
-                            tableData: {
-                                headers: headers,
-                                rows: []
-                            }
-                        });
-                    } else {
-                        // Wait longer between retries
-                        await delay(15000);
-                    }
-                }
+            const missing = [];
+            for (const document of documents) {
+                if (!(await documentStore.hasAccess(document.documentId, req.sessionId))) missing.push(document.documentId);
             }
-            
-            // Add a longer wait between pages (10 seconds) to avoid rate limits
-            if (pageNum < pageCount) {
-                console.log(`Waiting 15 seconds before processing next page...`);
-                await delay(15000);
+            if (missing.length > 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Documents not found: ${missing.join(', ')}`
+                });
             }
         }
-        
-        // Sort pages by page number to ensure correct order
-        extractedData.pages.sort((a, b) => a.pageNumber - b.pageNumber);
-        
-        console.log(`Successfully processed ${extractedData.pages.length} pages`);
-        
+
+        if (files !== undefined && files !== null) {
+            const filesError = type !== 'fields'
+                ? 'files are only supported for field extraction jobs'
+                : !Array.isArray(files) || files.length === 0
+                    ? 'files must be a non-empty array'
+                    : documents ? 'files and documents cannot be combined' : null;
+            if (filesError) {
+                return res.status(400).json({
+                    success: false,
+                    error: filesError
+                });
+            }
+
+            const missing = [];
+            for (const file of files) {
+                if (!(await documentStore.hasAccess(file?.documentId, req.sessionId))) missing.push(file?.documentId);
+            }
+            if (missing.length > 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Documents not found: ${missing.join(', ')}`
+                });
+            }
+        }
+
+        const pages = await resolvePageSelection(req, documentId);
+        if (pages && (documents || files)) {
+            return res.status(400).json({
+                success: false,
+                error: 'pages cannot be combined with documents or files'
+            });
+        }
+
+        const job = jobManager.createJob(type, {
+            documentId,
+            documents: documents ?? null,
+            files: files ?? null,
+            pages,
+            mode: mode.id,
+            selectedFields: fields,
+            columns,
+            locale,
+            force: req.body.force === true
+        }, JOB_RUNNERS[type], req.sessionId);
+
+        return res.status(202).json({
+            success: true,
+            jobId: job.id,
+            job: serializeJob(job)
+        });
+    } catch (error) {
+        console.error('Job submission error:', error);
+        return res.status(errorStatus(error)).json(errorBody(error));
+    }
+});
+
+// Jobs can only be seen and controlled by the session that submitted them,
+// as their documents can; other sessions get the same 404 as unknown jobs
+function getSessionJob(req) {
+    const job = jobManager.getJob(req.params.jobId);
+    return job?.sessionId === req.sessionId ? job : undefined;
+}
+
+// Job status with per-unit progress and partial results
+app.get('/jobs/:jobId', (req, res) => {
+    const job = getSessionJob(req);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    return res.json({
+        success: true,
+        job: serializeJob(job)
+    });
+});
+
+// Cancel a job
+app.post('/jobs/:jobId/cancel', (req, res) => {
+    const job = getSessionJob(req) && jobManager.cancelJob(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    return res.json({
+        success: true,
+        job: serializeJob(job)
+    });
+});
+
+// Retry only the failed or cancelled pages/groups of a finished job
+app.post('/jobs/:jobId/retry', (req, res) => {
+    try {
+        const job = getSessionJob(req) && jobManager.retryJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
         return res.json({
             success: true,
-            data: extractedData
+            job: serializeJob(job)
+        });
+    } catch (error) {
+        return res.status(409).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Admin routes require the ADMIN_TOKEN as a bearer token, and are closed
+// when no token is configured
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({
+            success: false,
+            error: 'Admin routes are disabled: set ADMIN_TOKEN to enable them'
+        });
+    }
+    if (req.get('Authorization') !== `Bearer ${adminToken}`) {
+        return res.status(401).json({
+            success: false,
+            error: 'Admin token required'
         });
+    }
+    next();
+}
 
+// Token usage and cost aggregated per day and per document. Admin only:
+// the per-document totals name documents by their ID.
+app.get('/usage', requireAdmin, async (req, res) => {
+    const { from, to, documentHash, runId } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return res.status(400).json({
+            success: false,
+            error: 'from and to must be dates in YYYY-MM-DD format'
+        });
+    }
+
+    try {
+        return res.json({
+            success: true,
+            usage: await usageLedger.summarize({ from, to, documentHash, runId })
+        });
     } catch (error) {
-        console.error('Table data extraction error:', error);
+        console.error('Usage summary error:', error);
         return res.status(500).json({
             success: false,
             error: error.message
@@ -587,10 +1350,30 @@ Rules:
     }
 });
 
-// Helper function for delay
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+// PDF cache statistics; pass ?entries=true to list cached keys
+app.get('/admin/cache', requireAdmin, (req, res) => {
+    return res.json({
+        success: true,
+        cache: pdfHandler.getCacheStats({ includeEntries: req.query.entries === 'true' })
+    });
+});
+
+// Flush the PDF cache, or only one document's entries with ?documentId=
+app.delete('/admin/cache', requireAdmin, (req, res) => {
+    const { documentId } = req.query;
+
+    if (documentId && !DocumentStore.isValidId(documentId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid documentId'
+        });
+    }
+
+    return res.json({
+        success: true,
+        removed: pdfHandler.clearCache(documentId)
+    });
+});
 
 // Start server
 const PORT = process.env.PORT || 3000;
@@ -628,12 +1411,12 @@ app.listen(PORT, '0.0.0.0', async () => {
         });
         
         console.log('\nShare any of the "Network" URLs with people on your WiFi');
-        console.log(`Vertex AI Status: Ready`);
+        console.log(`Model Provider: ${modelProvider.name}`);
     }).catch(err => {
         console.log(`\n=== Server Started ===`);
         console.log(`Server running on port ${PORT}`);
         console.log(`Access the application at http://localhost:${PORT}`);
-        console.log(`Vertex AI Status: Ready`);
+        console.log(`Model Provider: ${modelProvider.name}`);
         console.error(`Note: Could not detect network interfaces - ${err.message}`);
     });
 });
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreField, scoreTableRows } from '../Confidence.js';
+
+const REGION = [0.1, 0.1, 0.2, 0.2];
+
+test('scoreField keeps the model confidence of values that fit their type', () => {
+    assert.deepEqual(scoreField({ fieldName: 'total', type: 'amount' }, { value: '1,250.00', region: REGION, confidence: 0.9 }),
+        { confidence: 0.9, issues: [] });
+});
+
+test('scoreField lowers values that do not parse as their declared type', () => {
+    const { confidence, issues } = scoreField({ fieldName: 'total', type: 'amount' }, { value: 'n/a', region: REGION, confidence: 1 });
+    assert.equal(confidence, 0.4);
+    assert.deepEqual(issues, ['Not a recognizable amount, but the field is declared as amount']);
+});
+
+test('scoreField parses values with the request locale', () => {
+    const definition = { fieldName: 'Due date' };
+    const fieldData = { value: '15 März 2024', region: REGION, confidence: 1 };
+    assert.deepEqual(scoreField(definition, fieldData, { locale: 'de-DE' }), { confidence: 1, issues: [] });
+    assert.deepEqual(scoreField(definition, fieldData).issues, ['Not a recognizable date']);
+});
+
+test('scoreField reads dates with the date format of the document', () => {
+    const definition = { fieldName: 'issued', type: 'date' };
+    const fieldData = { value: '04/13/2024', region: REGION, confidence: 1 };
+    assert.equal(scoreField(definition, fieldData, { dateFormat: { order: 'MDY', calendar: 'gregory' } }).confidence, 1);
+    assert.equal(scoreField(definition, fieldData, { dateFormat: { order: 'DMY', calendar: 'gregory' } }).confidence, 0.4);
+});
+
+test('scoreField leaves values that were not found unscored and flags missing regions', () => {
+    assert.deepEqual(scoreField({ fieldName: 'total' }, { value: null }), { confidence: null, issues: [] });
+    assert.deepEqual(scoreField({ fieldName: 'reference' }, { value: 'A-1', confidence: 1 }),
+        { confidence: 0.85, issues: ['Location on the page not reported'] });
+});
+
+test('scoreTableRows scores each cell against its column', () => {
+    const { confidence, issues } = scoreTableRows(
+        [['01/03/2024', 'Coffee', '4.50'], ['yesterday', 'Salary', '3,200.00'], ['02/03/2024', 'Fee']],
+        ['Date', 'Description', 'Amount'],
+        [[0.9, 0.9, 0.9]]
+    );
+    assert.deepEqual(confidence[0], [0.9, 0.9, 0.9]);
+    assert.deepEqual(issues[1][0], ['Not a recognizable date']);
+    assert.equal(confidence[1][0], 0.4);
+    assert.deepEqual(issues[2][1], ['Row does not line up with the columns']);
+});
+
+test('scoreTableRows reads date cells with the date format of their column', () => {
+    const rows = [['04/13/2024']];
+    const dmy = { order: 'DMY', calendar: 'gregory' };
+    assert.deepEqual(scoreTableRows(rows, ['Date'], [[1]], { dateFormats: [dmy] }).issues, [[['Not a recognizable date']]]);
+    assert.deepEqual(scoreTableRows(rows, ['Date'], [[1]], { dateFormats: [{ ...dmy, order: 'MDY' }] }).issues, [[[]]]);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inferDateFormat, readDate, parseDate, normalizeDates } from '../DateNormalization.js';
+
+test('inferDateFormat settles the order from the dates that leave no doubt', () => {
+    assert.deepEqual(inferDateFormat(['03/04/2024', '13/04/2024']),
+        { order: 'DMY', calendar: 'gregory', locale: null, orderSource: 'dates' });
+    assert.equal(inferDateFormat(['03/04/2024', '04/13/2024']).order, 'MDY');
+});
+
+test('inferDateFormat prefers a format hint, then the dates, then the locale', () => {
+    assert.equal(inferDateFormat(['13/04/2024'], { format: 'MM/DD/YYYY' }).orderSource, 'format');
+    assert.deepEqual(
+        [inferDateFormat(['03/04/2024'], { locale: 'en-US' }).order, inferDateFormat(['03/04/2024'], { locale: 'en-US' }).orderSource],
+        ['MDY', 'locale']);
+    assert.equal(inferDateFormat(['13/04/2024'], { locale: 'en-US' }).order, 'DMY');
+});
+
+test('inferDateFormat reports an assumed order only when a numeric date depends on it', () => {
+    assert.equal(inferDateFormat(['03/04/2024']).orderSource, 'default');
+    assert.equal(inferDateFormat(['15 Mar 2024']).orderSource, null);
+});
+
+test('readDate reads numeric, ISO and month-name dates', () => {
+    const dmy = { order: 'DMY', calendar: 'gregory' };
+    assert.equal(readDate('03/04/2024', dmy), '2024-04-03');
+    assert.equal(readDate('03/04/2024', { order: 'MDY', calendar: 'gregory' }), '2024-03-04');
+    assert.equal(readDate('2024-03-15', dmy), '2024-03-15');
+    assert.equal(readDate('12 Jan 24', dmy, 2024), '2024-01-12');
+    assert.equal(readDate('March 15, 2024', dmy), '2024-03-15');
+    assert.equal(readDate('31/02/2024', dmy), null);
+    assert.equal(readDate('not a date', dmy), null);
+});
+
+test('two-digit years fall near the reference year', () => {
+    const dmy = { order: 'DMY', calendar: 'gregory' };
+    assert.equal(readDate('01/01/30', dmy, 2024), '2030-01-01');
+    assert.equal(readDate('01/01/60', dmy, 2024), '1960-01-01');
+});
+
+test('Buddhist-era years are recognized on their own and from the locale', () => {
+    assert.equal(parseDate('15/03/2567'), '2024-03-15');
+    assert.equal(parseDate('15 ม.ค. 2567', { locale: 'th-TH' }), '2024-01-15');
+    assert.equal(inferDateFormat(['01/02/67'], { locale: 'th-TH' }).calendar, 'buddhist');
+});
+
+test('normalizeDates reads a column with one format and skips empty cells', () => {
+    const { dates, dateFormat } = normalizeDates(['01/02/2024', '', '25/02/2024']);
+    assert.deepEqual(dates, ['2024-02-01', null, '2024-02-25']);
+    assert.equal(dateFormat.orderSource, 'dates');
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobManager } from '../JobManager.js';
+
+async function waitFor(condition, { maxTurns = 1000 } = {}) {
+    for (let turn = 0; !condition(); turn++) {
+        if (turn === maxTurns) throw new Error('Condition not met');
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// A job with one unit whose run waits until released, and ignores the abort
+// signal like a model call already in flight; results name the run they came from
+function createBlockedJob(jobManager) {
+    const releases = [];
+    let runs = 0;
+    const job = jobManager.createJob('fields', {}, async (job) => {
+        const run = ++runs;
+        if (job.units.length === 0) jobManager.addUnit(job, { id: 'group-0' });
+        for (const unit of job.units.filter(unit => unit.status === 'pending')) {
+            jobManager.updateUnit(job, unit.id, { status: 'running' });
+            await new Promise(resolve => releases.push(resolve));
+            jobManager.updateUnit(job, unit.id, { status: 'succeeded', result: { pages: [{ pageNumber: 1, run }] } });
+        }
+    }, 'session-1');
+    return { job, releases, getRuns: () => runs };
+}
+
+test('a job runs its units and completes', async () => {
+    const jobManager = new JobManager();
+    const { job, releases } = createBlockedJob(jobManager);
+    assert.equal(job.sessionId, 'session-1');
+
+    await waitFor(() => releases.length === 1);
+    assert.equal(job.status, 'running');
+    releases.shift()();
+    await job.running;
+
+    assert.equal(job.status, 'completed');
+    assert.ok(job.finishedAt);
+    assert.deepEqual(jobManager.toJSON(job).result.pages, [{ pageNumber: 1, run: 1 }]);
+});
+
+test('a running job cannot be retried', async () => {
+    const jobManager = new JobManager();
+    const { job, releases } = createBlockedJob(jobManager);
+    await waitFor(() => releases.length === 1);
+
+    assert.throws(() => jobManager.retryJob(job.id), /still running/);
+    releases.shift()();
+    await job.running;
+});
+
+test('a retry after a cancel waits for the cancelled run and ignores its late results', async () => {
+    const jobManager = new JobManager();
+    const { job, releases, getRuns } = createBlockedJob(jobManager);
+    await waitFor(() => releases.length === 1);
+
+    jobManager.cancelJob(job.id);
+    assert.equal(job.units[0].status, 'cancelled');
+    jobManager.retryJob(job.id);
+    assert.equal(job.status, 'queued');
+
+    // The cancelled run finishes late; its result must not land in the retried unit
+    releases.shift()();
+    await waitFor(() => releases.length === 1);
+    assert.equal(getRuns(), 2);
+    assert.equal(job.status, 'running');
+    assert.equal(job.finishedAt, null);
+    assert.equal(job.units[0].result, null);
+
+    releases.shift()();
+    await job.running;
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(jobManager.toJSON(job).result.pages, [{ pageNumber: 1, run: 2 }]);
+});
+
+test('a job cancelled again while its retry waits stays cancelled', async () => {
+    const jobManager = new JobManager();
+    const { job, releases, getRuns } = createBlockedJob(jobManager);
+    await waitFor(() => releases.length === 1);
+
+    jobManager.cancelJob(job.id);
+    jobManager.retryJob(job.id);
+    jobManager.cancelJob(job.id);
+    releases.shift()();
+    await job.running;
+
+    assert.equal(job.status, 'cancelled');
+    assert.ok(job.finishedAt);
+    assert.equal(getRuns(), 1);
+    assert.equal(job.units[0].status, 'cancelled');
+});
+
+test('a retry re-runs only the failed units', async () => {
+    const jobManager = new JobManager();
+    const attempts = {};
+    const job = jobManager.createJob('table', {}, async (job) => {
+        if (job.units.length === 0) {
+            jobManager.addUnit(job, { id: 'page-1' });
+            jobManager.addUnit(job, { id: 'page-2' });
+        }
+        for (const unit of job.units.filter(unit => unit.status === 'pending')) {
+            attempts[unit.id] = (attempts[unit.id] || 0) + 1;
+            const failed = unit.id === 'page-2' && attempts[unit.id] === 1;
+            jobManager.updateUnit(job, unit.id, failed ? { status: 'failed', error: 'Rate limited' } : { status: 'succeeded' });
+        }
+    }, 'session-1');
+
+    await job.running;
+    assert.equal(job.status, 'completed');
+    assert.equal(job.error, '1 of 2 units failed');
+
+    jobManager.retryJob(job.id);
+    await job.running;
+    assert.deepEqual(attempts, { 'page-1': 1, 'page-2': 2 });
+    assert.equal(job.status, 'completed');
+    assert.equal(job.error, null);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePageSelection, toPageRuns, formatPageSelection, PageSelectionError } from '../PageSelection.js';
+
+test('parsePageSelection reads pages and ranges, sorted and without duplicates', () => {
+    assert.deepEqual(parsePageSelection('8-10, 1-3,5, 2', 10), [1, 2, 3, 5, 8, 9, 10]);
+    assert.deepEqual(parsePageSelection([4, 2, 4], 5), [2, 4]);
+});
+
+test('parsePageSelection rejects pages outside the document and malformed selections', () => {
+    assert.throws(() => parsePageSelection('1-4', 3), PageSelectionError);
+    assert.throws(() => parsePageSelection([0], 3), PageSelectionError);
+    assert.throws(() => parsePageSelection('3-1', 3), /end page comes before the start page/);
+    assert.throws(() => parsePageSelection('1, two', 3), /Invalid page selection "two"/);
+    assert.throws(() => parsePageSelection(' , ', 3), /empty/);
+    assert.throws(() => parsePageSelection({ pages: 1 }, 3), PageSelectionError);
+});
+
+test('toPageRuns splits consecutive pages into runs of at most maxLength', () => {
+    assert.deepEqual(toPageRuns([1, 2, 3, 5, 6]), [
+        { startPage: 1, endPage: 3 },
+        { startPage: 5, endPage: 6 }
+    ]);
+    assert.deepEqual(toPageRuns([1, 2, 3, 4, 5], 2), [
+        { startPage: 1, endPage: 2 },
+        { startPage: 3, endPage: 4 },
+        { startPage: 5, endPage: 5 }
+    ]);
+});
+
+test('formatPageSelection is the inverse of parsePageSelection', () => {
+    assert.equal(formatPageSelection([1, 2, 3, 5, 8, 9]), '1-3, 5, 8-9');
+    assert.deepEqual(parsePageSelection(formatPageSelection([1, 2, 3, 5, 8, 9]), 9), [1, 2, 3, 5, 8, 9]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ERROR_CODES, ModelOutputError, SCHEMAS, buildExtractedDocumentSchema, normalizeRegion, validateSchema,
+    parseModelJson, parseStructuredResponse, generateStructured
+} from '../ResponseParser.js';
+
+test('parseModelJson tolerates code fences and text around the JSON', () => {
+    assert.deepEqual(parseModelJson('```json\n["Date", "Amount"]\n```'), ['Date', 'Amount']);
+    assert.deepEqual(parseModelJson('Here you go: {"a": 1} Hope that helps'), { a: 1 });
+});
+
+test('parseModelJson reports empty and invalid responses with their codes', () => {
+    assert.throws(() => parseModelJson('  '), { code: ERROR_CODES.EMPTY_RESPONSE });
+    assert.throws(() => parseModelJson('no json here'), { code: ERROR_CODES.INVALID_JSON });
+});
+
+test('validateSchema reports every mismatch with its path', () => {
+    assert.deepEqual(validateSchema(['Date', 3], SCHEMAS.tableHeaders), ['$[1]: expected string, got integer']);
+    assert.deepEqual(validateSchema([], SCHEMAS.tableHeaders), ['$: must contain at least 1 item(s)']);
+});
+
+test('extraction responses must return exactly the requested fields', () => {
+    const schema = buildExtractedDocumentSchema(['invoiceNumber', 'total']);
+    assert.deepEqual(validateSchema({ fields: { invoiceNumber: { value: 'A-1' }, total: { value: null } } }, schema), []);
+
+    const errors = validateSchema({ fields: { invoiceNumber: { value: 'A-1' }, vendor: { value: 'Acme' } } }, schema);
+    assert.deepEqual(errors, ['$.fields: missing required property "total"', '$.fields: unexpected property "vendor"']);
+});
+
+test('parseStructuredResponse raises a schema mismatch', () => {
+    assert.throws(() => parseStructuredResponse('{"headers": []}', SCHEMAS.tableHeaders),
+        error => error instanceof ModelOutputError && error.code === ERROR_CODES.SCHEMA_MISMATCH);
+});
+
+test('normalizeRegion clamps regions to the page and drops ones that are not boxes', () => {
+    assert.deepEqual(normalizeRegion([-0.1, 0.2, 1.3, 0.4]), [0, 0.2, 1, 0.4]);
+    assert.equal(normalizeRegion([0.5, 0.2, 0.4, 0.4]), null);
+    assert.equal(normalizeRegion('top left'), null);
+});
+
+test('generateStructured asks the model to repair invalid output', async () => {
+    const responses = ['not json', '["Date", "Amount"]'];
+    const requests = [];
+    const modelProvider = {
+        async generateContent(request) {
+            requests.push(request);
+            return { text: responses.shift() };
+        }
+    };
+
+    const { value } = await generateStructured(modelProvider, { contents: [{ role: 'user', parts: [{ text: 'headers?' }] }] }, {
+        schema: SCHEMAS.tableHeaders,
+        context: { task: 'table-headers' }
+    });
+    assert.deepEqual(value, ['Date', 'Amount']);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].contents.length, 3);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseLocale, LocaleError, inferColumnType, parseNumber, parseAmount, parseBoolean, parseEnum, normalizeValue
+} from '../TypedValues.js';
+
+test('parseLocale canonicalizes language tags and rejects others', () => {
+    assert.equal(parseLocale('de-de'), 'de-DE');
+    assert.equal(parseLocale(''), null);
+    assert.throws(() => parseLocale('not a locale!'), LocaleError);
+    assert.throws(() => parseLocale(42), LocaleError);
+});
+
+test('inferColumnType matches whole words of headers and field names', () => {
+    assert.equal(inferColumnType('Posting Date'), 'date');
+    assert.equal(inferColumnType('invoiceDate'), 'date');
+    assert.equal(inferColumnType('Candidate'), 'text');
+    assert.equal(inferColumnType('Update time'), 'text');
+    assert.equal(inferColumnType('Withdrawals'), 'amount');
+    assert.equal(inferColumnType('Unit Price'), 'amount');
+    assert.equal(inferColumnType('Qty'), 'number');
+    assert.equal(inferColumnType('Description'), 'text');
+});
+
+test('parseNumber reads separators, signs and debit markers', () => {
+    assert.equal(parseNumber('1.234,56'), 1234.56);
+    assert.equal(parseNumber('1,234.56'), 1234.56);
+    assert.equal(parseNumber('(1,200.00)'), -1200);
+    assert.equal(parseNumber('50.00-'), -50);
+    assert.equal(parseNumber('12.50 DR'), -12.5);
+    assert.equal(parseNumber('12%'), 12);
+    assert.equal(parseNumber('abc'), null);
+});
+
+test('parseNumber reads ambiguous thousands with the locale', () => {
+    assert.equal(parseNumber('1.234'), 1.234);
+    assert.equal(parseNumber('1.234', { locale: 'de-DE' }), 1234);
+    assert.equal(parseNumber('1,234'), 1234);
+    assert.equal(parseNumber('1,234', { locale: 'de-DE' }), 1.234);
+});
+
+test('parseAmount reads the currency from symbols and codes', () => {
+    assert.deepEqual(parseAmount('1.234,56 €'), { value: 1234.56, currency: 'EUR' });
+    assert.deepEqual(parseAmount('฿12,500.00'), { value: 12500, currency: 'THB' });
+    assert.deepEqual(parseAmount('USD 99.00'), { value: 99, currency: 'USD' });
+    assert.deepEqual(parseAmount('US$5'), { value: 5, currency: 'USD' });
+    assert.deepEqual(parseAmount('42'), { value: 42, currency: null });
+    assert.equal(parseAmount('free'), null);
+});
+
+test('parseBoolean and parseEnum', () => {
+    assert.equal(parseBoolean('Yes'), true);
+    assert.equal(parseBoolean('nein'), false);
+    assert.equal(parseBoolean('maybe'), null);
+    assert.equal(parseEnum('paid', ['Paid', 'Unpaid']), 'Paid');
+    assert.equal(parseEnum('Café', ['cafe']), 'cafe');
+    assert.equal(parseEnum('Overdue', ['Paid', 'Unpaid']), null);
+});
+
+test('normalizeValue returns typed values, null for values that do not parse and undefined for text', () => {
+    assert.deepEqual(normalizeValue('1.234,56', 'number', { locale: 'de-DE' }), { value: 1234.56 });
+    assert.deepEqual(normalizeValue('03/04/2024', 'date', { locale: 'en-US' }), { value: '2024-03-04' });
+    assert.deepEqual(normalizeValue('03/04/2024', 'date', { format: 'DD/MM/YYYY' }), { value: '2024-04-03' });
+    assert.deepEqual(normalizeValue('03/04/2024', 'date', {
+        locale: 'en-US',
+        dateFormat: { order: 'DMY', calendar: 'gregory' }
+    }), { value: '2024-04-03' });
+    assert.equal(normalizeValue('soon', 'date'), null);
+    assert.equal(normalizeValue('anything', 'text'), undefined);
+});